@@ -8,21 +8,35 @@ import userEvent from '@testing-library/user-event';
 // Provide a factory mock for IDBWrapper and export the mock function for assertions.
 jest.mock('../idb', () => {
   const mockAddCost = jest.fn().mockResolvedValue({});
+  const mockGetBudgetsFor = jest.fn().mockResolvedValue({});
+  const mockGetCostsByMonthYear = jest.fn().mockResolvedValue([]);
   return {
     __esModule: true,
     default: jest.fn().mockImplementation(() => ({
       addCost: mockAddCost,
+      getBudgetsFor: mockGetBudgetsFor,
+      getCostsByMonthYear: mockGetCostsByMonthYear,
     })),
     mockAddCost,
+    mockGetBudgetsFor,
+    mockGetCostsByMonthYear,
   };
 });
 
+// Mock currency service: fixed rates, no network.
+jest.mock('../services/currency_service', () => ({
+  __esModule: true,
+  fetchExchangeRates: jest.fn().mockResolvedValue({ USD: 1, GBP: 1.8, EURO: 0.7, ILS: 3.4 }),
+}));
+
 // Important: import after jest.mock so the test receives the mocked exports.
 import AddCostForm from '../components/add_cost_form';
-import { mockAddCost } from '../idb';
+import { mockAddCost, mockGetBudgetsFor, mockGetCostsByMonthYear } from '../idb';
 
 beforeEach(() => {
   mockAddCost.mockClear();
+  mockGetBudgetsFor.mockResolvedValue({});
+  mockGetCostsByMonthYear.mockResolvedValue([]);
   // Silence "Not implemented: window.alert" errors in JSDOM.
   window.alert = jest.fn();
 });
@@ -54,11 +68,64 @@ test('fills form and calls addCost with normalized values', async () => {
   const btn = screen.getByRole('button', { name: /Add Expense/i });
   await userEvent.click(btn);
 
+  // Date defaults to today (local YYYY-MM-DD).
+  const now = new Date();
+  const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+
   expect(mockAddCost).toHaveBeenCalledTimes(1);
   expect(mockAddCost).toHaveBeenCalledWith({
     sum: 123,
     currency: 'GBP',
     category: 'Food',
     description: 'abc',
+    date: today,
   });
 });
+
+test('submits a backdated expense with the picked date', async () => {
+  render(<AddCostForm />);
+
+  await userEvent.type(screen.getByLabelText(/Sum/i), '40');
+  fireEvent.mouseDown(screen.getByLabelText(/Category/i));
+  fireEvent.click(await screen.findByRole('option', { name: /Car/i }));
+  await userEvent.type(screen.getByLabelText(/Description/i), 'fuel');
+  fireEvent.change(screen.getByLabelText(/Date/i), { target: { value: '2024-02-10' } });
+
+  await userEvent.click(screen.getByRole('button', { name: /Add Expense/i }));
+
+  expect(mockAddCost).toHaveBeenCalledWith(expect.objectContaining({ sum: 40, date: '2024-02-10' }));
+});
+
+test('warns when the new expense pushes its category over budget', async () => {
+  mockGetBudgetsFor.mockResolvedValue({ Food: { amount: 100, currency: 'USD', period: 'default' } });
+  mockGetCostsByMonthYear.mockResolvedValue([
+    { sum: 80, currency: 'USD', category: 'Food' },
+    { sum: 30, currency: 'USD', category: 'Food' },
+  ]);
+  render(<AddCostForm />);
+
+  await userEvent.type(screen.getByLabelText(/Sum/i), '30');
+  fireEvent.mouseDown(screen.getByLabelText(/Category/i));
+  fireEvent.click(await screen.findByRole('option', { name: /Food/i }));
+  await userEvent.type(screen.getByLabelText(/Description/i), 'lunch');
+  await userEvent.click(screen.getByRole('button', { name: /Add Expense/i }));
+
+  expect(window.alert).toHaveBeenCalledWith(expect.stringMatching(/Food is now over budget \(110\.00 of 100\.00 USD\)/));
+});
+
+test('does not warn again when the category was already over budget', async () => {
+  mockGetBudgetsFor.mockResolvedValue({ Food: { amount: 100, currency: 'USD', period: 'default' } });
+  mockGetCostsByMonthYear.mockResolvedValue([
+    { sum: 120, currency: 'USD', category: 'Food' },
+    { sum: 30, currency: 'USD', category: 'Food' },
+  ]);
+  render(<AddCostForm />);
+
+  await userEvent.type(screen.getByLabelText(/Sum/i), '30');
+  fireEvent.mouseDown(screen.getByLabelText(/Category/i));
+  fireEvent.click(await screen.findByRole('option', { name: /Food/i }));
+  await userEvent.type(screen.getByLabelText(/Description/i), 'dinner');
+  await userEvent.click(screen.getByRole('button', { name: /Add Expense/i }));
+
+  expect(window.alert).toHaveBeenCalledWith('Expense added successfully!');
+});
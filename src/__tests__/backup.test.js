@@ -0,0 +1,68 @@
+// Unit tests for JSON backup export and restore (no UI).
+import IDBWrapper from '../idb';
+
+// Utility: delete the database before each test to start clean.
+function deleteDB(name = 'costsdb') {
+  return new Promise((resolve) => {
+    const req = indexedDB.deleteDatabase(name);
+    req.onsuccess = req.onerror = req.onblocked = () => resolve();
+  });
+}
+
+// Round-trip through JSON text, as a downloaded file would.
+const asFile = (obj) => JSON.parse(JSON.stringify(obj));
+
+beforeEach(async () => {
+  await deleteDB();
+  localStorage.setItem('exchangeRatesUrl', 'https://example.com/rates.json');
+  // New costs snapshot the current rates; keep that off the network.
+  global.fetch = jest.fn(() =>
+    Promise.resolve({ ok: true, json: () => Promise.resolve({ USD: 1, GBP: 1.8, EURO: 0.7, ILS: 3.4 }) })
+  );
+});
+
+test('exportBackup includes internal fields, all stores and settings', async () => {
+  const db = new IDBWrapper('costsdb');
+  await db.addCost({ sum: 12, currency: 'USD', category: 'Food', description: 'bagel', date: '2024-05-02' });
+  await db.setBudget({ category: 'Food', amount: 300, currency: 'USD' });
+
+  const backup = await db.exportBackup();
+  expect(backup).toMatchObject({ format: 'costsdb-backup', version: 1 });
+  expect(backup.settings.exchangeRatesUrl).toBe('https://example.com/rates.json');
+  expect(backup.data.costs[0]).toMatchObject({ id: 1, year: 2024, month: 5, day: 2 });
+  expect(typeof backup.data.costs[0]._ts).toBe('string');
+  expect(backup.data.budgets).toHaveLength(1);
+});
+
+test('dry run summarizes merge without writing; replace restores exactly', async () => {
+  const db = new IDBWrapper('costsdb');
+  await db.addCost({ sum: 10, currency: 'USD', category: 'Food', description: 'a', date: '2024-05-01' });
+  await db.addCost({ sum: 20, currency: 'USD', category: 'Food', description: 'b', date: '2024-05-02' });
+  const backup = asFile(await db.exportBackup());
+
+  // Local changes after the backup: edit #1, add #3.
+  await db.updateCost({ id: 1, sum: 11 });
+  await db.addCost({ sum: 30, currency: 'USD', category: 'Food', description: 'c', date: '2024-05-03' });
+  backup.data.costs.push({ ...backup.data.costs[1], id: 9, description: 'from backup' });
+
+  const preview = await db.importBackup(backup, { mode: 'merge', dryRun: true });
+  expect(preview.costs).toEqual({ added: 1, skipped: 1, overwritten: 1, removed: 0 });
+  expect(await db.getCostsByMonthYear(2024, 5)).toHaveLength(3);
+
+  const replaced = await db.importBackup(backup, { mode: 'replace' });
+  expect(replaced.costs).toEqual({ added: 1, skipped: 1, overwritten: 1, removed: 1 });
+  const rows = await db.getCostsByMonthYear(2024, 5);
+  expect(rows.map(r => [r.id, r.sum])).toEqual([[1, 10], [2, 20], [9, 20]]);
+});
+
+test('invalid backups are rejected before anything is written', async () => {
+  const db = new IDBWrapper('costsdb');
+  await db.addCost({ sum: 10, currency: 'USD', category: 'Food', description: 'keep me' });
+  const backup = asFile(await db.exportBackup());
+  backup.data.costs[0].currency = 'XYZ';
+
+  await expect(db.importBackup(backup, { mode: 'replace' })).rejects.toThrow(/costs\[0\]: currency/);
+  await expect(db.importBackup({ hello: 'world' })).rejects.toThrow(/Not a cost manager backup/);
+  const now = new Date();
+  expect(await db.getCostsByMonthYear(now.getFullYear(), now.getMonth() + 1)).toHaveLength(1);
+});
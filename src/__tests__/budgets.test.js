@@ -0,0 +1,23 @@
+// Unit tests for spent-vs-budget progress and the "pushed over budget" check.
+import { budgetProgress, crossedBudget } from '../services/budgets';
+
+const RATES = { USD: 1, GBP: 1.8, EURO: 0.7, ILS: 3.4 };
+
+test('progress converts each limit into the display currency', () => {
+  const progress = budgetProgress(
+    { Food: 90, Car: 200 },
+    { Food: { amount: 100, currency: 'USD' }, Car: { amount: 340, currency: 'ILS' }, Rent: { amount: 50, currency: 'USD' } },
+    'USD',
+    RATES
+  );
+  expect(progress.Food).toEqual({ spent: 90, limit: 100, ratio: 0.9, over: false });
+  expect(progress.Car).toEqual({ spent: 200, limit: 100, ratio: 2, over: true });
+  expect(progress.Rent).toEqual({ spent: 0, limit: 50, ratio: 0, over: false });
+});
+
+test('crossing is only from within the limit to over it', () => {
+  expect(crossedBudget(80, 110, 100)).toBe(true);
+  expect(crossedBudget(100, 100.01, 100)).toBe(true);
+  expect(crossedBudget(80, 100, 100)).toBe(false);  // reaching the limit is not over it
+  expect(crossedBudget(120, 150, 100)).toBe(false); // already over before
+});
@@ -0,0 +1,102 @@
+// UI test for the Spending Calendar.
+// IDBWrapper and the currency service are mocked; the current month is shown by default.
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor, within, act } from '@testing-library/react';
+import { MemoryRouter, Routes, Route, useLocation } from 'react-router-dom';
+
+// Mock IDBWrapper: getCostsInRange is set per test.
+jest.mock('../idb', () => {
+  const mockGetCostsInRange = jest.fn();
+  return {
+    __esModule: true,
+    default: jest.fn().mockImplementation(() => ({
+      getCostsInRange: mockGetCostsInRange,
+    })),
+    mockGetCostsInRange,
+  };
+});
+
+// Mock currency service: fixed rates, no network.
+jest.mock('../services/currency_service', () => ({
+  __esModule: true,
+  fetchExchangeRates: jest.fn().mockResolvedValue({ USD: 1, GBP: 1.8, EURO: 0.7, ILS: 3.4 }),
+  ratesForCost: (cost, rates) => rates,
+  RATE_MODES: ['transaction', 'dated', 'current'],
+  RATE_MODE_LABELS: { transaction: 'Transaction-time rate', dated: 'Rate on expense date', current: 'Current rate' },
+  getRatesStatus: () => ({ state: 'fresh', fetchedAt: '2024-01-01T00:00:00.000Z' }),
+  activeRateOverrides: () => ({}),
+  getRatesProvenance: () => null,
+}));
+
+import CalendarHeatmap from '../components/calendar_heatmap';
+import { mockGetCostsInRange } from '../idb';
+import { toDayString } from '../services/recurrence';
+
+const now = new Date();
+const YEAR = now.getFullYear();
+const MONTH = now.getMonth() + 1;
+const DAY = toDayString(new Date(YEAR, MONTH - 1, 2));
+
+const cost = (id, day, category, sum, currency = 'USD') => ({
+  id, _ts: `${day}T12:00:00`, category, description: `${category} ${id}`, sum, currency,
+});
+
+// The edit link leads to /edit; the probe shows where it went.
+function EditProbe() {
+  const { pathname, search } = useLocation();
+  return <div data-testid="edit">{pathname + search}</div>;
+}
+
+const renderCalendar = () => render(
+  <MemoryRouter initialEntries={['/calendar']}>
+    <Routes>
+      <Route path="/calendar" element={<CalendarHeatmap />} />
+      <Route path="/edit" element={<EditProbe />} />
+    </Routes>
+  </MemoryRouter>
+);
+
+beforeEach(() => {
+  mockGetCostsInRange.mockReset();
+  localStorage.removeItem('homeCurrency');
+  localStorage.removeItem('viewCurrencies');
+});
+
+test('lists the expenses of a clicked day with edit links', async () => {
+  mockGetCostsInRange.mockResolvedValue([
+    cost(7, DAY, 'Food', 12.5),
+    cost(8, DAY, 'Car', 34, 'ILS'),
+  ]);
+  renderCalendar();
+
+  fireEvent.click(await screen.findByRole('button', { name: `${DAY}: $22.50 USD` }));
+
+  expect(screen.getByText('Food 7')).toBeInTheDocument();
+  expect(screen.getByText('$10.00 USD')).toBeInTheDocument();
+  expect(screen.getByText('34.00 ILS')).toBeInTheDocument();
+
+  const food = screen.getByText('Food 7').closest('.MuiCard-root');
+  fireEvent.click(within(food).getByRole('link', { name: 'Edit' }));
+  expect(screen.getByTestId('edit')).toHaveTextContent(`/edit?year=${YEAR}&month=${MONTH}&id=7`);
+});
+
+test('a superseded load does not replace the days in view', async () => {
+  let resolveMonth;
+  mockGetCostsInRange.mockImplementation((start, end) => (toDayString(end) === `${YEAR}-12-31` && toDayString(start) === `${YEAR}-01-01`
+    ? Promise.resolve([cost(2, DAY, 'Food', 20)])
+    : new Promise((resolve) => { resolveMonth = () => resolve([cost(1, DAY, 'Rent', 500)]); })));
+  renderCalendar();
+
+  // Switch to the year view while the month is still loading.
+  await waitFor(() => expect(mockGetCostsInRange).toHaveBeenCalledTimes(1));
+  fireEvent.click(screen.getByRole('button', { name: 'Year' }));
+  expect(await screen.findByRole('button', { name: `${DAY}: $20.00 USD` })).toBeInTheDocument();
+
+  await act(async () => {
+    resolveMonth();
+    await new Promise((r) => setTimeout(r, 0));
+  });
+  expect(screen.queryByRole('button', { name: `${DAY}: $500.00 USD` })).not.toBeInTheDocument();
+  expect(screen.getByRole('button', { name: `${DAY}: $20.00 USD` })).toBeInTheDocument();
+});
@@ -0,0 +1,115 @@
+// Unit tests for CSV parsing, writing, export rows and import mapping (no UI).
+import IDBWrapper from '../idb';
+import { parseCSV, formatCSV } from '../services/csv';
+import { transactionRows, summaryRows } from '../services/csv_export';
+import { guessMapping, mapRows, parseAmount } from '../services/csv_import';
+
+// Utility: delete the database before each test to start clean.
+function deleteDB(name = 'costsdb') {
+  return new Promise((resolve) => {
+    const req = indexedDB.deleteDatabase(name);
+    req.onsuccess = req.onerror = req.onblocked = () => resolve();
+  });
+}
+
+beforeEach(async () => {
+  await deleteDB();
+  // New costs snapshot the current rates; keep that off the network.
+  global.fetch = jest.fn(() =>
+    Promise.resolve({ ok: true, json: () => Promise.resolve({ USD: 1, GBP: 1.8, EURO: 0.7, ILS: 3.4 }) })
+  );
+});
+
+test('parseCSV handles quotes, escaped quotes, embedded newlines, CRLF and BOM', () => {
+  const text = '\uFEFFDate,Amount,Description\r\n2024-01-05,"1,200.50","Rent, ""January"""\r\n\r\n2024-01-06,12,"two\nlines"\n';
+  expect(parseCSV(text)).toEqual([
+    ['Date', 'Amount', 'Description'],
+    ['2024-01-05', '1,200.50', 'Rent, "January"'],
+    ['2024-01-06', '12', 'two\nlines'],
+  ]);
+  expect(parseCSV('a;b\n1;2')).toEqual([['a', 'b'], ['1', '2']]);
+  expect(() => parseCSV('a,"b')).toThrow(/Unterminated/);
+});
+
+test('formatCSV writes RFC 4180: quoting only where needed, CRLF, optional BOM', () => {
+  const rows = [['Description', 'Amount'], ['Rent, "January"', 1200.5], ['two\nlines', 12], [' padded', null]];
+  const text = formatCSV(rows);
+  expect(text).toBe('Description,Amount\r\n"Rent, ""January""",1200.5\r\n"two\nlines",12\r\n" padded",\r\n');
+  expect(parseCSV(text)).toEqual([['Description', 'Amount'], ['Rent, "January"', '1200.5'], ['two\nlines', '12'], [' padded', '']]);
+
+  // Semicolon + decimal comma (e.g. de-DE spreadsheets) and a BOM for Excel.
+  expect(formatCSV([['a;b', 1234.5]], { delimiter: ';', decimal: ',', bom: true })).toBe('\uFEFF"a;b";1234,5\r\n');
+  expect(formatCSV([[1.5]], { delimiter: ',', decimal: ',' })).toBe('"1,5"\r\n');
+});
+
+test('export rows hold ISO dates and plain amounts with separate currency columns', async () => {
+  const db = new IDBWrapper('costsdb', 1);
+  await db.addCost({ sum: 100, currency: 'GBP', category: 'Food', description: 'dinner, "fancy"', date: '2024-03-05' });
+  const costs = await db.getCostsInRange('2024-03-01', '2024-03-31');
+
+  expect(transactionRows(costs)).toEqual([
+    ['Date', 'Category', 'Description', 'Amount', 'Currency'],
+    ['2024-03-05', 'Food', 'dinner, "fancy"', 100, 'GBP']
+  ]);
+  expect(transactionRows(costs, { currency: 'USD', valueOf: () => 55.56 })[1]).toEqual(
+    ['2024-03-05', 'Food', 'dinner, "fancy"', 100, 'GBP', 55.56, 'USD']
+  );
+  expect(summaryRows([['Total', 55.56, 'USD'], ['Total Expenses', 1]])).toEqual(
+    [[], ['Metric', 'Value', 'Currency'], ['Total', 55.56, 'USD'], ['Total Expenses', 1, '']]
+  );
+
+  // The raw transactions round-trip through the importer's column guessing.
+  const parsed = parseCSV(formatCSV(transactionRows(costs)));
+  const [row] = mapRows(parsed.slice(1), guessMapping(parsed[0]), { dateFormat: 'YYYY-MM-DD', defaultCurrency: 'USD', defaultCategory: 'Other' });
+  expect(row.errors).toEqual([]);
+  expect(row.cost).toEqual({ sum: 100, currency: 'GBP', category: 'Food', description: 'dinner, "fancy"', date: '2024-03-05' });
+});
+
+test('mapRows applies the mapping and reports per-row errors', () => {
+  const [headers, ...rows] = parseCSV([
+    'When,Amount (ILS),Memo,Currency',
+    '31/01/2024,"1.234,50",Groceries,ILS',
+    '31/02/2024,10,Bad date,USD',
+    '01/02/2024,-5,Refund,XYZ',
+  ].join('\n'));
+  const mapping = guessMapping(headers);
+  expect(mapping).toEqual({ sum: 1, currency: 3, category: -1, description: 2, date: 0 });
+
+  const out = mapRows(rows, mapping, { dateFormat: 'DD/MM/YYYY', defaultCurrency: 'USD', defaultCategory: 'Other' });
+  expect(out[0]).toEqual({
+    line: 2,
+    cost: { sum: 1234.5, currency: 'ILS', category: 'Other', description: 'Groceries', date: '2024-01-31' },
+    errors: [],
+  });
+  expect(out[1].errors).toEqual(['date must match DD/MM/YYYY']);
+  expect(out[2].errors).toEqual(['sum must be a number > 0', 'unknown currency "XYZ"']);
+  expect(parseAmount('$1,234')).toBe(1234);
+});
+
+test('mapRows flags currencies the rates cannot convert', () => {
+  const [headers, ...rows] = parseCSV([
+    'Date,Amount,Currency,Description',
+    '2024-03-01,12,¥,ramen',
+    '2024-03-02,5,CHF,coffee',
+    '2024-03-03,7,€,bread',
+  ].join('\n'));
+  const options = { dateFormat: 'YYYY-MM-DD', defaultCurrency: 'USD', defaultCategory: 'Other' };
+  const rates = { USD: 1, GBP: 1.8, EURO: 0.7, ILS: 3.4 };
+
+  const out = mapRows(rows, guessMapping(headers), { ...options, rates });
+  expect(out.map(r => r.errors)).toEqual([['no exchange rate for JPY'], ['no exchange rate for CHF'], []]);
+  expect(out[2].cost.currency).toBe('EUR');
+
+  // Without rates (not loaded yet) only the ISO check applies.
+  expect(mapRows(rows, guessMapping(headers), options).every(r => r.errors.length === 0)).toBe(true);
+});
+
+test('addCosts inserts all rows in one transaction or none at all', async () => {
+  const db = new IDBWrapper('costsdb');
+  const ok = { sum: 5, currency: 'USD', category: 'Food', description: 'x', date: '2024-03-01' };
+  await expect(db.addCosts([ok, { ...ok, sum: 0 }])).rejects.toThrow(/Item 2: sum/);
+  expect(await db.getCostsByMonthYear(2024, 3)).toHaveLength(0);
+
+  expect(await db.addCosts([ok, { ...ok, description: 'y' }])).toBe(2);
+  expect(await db.getCostsByMonthYear(2024, 3)).toHaveLength(2);
+});
@@ -0,0 +1,74 @@
+// Unit tests for the currency registry (validation, aliases, feed-driven lists).
+import 'fake-indexeddb/auto';
+import IDBWrapper from '../idb';
+import {
+  normalizeCurrency, isCurrencyCode, getCurrency, normalizeRates, rateOf, listCurrencies
+} from '../services/currencies';
+import { clearRatesCache } from '../services/currency_service';
+import { convert, UnknownCurrencyError } from '../services/money';
+import { setRateOverrides } from '../services/settings';
+
+const FEED = { USD: 1, ILS: 3.4, GBP: 0.8, EUR: 0.9, JPY: 150, SEK: 10.5 };
+
+test('EURO is accepted as an alias of EUR', () => {
+  expect(normalizeCurrency('euro')).toBe('EUR');
+  expect(isCurrencyCode('EURO')).toBe(true);
+  expect(rateOf({ EURO: 0.7 }, 'EUR')).toBe(0.7);
+  expect(rateOf({ EUR: 0.7 }, 'EURO')).toBe(0.7);
+  expect(normalizeRates({ USD: 1, EURO: 0.7 })).toEqual({ USD: 1, EUR: 0.7, EURO: 0.7 });
+});
+
+test('only ISO 4217 codes are valid and decimals come from the registry', () => {
+  expect(isCurrencyCode('JPY')).toBe(true);
+  expect(isCurrencyCode('SEK')).toBe(true);
+  expect(isCurrencyCode('XYZ')).toBe(false);
+  expect(getCurrency('JPY').decimals).toBe(0);
+  expect(getCurrency('USD').symbol).toBe('$');
+});
+
+test('selectors list the core currencies first, then whatever the feed offers', () => {
+  expect(listCurrencies()).toEqual(['USD', 'ILS', 'GBP', 'EUR']);
+  expect(listCurrencies(FEED)).toEqual(['USD', 'ILS', 'GBP', 'EUR', 'JPY', 'SEK']);
+});
+
+test('costs in feed-only currencies are stored and converted', async () => {
+  clearRatesCache();
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(FEED) }));
+  const db = new IDBWrapper('currenciesdb', 1);
+
+  await db.addCost({ sum: 1500, currency: 'JPY', category: 'Food', description: 'ramen' });
+  await db.addCost({ sum: 9, currency: 'EURO', category: 'Food', description: 'pizza' });
+  await expect(db.addCost({ sum: 1, currency: 'XYZ', category: 'Food', description: 'x' }))
+    .rejects.toThrow(/ISO 4217/);
+
+  const now = new Date();
+  const report = await db.getReport(now.getFullYear(), now.getMonth() + 1, 'USD');
+  expect(report.total.total).toBe(20);
+  expect(convert(9, 'EURO', 'EUR', FEED)).toBe(9);
+});
+
+test('a currency without a rate is refused on write, so reports keep converting', async () => {
+  clearRatesCache();
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({ USD: 1, GBP: 1.8, EURO: 0.7, ILS: 3.4 }) }));
+  const db = new IDBWrapper('norate', 1);
+  const now = new Date();
+
+  await db.addCost({ sum: 10, currency: 'USD', category: 'Food', description: 'lunch' });
+  await expect(db.addCost({ sum: 5, currency: 'CHF', category: 'Food', description: 'coffee' }))
+    .rejects.toThrow(UnknownCurrencyError);
+  await expect(db.addCosts([{ sum: 5, currency: 'CHF', category: 'Food', description: 'coffee' }]))
+    .rejects.toThrow(/Item 1: Unknown currency "CHF"/);
+  await expect(db.setBudget({ category: 'Food', amount: 50, currency: 'CHF' })).rejects.toThrow(UnknownCurrencyError);
+  const [stored] = await db.getCostsByMonthYear(now.getFullYear(), now.getMonth() + 1);
+  await expect(db.updateCost({ id: stored.id, currency: 'CHF' })).rejects.toThrow(UnknownCurrencyError);
+
+  const report = await db.getReport(now.getFullYear(), now.getMonth() + 1, 'USD');
+  expect(report.total.total).toBe(10);
+
+  // A manual rate makes CHF convertible, in the current and transaction-time modes alike.
+  setRateOverrides([{ currency: 'CHF', rate: 0.5 }]);
+  await db.addCost({ sum: 5, currency: 'CHF', category: 'Food', description: 'coffee' });
+  expect((await db.getReport(now.getFullYear(), now.getMonth() + 1, 'USD')).total.total).toBe(20);
+  expect((await db.getReport(now.getFullYear(), now.getMonth() + 1, 'USD', { rateMode: 'transaction' })).total.total).toBe(20);
+  localStorage.removeItem('exchangeRateOverrides');
+});
@@ -0,0 +1,215 @@
+// Unit tests for exchange-rate caching, in-flight de-duplication and offline fallback.
+import {
+  fetchExchangeRates, getRatesStatus, clearRatesCache, DEFAULT_RATES, activeRateOverrides,
+  fetchRatesDetailed, getRatesProvenance, testRatesUrl
+} from '../services/currency_service';
+import {
+  setRatesTtlMinutes, setRateOverrides, setRatesFetchPolicy, setFallbackRatesUrl, DEFAULT_FALLBACK_RATES_URL
+} from '../services/settings';
+
+const RATES = { USD: 1, GBP: 0.8, EURO: 0.9, ILS: 3.7 };
+
+const okFetch = (rates = RATES) =>
+  jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(rates) }));
+
+beforeEach(() => {
+  clearRatesCache();
+  localStorage.setItem('exchangeRatesUrl', 'https://example.com/rates.json');
+  setRatesTtlMinutes(60);
+});
+
+afterEach(() => {
+  localStorage.removeItem('exchangeRateOverrides');
+  localStorage.removeItem('exchangeRatesFetchPolicy');
+  localStorage.removeItem('exchangeRatesFallbackUrl');
+  jest.useRealTimers();
+  jest.resetAllMocks();
+});
+
+test('fetched rates are cached until the TTL runs out', async () => {
+  jest.useFakeTimers({ now: new Date(2024, 4, 1, 12, 0), doNotFake: ['queueMicrotask', 'nextTick'] });
+  global.fetch = okFetch();
+
+  expect(await fetchExchangeRates()).toEqual({ ...RATES, EUR: RATES.EURO });
+  expect(await fetchExchangeRates()).toEqual({ ...RATES, EUR: RATES.EURO });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(getRatesStatus()).toEqual({ state: 'fresh', fetchedAt: new Date(2024, 4, 1, 12, 0).toISOString() });
+
+  jest.setSystemTime(new Date(2024, 4, 1, 13, 1));
+  await fetchExchangeRates();
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+});
+
+test('concurrent callers share one network fetch', async () => {
+  global.fetch = okFetch();
+  const results = await Promise.all(Array.from({ length: 12 }, () => fetchExchangeRates()));
+  expect(results.every(r => r.GBP === 0.8)).toBe(true);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('changing the rates URL bypasses the cache', async () => {
+  global.fetch = okFetch();
+  await fetchExchangeRates();
+  localStorage.setItem('exchangeRatesUrl', 'https://example.com/other.json');
+  await fetchExchangeRates();
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+  expect(global.fetch.mock.calls[1][0]).toBe('https://example.com/other.json');
+});
+
+test('offline: last good rates are used (stale), defaults only when nothing was cached', async () => {
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  expect(await fetchExchangeRates()).toEqual(DEFAULT_RATES);
+  expect(getRatesStatus().state).toBe('default');
+
+  global.fetch = okFetch();
+  await fetchExchangeRates({ force: true });
+
+  setRatesTtlMinutes(0);
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  expect(await fetchExchangeRates()).toEqual({ ...RATES, EUR: RATES.EURO });
+  expect(getRatesStatus().state).toBe('stale');
+});
+
+test('manual overrides replace feed rates from their effective date on', async () => {
+  jest.useFakeTimers({ now: new Date(2024, 4, 10, 12, 0), doNotFake: ['queueMicrotask', 'nextTick'] });
+  global.fetch = okFetch();
+  setRateOverrides([
+    { currency: 'EURO', rate: 0.95 },
+    { currency: 'GBP', rate: 0.75, effectiveFrom: '2024-05-01' },
+    { currency: 'GBP', rate: 0.7, effectiveFrom: '2024-06-01' }
+  ]);
+
+  const rates = await fetchExchangeRates();
+  expect(rates).toMatchObject({ USD: 1, EUR: 0.95, EURO: 0.95, GBP: 0.75, ILS: 3.7 });
+  expect(await fetchExchangeRates({ overrides: false })).toMatchObject({ EUR: 0.9, GBP: 0.8 });
+  expect(Object.keys(activeRateOverrides())).toEqual(['EUR', 'GBP']);
+
+  jest.setSystemTime(new Date(2024, 5, 2, 12, 0));
+  expect((await fetchExchangeRates()).GBP).toBe(0.7);
+});
+
+test('overrides also apply when the feed is unreachable', async () => {
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  setRateOverrides([{ currency: 'ILS', rate: 3.65 }]);
+  expect(await fetchExchangeRates()).toMatchObject({ ...DEFAULT_RATES, ILS: 3.65 });
+});
+
+test('invalid override rows are rejected', () => {
+  expect(() => setRateOverrides([{ currency: 'XYZ', rate: 1 }])).toThrow(/ISO 4217/);
+  expect(() => setRateOverrides([{ currency: 'USD', rate: 2 }])).toThrow(/base currency/);
+  expect(() => setRateOverrides([{ currency: 'GBP', rate: 0 }])).toThrow(/> 0/);
+  expect(() => setRateOverrides([{ currency: 'GBP', rate: 1, effectiveFrom: 'May 1' }])).toThrow(/YYYY-MM-DD/);
+});
+
+test('provenance names the source, the fallback level and why earlier sources failed', async () => {
+  global.fetch = jest.fn((url) => (url === 'https://example.com/rates.json'
+    ? Promise.resolve({ ok: false, status: 404 })
+    : Promise.resolve({ ok: true, json: () => Promise.resolve(RATES) })));
+
+  const { provenance } = await fetchRatesDetailed();
+  expect(provenance).toMatchObject({
+    url: '/rates.json', fallbackLevel: 1, fromCache: false, stale: false,
+    errors: [{ url: 'https://example.com/rates.json', error: 'HTTP 404' }]
+  });
+
+  // Served from the cache afterwards, still naming where the rates came from.
+  await fetchExchangeRates();
+  expect(getRatesProvenance()).toMatchObject({ url: '/rates.json', fallbackLevel: 1, fromCache: true, errors: [] });
+
+  // Every source down and nothing cached: built-in defaults.
+  clearRatesCache();
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  const detailed = await fetchRatesDetailed();
+  expect(detailed.provenance).toMatchObject({ url: null, fallbackLevel: 3, fetchedAt: null });
+  expect(detailed.provenance.errors.map(e => e.error)).toEqual(['Failed to fetch', 'Failed to fetch', 'Failed to fetch']);
+});
+
+test('rates from a fallback source are reused only briefly, then the configured URL is retried', async () => {
+  jest.useFakeTimers({ now: new Date(2024, 4, 1, 12, 0), doNotFake: ['queueMicrotask', 'nextTick'] });
+  global.fetch = jest.fn((url) => (url === 'https://example.com/rates.json'
+    ? Promise.resolve({ ok: false, status: 503 })
+    : Promise.resolve({ ok: true, json: () => Promise.resolve(RATES) })));
+
+  await fetchExchangeRates();
+  await fetchExchangeRates();
+  expect(global.fetch.mock.calls.map(c => c[0])).toEqual(['https://example.com/rates.json', '/rates.json']);
+
+  // Well within the TTL, but past the retry window: the configured URL is tried first again.
+  global.fetch = okFetch();
+  jest.setSystemTime(new Date(2024, 4, 1, 12, 2));
+  const { provenance } = await fetchRatesDetailed();
+  expect(global.fetch.mock.calls.map(c => c[0])).toEqual(['https://example.com/rates.json']);
+  expect(provenance).toMatchObject({ url: 'https://example.com/rates.json', fallbackLevel: 0, fromCache: false });
+});
+
+test('cached rates from another fetch policy are not served as fresh', async () => {
+  // Filled from the external fallback under 'chain'.
+  global.fetch = jest.fn((url) => (url === DEFAULT_FALLBACK_RATES_URL
+    ? Promise.resolve({ ok: true, json: () => Promise.resolve(RATES) })
+    : Promise.reject(new TypeError('Failed to fetch'))));
+  expect((await fetchRatesDetailed()).provenance.url).toBe(DEFAULT_FALLBACK_RATES_URL);
+
+  // Same TTL window, stricter policy: the network is asked again, and never the fallback host.
+  setRatesFetchPolicy('configured');
+  global.fetch = okFetch({ USD: 1, GBP: 0.5 });
+  expect((await fetchExchangeRates()).GBP).toBe(0.5);
+  expect(global.fetch.mock.calls.map(c => c[0])).toEqual(['https://example.com/rates.json']);
+
+  // Cached under 'configured' now, so served from the cache.
+  await fetchExchangeRates();
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(JSON.parse(localStorage.getItem('exchangeRatesCache')).policy).toBe('configured');
+});
+
+test('testRatesUrl previews parsed rates or reports the exact failure, without caching', async () => {
+  global.fetch = okFetch({ USD: 1, GBP: 0.8 });
+  expect(await testRatesUrl('https://example.com/test.json')).toEqual({ ok: true, rates: { USD: 1, GBP: 0.8 } });
+
+  global.fetch = okFetch({ GBP: 0.8 });
+  expect(await testRatesUrl('https://example.com/test.json')).toEqual({ ok: false, error: 'Invalid rates shape: missing/invalid USD' });
+
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.reject(new SyntaxError('Unexpected token <')) }));
+  expect(await testRatesUrl('https://example.com/test.json')).toEqual({ ok: false, error: 'Unexpected token <' });
+
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(localStorage.getItem('exchangeRatesCache')).toBeNull();
+});
+
+test('the fetch policy limits which sources are contacted', async () => {
+  const down = () => jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  const tried = async () => {
+    clearRatesCache();
+    global.fetch = down();
+    const { provenance } = await fetchRatesDetailed();
+    return { urls: global.fetch.mock.calls.map(c => c[0]), provenance };
+  };
+
+  // Chained (default): configured -> same-origin -> external fallback.
+  expect((await tried()).urls).toEqual(['https://example.com/rates.json', '/rates.json', DEFAULT_FALLBACK_RATES_URL]);
+
+  setFallbackRatesUrl('https://mirror.example.org/rates.json');
+  expect((await tried()).urls).toEqual(['https://example.com/rates.json', '/rates.json', 'https://mirror.example.org/rates.json']);
+
+  setFallbackRatesUrl('');
+  expect((await tried()).urls).toEqual(['https://example.com/rates.json', '/rates.json']);
+
+  // Same-origin only: the cross-origin configured URL is skipped, never fetched.
+  setFallbackRatesUrl(DEFAULT_FALLBACK_RATES_URL);
+  setRatesFetchPolicy('same-origin');
+  const sameOrigin = await tried();
+  expect(sameOrigin.urls).toEqual(['/rates.json']);
+  expect(sameOrigin.provenance.errors[0]).toEqual({
+    url: 'https://example.com/rates.json', error: 'Skipped: not same-origin (fetch policy)'
+  });
+  global.fetch = down();
+  expect(await testRatesUrl('https://example.com/test.json')).toEqual({
+    ok: false, error: 'Skipped: not same-origin (fetch policy)'
+  });
+  expect(global.fetch).not.toHaveBeenCalled();
+
+  // Configured URL only.
+  setRatesFetchPolicy('configured');
+  const configured = await tried();
+  expect(configured.urls).toEqual(['https://example.com/rates.json']);
+  expect(configured.provenance.fallbackLevel).toBe(3);
+});
@@ -0,0 +1,99 @@
+// Unit tests for the per-expense change history (audit log) in IDBWrapper.
+import IDBWrapper from '../idb';
+
+function deleteDB(name = 'costsdb') {
+  return new Promise((resolve) => {
+    const req = indexedDB.deleteDatabase(name);
+    req.onsuccess = req.onerror = req.onblocked = () => resolve();
+  });
+}
+
+beforeEach(async () => {
+  await deleteDB();
+  global.fetch = jest.fn(() =>
+    Promise.resolve({ ok: true, json: () => Promise.resolve({ USD: 1, GBP: 1.8, EURO: 0.7, ILS: 3.4 }) })
+  );
+});
+
+afterEach(() => {
+  jest.resetAllMocks();
+});
+
+// addCost resolves the spec-shaped item (no id), so read the stored record back.
+async function addAndGet(db, cost) {
+  await db.addCost(cost);
+  const d = cost.date || new Date();
+  const list = await db.getCostsInRange(d, d);
+  return list.find(c => c.description === cost.description);
+}
+
+test('add, update and delete are logged with field diffs (newest first)', async () => {
+  const db = new IDBWrapper('costsdb', 1);
+  const { id } = await addAndGet(db, { sum: 10, currency: 'USD', category: 'Food', description: 'lunch' });
+  await db.updateCost({ id, sum: 12, currency: 'USD', category: 'Food', description: 'lunch + tip' });
+  await db.deleteCost(id);
+
+  const history = await db.getHistory(id);
+  expect(history.map(h => h.op)).toEqual(['delete', 'update', 'add']);
+
+  const [del, upd, add] = history;
+  expect(add.diff.sum).toEqual({ before: null, after: 10 });
+  expect(upd.diff.sum).toEqual({ before: 10, after: 12 });
+  expect(upd.diff.description).toEqual({ before: 'lunch', after: 'lunch + tip' });
+  expect(upd.diff.category).toBeUndefined();
+  expect(del.diff.deletedAt.before).toBeNull();
+});
+
+test('an update that changes nothing is not logged', async () => {
+  const db = new IDBWrapper('costsdb', 1);
+  const added = await addAndGet(db, { sum: 5, currency: 'USD', category: 'Food', description: 'tea', date: '2024-03-10' });
+  await db.updateCost({ id: added.id, sum: 5, currency: 'USD', category: 'Food', description: 'tea', date: added._ts });
+
+  expect(await db.getHistory(added.id)).toHaveLength(1);
+});
+
+test('revertCost restores an earlier version and logs a revert entry', async () => {
+  const db = new IDBWrapper('costsdb', 1);
+  const { id } = await addAndGet(db, { sum: 10, currency: 'USD', category: 'Food', description: 'v1' });
+  await db.updateCost({ id, sum: 20, currency: 'GBP', category: 'Food', description: 'v2' });
+  await db.updateCost({ id, sum: 30, currency: 'GBP', category: 'Health', description: 'v3' });
+
+  const addEntry = (await db.getHistory(id)).find(h => h.op === 'add');
+  await db.revertCost(id, addEntry.id);
+
+  const now = new Date();
+  const [cost] = await db.getCostsByMonthYear(now.getFullYear(), now.getMonth() + 1);
+  expect(cost).toMatchObject({ sum: 10, currency: 'USD', category: 'Food', description: 'v1' });
+
+  const [latest] = await db.getHistory(id);
+  expect(latest.op).toBe('revert');
+  expect(latest.revertedTo).toBe(addEntry.id);
+  expect(latest.diff.sum).toEqual({ before: 30, after: 10 });
+});
+
+test('purging a cost removes its history', async () => {
+  const db = new IDBWrapper('costsdb', 1);
+  const { id } = await addAndGet(db, { sum: 10, currency: 'USD', category: 'Food', description: 'gone' });
+  await db.deleteCost(id);
+  await db.purgeCost(id);
+
+  expect(await db.getHistory(id)).toEqual([]);
+});
+
+test('a failing history write rejects update and revert instead of hanging', async () => {
+  const db = new IDBWrapper('costsdb', 1);
+  const { id } = await addAndGet(db, { sum: 10, currency: 'USD', category: 'Food', description: 'lunch' });
+  await db.updateCost({ id, sum: 12 });
+  const [, added] = await db.getHistory(id);
+
+  // Re-adding an existing history id fails the request, which aborts the whole transaction.
+  const logChange = db.logChange_;
+  db.logChange_ = (tx, costId) => tx.objectStore('history').add({ id: added.id, costId, op: 'update', diff: {} });
+  await expect(db.updateCost({ id, sum: 15 })).rejects.toMatchObject({ name: 'ConstraintError' });
+  await expect(db.revertCost(id, added.id)).rejects.toMatchObject({ name: 'ConstraintError' });
+  db.logChange_ = logChange;
+
+  const now = new Date();
+  const [stored] = await db.getCostsByMonthYear(now.getFullYear(), now.getMonth() + 1);
+  expect(stored.sum).toBe(12);
+});
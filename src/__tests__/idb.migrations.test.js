@@ -0,0 +1,64 @@
+// Unit tests for the schema migration framework (fake-indexeddb, no UI).
+import IDBWrapper from '../idb';
+import { MIGRATIONS, SCHEMA_VERSION, pendingMigrations } from '../idb_migrations';
+
+// Utility: delete the database before each test to start clean.
+function deleteDB(name = 'costsdb') {
+  return new Promise((resolve) => {
+    const req = indexedDB.deleteDatabase(name);
+    req.onsuccess = req.onerror = req.onblocked = () => resolve();
+  });
+}
+
+// Utility: create a DB the way the original v1 build did, seeded with raw records.
+function seedLegacyV1(records, name = 'costsdb') {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(name, 1);
+    req.onupgradeneeded = (e) => {
+      const store = e.target.result.createObjectStore('costs', { keyPath: 'id', autoIncrement: true });
+      store.createIndex('ym', ['year', 'month'], { unique: false });
+      records.forEach((r) => store.add(r));
+    };
+    req.onsuccess = (e) => { e.target.result.close(); resolve(); };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+beforeEach(async () => {
+  await deleteDB();
+});
+
+test('fresh database is created at SCHEMA_VERSION with store and index', async () => {
+  const db = await new IDBWrapper('costsdb').db_();
+  expect(db.version).toBe(SCHEMA_VERSION);
+  const store = db.transaction('costs', 'readonly').objectStore('costs');
+  expect(store.indexNames.contains('ym')).toBe(true);
+});
+
+test('legacy v1 database is upgraded and old records are backfilled once', async () => {
+  await seedLegacyV1([
+    { sum: 10, currency: 'USD', category: 'Food', description: 'no date fields' },
+    { sum: 20, currency: 'ILS', category: 'Car', description: 'ts only', _ts: '2024-03-15T10:00:00.000Z' },
+  ]);
+
+  // Callers pinned to v1 still receive the current schema.
+  const wrapper = new IDBWrapper('costsdb', 1);
+  const db = await wrapper.db_();
+  expect(db.version).toBe(SCHEMA_VERSION);
+
+  const march = await wrapper.getCostsByMonthYear(2024, 3);
+  expect(march).toHaveLength(1);
+  expect(march[0]).toMatchObject({ year: 2024, month: 3, day: 15, Date: { day: 15 } });
+
+  const now = new Date();
+  const current = await wrapper.getCostsByMonthYear(now.getFullYear(), now.getMonth() + 1);
+  expect(current).toHaveLength(1);
+  expect(typeof current[0]._ts).toBe('string');
+});
+
+test('pendingMigrations selects only the steps between two versions', () => {
+  expect(pendingMigrations(0, SCHEMA_VERSION)).toEqual(MIGRATIONS);
+  expect(pendingMigrations(SCHEMA_VERSION, SCHEMA_VERSION)).toEqual([]);
+  expect(pendingMigrations(1, 2).map((m) => m.version)).toEqual([2]);
+  expect(() => pendingMigrations(0, 3, [{ version: 2 }, { version: 1 }])).toThrow(/out of order/);
+});
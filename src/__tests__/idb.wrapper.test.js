@@ -1,5 +1,7 @@
 // Unit tests for the IndexedDB wrapper (no UI).
 import IDBWrapper from '../idb';
+import { clearRatesCache } from '../services/currency_service';
+import { setRateOverrides, setRatesFetchPolicy } from '../services/settings';
 
 const RATES = { USD: 1, GBP: 1.8, EURO: 0.7, ILS: 3.4 };
 
@@ -42,8 +44,151 @@ test('addCost + getCostsByMonthYear + getReport (USD)', async () => {
   const expectedTotal = Number((200 + 100 / 1.8).toFixed(2));
   expect(report.total.total).toBe(expectedTotal);
   expect(report.total.currency).toBe('USD');
+  expect(report.byCategory).toEqual({ Food: 200, Education: 55.56 });
 
   // Items remain in their original currency.
   expect(report.costs.some(c => c.currency === 'USD')).toBe(true);
   expect(report.costs.some(c => c.currency === 'GBP')).toBe(true);
 });
+
+test('getCostsInRange returns inclusive day ranges with order and limit', async () => {
+  const db = new IDBWrapper('costsdb', 1);
+  await db.addCost({ sum: 1, currency: 'USD', category: 'Food', description: 'a' });
+  await db.addCost({ sum: 2, currency: 'USD', category: 'Food', description: 'b' });
+  await db.addCost({ sum: 3, currency: 'USD', category: 'Food', description: 'c' });
+
+  // Re-date the inserted rows: Jan 1, Jan 31 (late evening), Feb 1.
+  const now = new Date();
+  const rows = await db.getCostsByMonthYear(now.getFullYear(), now.getMonth() + 1);
+  await db.updateCost({ id: rows[0].id, date: new Date(2024, 0, 1, 9) });
+  await db.updateCost({ id: rows[1].id, date: new Date(2024, 0, 31, 23, 30) });
+  await db.updateCost({ id: rows[2].id, date: new Date(2024, 1, 1, 8) });
+
+  const january = await db.getCostsInRange('2024-01-01', '2024-01-31');
+  expect(january.map(c => c.description)).toEqual(['a', 'b']);
+
+  const latest = await db.getCostsInRange(new Date(2024, 0, 1), new Date(2024, 1, 29), { order: 'desc', limit: 2 });
+  expect(latest.map(c => c.description)).toEqual(['c', 'b']);
+
+  await expect(db.getCostsInRange('2024-02-01', '2024-01-01')).rejects.toThrow(/start/);
+});
+
+test('addCost backdates with coherent date fields and rejects future dates', async () => {
+  const db = new IDBWrapper('costsdb', 1);
+  await db.addCost({ sum: 5, currency: 'USD', category: 'Food', description: 'late', date: '2024-02-10' });
+
+  const [row] = await db.getCostsByMonthYear(2024, 2);
+  expect(row).toMatchObject({ year: 2024, month: 2, day: 10, Date: { day: 10 } });
+  expect(new Date(row._ts).getDate()).toBe(10);
+
+  const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const future = { sum: 5, currency: 'USD', category: 'Food', description: 'soon', date: tomorrow };
+  await expect(db.addCost(future)).rejects.toThrow(/future/);
+  await expect(db.addCost(future, { allowFuture: true })).resolves.toMatchObject({ sum: 5 });
+});
+
+test('getBudgetsFor lets a month-specific budget override the default', async () => {
+  const db = new IDBWrapper('costsdb', 1);
+  await db.setBudget({ category: 'Food', amount: 500, currency: 'ILS' });
+  await db.setBudget({ category: 'Car', amount: 100, currency: 'USD' });
+  await db.setBudget({ category: 'Food', amount: 800, currency: 'ILS', year: 2024, month: 12 });
+
+  const dec = await db.getBudgetsFor(2024, 12);
+  expect(dec.Food).toMatchObject({ amount: 800, period: '2024-12' });
+  expect(dec.Car).toMatchObject({ amount: 100, period: 'default' });
+  expect((await db.getBudgetsFor(2024, 11)).Food.amount).toBe(500);
+
+  await expect(db.setBudget({ category: 'Food', amount: 0, currency: 'USD' })).rejects.toThrow(/amount/);
+});
+
+test('deleteCost moves to trash; reports skip it until restored; purgeTrash honors retention', async () => {
+  const db = new IDBWrapper('costsdb', 1);
+  await db.addCost({ sum: 10, currency: 'USD', category: 'Food', description: 'keep', date: '2024-06-01' });
+  await db.addCost({ sum: 20, currency: 'USD', category: 'Food', description: 'trash me', date: '2024-06-02' });
+  const [, victim] = await db.getCostsByMonthYear(2024, 6);
+
+  await db.deleteCost(victim.id);
+  expect((await db.getCostsByMonthYear(2024, 6)).map(c => c.description)).toEqual(['keep']);
+  expect(await db.getCostsInRange('2024-06-01', '2024-06-30')).toHaveLength(1);
+  expect((await db.getReport(2024, 6, 'USD')).total.total).toBe(10);
+  expect((await db.getTrash()).map(c => c.id)).toEqual([victim.id]);
+
+  await db.restoreCost(victim.id);
+  expect(await db.getCostsByMonthYear(2024, 6)).toHaveLength(2);
+
+  await db.deleteCost(victim.id);
+  const inTenDays = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000);
+  expect(await db.purgeTrash(30, inTenDays)).toBe(0);
+  expect(await db.purgeTrash(7, inTenDays)).toBe(1);
+  expect(await db.getTrash()).toHaveLength(0);
+});
+
+test('delete and restore reject when the transaction fails instead of hanging', async () => {
+  const db = new IDBWrapper('costsdb', 1);
+  await db.addCost({ sum: 10, currency: 'USD', category: 'Food', description: 'x', date: '2024-06-01' });
+  const [cost] = await db.getCostsByMonthYear(2024, 6);
+
+  // The history write aborts the transaction: the cost is neither trashed nor restored.
+  const logChange = db.logChange_;
+  db.logChange_ = (tx) => tx.abort();
+  await expect(db.deleteCost(cost.id)).rejects.toThrow('Delete aborted');
+  expect(await db.getTrash()).toHaveLength(0);
+  db.logChange_ = logChange;
+
+  await db.deleteCost(cost.id);
+  db.logChange_ = (tx) => tx.abort();
+  await expect(db.restoreCost(cost.id)).rejects.toThrow('Restore aborted');
+  expect(await db.getTrash()).toHaveLength(1);
+  db.logChange_ = logChange;
+});
+
+test('getReport converts at transaction-time or current rates and reports FX gain/loss', async () => {
+  clearRatesCache();
+  const db = new IDBWrapper('costsdb', 1);
+
+  // Added while 1 USD = 1.8 GBP → 180 GBP is 100 USD at transaction time.
+  await db.addCost({ sum: 180, currency: 'GBP', category: 'Education', description: 'course' });
+
+  // Rates move afterwards: 1 USD = 0.9 GBP → the same 180 GBP is 200 USD today.
+  global.fetch = jest.fn(() =>
+    Promise.resolve({ ok: true, json: () => Promise.resolve({ ...RATES, GBP: 0.9 }) })
+  );
+  clearRatesCache(); // as if the cached rates had expired
+
+  const now = new Date();
+  const [stored] = await db.getCostsByMonthYear(now.getFullYear(), now.getMonth() + 1);
+  expect(stored.rates).toEqual({ USD: 1, GBP: 1.8, EUR: 0.7, ILS: 3.4 });
+
+  const current = await db.getReport(now.getFullYear(), now.getMonth() + 1, 'USD');
+  expect(current.total.total).toBe(200);
+
+  const historical = await db.getReport(now.getFullYear(), now.getMonth() + 1, 'USD', { rateMode: 'transaction' });
+  expect(historical.total.total).toBe(100);
+  expect(historical.fx).toEqual({ rateMode: 'transaction', atTransaction: 100, atCurrent: 200, gainLoss: 100 });
+  expect(historical.byCategory).toEqual({ Education: 100 });
+});
+
+test('manual rate overrides reach getReport and new cost snapshots', async () => {
+  clearRatesCache();
+  setRateOverrides([{ currency: 'GBP', rate: 2 }]);
+  const db = new IDBWrapper('costsdb', 1);
+
+  await db.addCost({ sum: 100, currency: 'GBP', category: 'Food', description: 'dinner' });
+
+  const now = new Date();
+  const [stored] = await db.getCostsByMonthYear(now.getFullYear(), now.getMonth() + 1);
+  expect(stored.rates.GBP).toBe(2);
+  expect((await db.getReport(now.getFullYear(), now.getMonth() + 1, 'USD')).total.total).toBe(50);
+  setRateOverrides([]);
+});
+
+test('fetchRates_ honors the rates fetch policy', async () => {
+  clearRatesCache();
+  setRatesFetchPolicy('configured');
+  global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 503 }));
+  const db = new IDBWrapper('costsdb', 1);
+
+  expect(await db.fetchRates_()).toMatchObject({ USD: 1 });
+  expect(global.fetch.mock.calls.map(c => c[0])).toEqual(['https://example.com/rates.json']);
+  localStorage.removeItem('exchangeRatesFetchPolicy');
+});
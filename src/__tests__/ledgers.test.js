@@ -0,0 +1,75 @@
+// Unit tests for named ledgers (one IndexedDB database per ledger).
+import {
+  getLedgers, getActiveLedger, setActiveLedger, createLedger, renameLedger, deleteLedger, getActiveDb
+} from '../services/ledgers';
+
+function deleteDB(name) {
+  return new Promise((resolve) => {
+    const req = indexedDB.deleteDatabase(name);
+    req.onsuccess = req.onerror = req.onblocked = () => resolve();
+  });
+}
+
+beforeEach(async () => {
+  localStorage.clear();
+  await deleteDB('costsdb');
+  global.fetch = jest.fn(() =>
+    Promise.resolve({ ok: true, json: () => Promise.resolve({ USD: 1, GBP: 1.8, EURO: 0.7, ILS: 3.4 }) })
+  );
+});
+
+afterEach(() => {
+  jest.resetAllMocks();
+});
+
+test('the default ledger is the original costsdb database', () => {
+  expect(getLedgers()).toEqual([{ id: 'default', name: 'Personal', dbName: 'costsdb' }]);
+  expect(getActiveLedger().dbName).toBe('costsdb');
+  expect(getActiveDb().dbName).toBe('costsdb');
+});
+
+test('create, rename and validate ledger names', () => {
+  const home = createLedger('  Household ');
+  expect(home.name).toBe('Household');
+  expect(home.dbName).not.toBe('costsdb');
+  expect(getLedgers().map(l => l.name)).toEqual(['Personal', 'Household']);
+
+  expect(() => createLedger('household')).toThrow(/already exists/);
+  expect(() => createLedger(' ')).toThrow(/required/);
+
+  renameLedger(home.id, 'Shared');
+  expect(getLedgers()[1]).toEqual({ ...home, name: 'Shared' });
+});
+
+test('each ledger keeps its own costs', async () => {
+  await getActiveDb().addCost({ sum: 10, currency: 'USD', category: 'Food', description: 'mine' });
+
+  const home = createLedger('Household');
+  setActiveLedger(home.id);
+  await getActiveDb().addCost({ sum: 99, currency: 'USD', category: 'Utilities', description: 'shared' });
+
+  const now = new Date();
+  const shared = await getActiveDb().getCostsByMonthYear(now.getFullYear(), now.getMonth() + 1);
+  expect(shared.map(c => c.description)).toEqual(['shared']);
+
+  setActiveLedger('default');
+  const mine = await getActiveDb().getCostsByMonthYear(now.getFullYear(), now.getMonth() + 1);
+  expect(mine.map(c => c.description)).toEqual(['mine']);
+
+  await deleteLedger(home.id);
+});
+
+test('deleting the active ledger drops its database and activates another', async () => {
+  const home = createLedger('Household');
+  setActiveLedger(home.id);
+  await getActiveDb().addCost({ sum: 5, currency: 'USD', category: 'Food', description: 'x' });
+
+  await deleteLedger(home.id);
+  expect(getActiveLedger().id).toBe('default');
+  expect(getLedgers()).toHaveLength(1);
+
+  const names = (await indexedDB.databases()).map(d => d.name);
+  expect(names).not.toContain(home.dbName);
+
+  await expect(deleteLedger('default')).rejects.toThrow(/last ledger/);
+});
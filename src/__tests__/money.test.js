@@ -0,0 +1,75 @@
+// Unit tests pinning minor-unit rounding, conversion and exact sums.
+import 'fake-indexeddb/auto';
+import IDBWrapper from '../idb';
+import {
+  toMinor, fromMinor, roundMoney, sumMoney, addMoney, convert, signedAmount, UnknownCurrencyError
+} from '../services/money';
+import { setRoundingMode } from '../services/settings';
+import { clearRatesCache } from '../services/currency_service';
+
+const RATES = { USD: 1, GBP: 1.8, EURO: 0.7, ILS: 3.4, JPY: 150 };
+
+afterEach(() => {
+  localStorage.removeItem('roundingMode');
+});
+
+test('amounts become integer minor units without float noise', () => {
+  expect(toMinor(1.005, 'USD')).toBe(101);
+  expect(toMinor(0.1 + 0.2, 'USD')).toBe(30);
+  expect(toMinor(1234.5, 'JPY')).toBe(1235);
+  expect(toMinor(-2.345, 'USD')).toBe(-235);
+  expect(fromMinor(101, 'USD')).toBe(1.01);
+  expect(fromMinor(1235, 'JPY')).toBe(1235);
+});
+
+test('ties round half-up by default and half-even when configured', () => {
+  expect(roundMoney(2.345, 'USD')).toBe(2.35);
+  expect(roundMoney(2.355, 'USD')).toBe(2.36);
+  expect(roundMoney(2.345, 'USD', 'half-even')).toBe(2.34);
+  expect(roundMoney(2.355, 'USD', 'half-even')).toBe(2.36);
+  expect(roundMoney(2.3451, 'USD', 'half-even')).toBe(2.35);
+
+  setRoundingMode('half-even');
+  expect(roundMoney(0.125, 'USD')).toBe(0.12);
+  expect(() => roundMoney(1, 'USD', 'down')).toThrow(/rounding must be one of/);
+});
+
+test('sums are exact in minor units', () => {
+  expect(sumMoney([0.1, 0.2, 0.3], 'USD')).toBe(0.6);
+  expect(sumMoney(Array(10).fill(0.1), 'USD')).toBe(1);
+  expect(addMoney(19.99, -20, 'USD')).toBe(-0.01);
+});
+
+test('convert rounds once to the target minor unit and rejects unknown currencies', () => {
+  expect(convert(100, 'USD', 'ILS', RATES)).toBe(340);
+  expect(convert(10, 'ILS', 'USD', RATES)).toBe(2.94);
+  expect(convert(10, 'EUR', 'GBP', RATES)).toBe(25.71);
+  expect(convert(1, 'USD', 'JPY', RATES)).toBe(150);
+  expect(convert(100, 'JPY', 'USD', RATES)).toBe(0.67);
+  expect(convert(12.345, 'USD', 'USD', RATES)).toBe(12.35);
+
+  expect(() => convert(1, 'CHF', 'USD', RATES)).toThrow(UnknownCurrencyError);
+  expect(() => convert(1, 'USD', 'CHF', RATES)).toThrow(/Unknown currency "CHF"/);
+});
+
+test('signed amounts always show their sign', () => {
+  expect(signedAmount(12.5, '$')).toBe('+$12.50');
+  expect(signedAmount(-3, '€')).toBe('-€3.00');
+  expect(signedAmount(0, '£')).toBe('+£0.00');
+});
+
+test('getReport total equals the sum of the per-cost conversions', async () => {
+  clearRatesCache();
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(RATES) }));
+  const db = new IDBWrapper('moneydb', 1);
+
+  // 1 ILS is 0.294… USD → 0.29 each; rounding only the raw total would give 0.88.
+  const sums = [1, 1, 1];
+  for (const sum of sums) await db.addCost({ sum, currency: 'ILS', category: 'Food', description: 'snack' });
+
+  const now = new Date();
+  const report = await db.getReport(now.getFullYear(), now.getMonth() + 1, 'USD');
+  const perCost = sums.map((s) => convert(s, 'ILS', 'USD', RATES));
+  expect(report.total.total).toBe(sumMoney(perCost, 'USD'));
+  expect(report.total.total).toBe(0.87);
+});
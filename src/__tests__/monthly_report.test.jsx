@@ -0,0 +1,98 @@
+// UI test for the Monthly Report.
+// IDBWrapper and the currency service are mocked; costs are served per requested month.
+
+import React from 'react';
+import { render, screen, fireEvent, within, act } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+
+// Mock IDBWrapper: getCostsByMonthYear answers from COSTS, no budgets are set.
+jest.mock('../idb', () => {
+  const mockGetCostsByMonthYear = jest.fn();
+  return {
+    __esModule: true,
+    default: jest.fn().mockImplementation(() => ({
+      getCostsByMonthYear: mockGetCostsByMonthYear,
+      getBudgetsFor: () => Promise.resolve({}),
+    })),
+    mockGetCostsByMonthYear,
+  };
+});
+
+// Mock currency service: fixed rates, no network.
+jest.mock('../services/currency_service', () => ({
+  __esModule: true,
+  fetchExchangeRates: jest.fn().mockResolvedValue({ USD: 1, GBP: 1.8, EURO: 0.7, ILS: 3.4 }),
+  ratesForCost: (cost, rates) => rates,
+  RATE_MODES: ['transaction', 'dated', 'current'],
+  RATE_MODE_LABELS: { transaction: 'Transaction-time rate', dated: 'Rate on expense date', current: 'Current rate' },
+  getRatesStatus: () => ({ state: 'fresh', fetchedAt: '2024-01-01T00:00:00.000Z' }),
+  activeRateOverrides: () => ({}),
+  getRatesProvenance: () => null,
+}));
+
+import MonthlyReport from '../components/monthly_report';
+import { mockGetCostsByMonthYear } from '../idb';
+
+const cost = (id, day, category, sum, currency = 'USD') => ({
+  id, _ts: `${day}T12:00:00`, category, description: `${category} ${id}`, sum, currency,
+});
+
+// Keyed by `${month}/${year}`
+const COSTS = {
+  '3/2024': [cost(1, '2024-03-02', 'Food', 60), cost(2, '2024-03-05', 'Car', 34, 'ILS')],
+};
+
+const renderReport = (search = '?year=2024&month=3') => render(
+  <MemoryRouter initialEntries={[`/report${search}`]}>
+    <MonthlyReport />
+  </MemoryRouter>
+);
+
+// Pick an option of the MUI Select currently showing `current`.
+const selectOption = (current, option) => {
+  fireEvent.mouseDown(screen.getAllByRole('combobox').find(el => el.textContent === current));
+  fireEvent.click(within(screen.getByRole('listbox')).getByText(option));
+};
+
+beforeEach(() => {
+  mockGetCostsByMonthYear.mockReset();
+  mockGetCostsByMonthYear.mockImplementation((month, year) => Promise.resolve(COSTS[`${month}/${year}`] || []));
+  localStorage.removeItem('homeCurrency');
+  localStorage.removeItem('viewCurrencies');
+});
+
+test('sums the month in the selected currency', async () => {
+  renderReport();
+  expect(await screen.findByText('Total in USD: $70.00 (transaction-time rate)')).toBeInTheDocument();
+  expect(screen.getByText('Total Expenses: 2')).toBeInTheDocument();
+});
+
+test('a slower earlier load does not overwrite the current month', async () => {
+  let resolveSlow;
+  mockGetCostsByMonthYear.mockImplementation((month, year) => (year === 2023
+    ? new Promise((resolve) => { resolveSlow = () => resolve([cost(9, '2023-03-05', 'Rent', 999)]); })
+    : Promise.resolve(COSTS[`${month}/${year}`] || [])));
+  renderReport('?year=2023&month=3');
+  selectOption('2023', '2024');
+  expect(await screen.findByText('Total in USD: $70.00 (transaction-time rate)')).toBeInTheDocument();
+
+  await act(async () => {
+    resolveSlow();
+    await new Promise((r) => setTimeout(r, 0));
+  });
+  expect(screen.queryByText('Rent 9')).not.toBeInTheDocument();
+  expect(screen.getByText('Total in USD: $70.00 (transaction-time rate)')).toBeInTheDocument();
+});
+
+test('?category= narrows the totals and counts, not just the list', async () => {
+  renderReport('?year=2024&month=3&category=Car');
+  expect(await screen.findByText('Total in USD: $10.00 (transaction-time rate)')).toBeInTheDocument();
+  expect(screen.getByText('Summary — Car only')).toBeInTheDocument();
+  expect(screen.getByText('Total Expenses: 1')).toBeInTheDocument();
+  expect(screen.queryByText('Food 1')).not.toBeInTheDocument();
+  expect(screen.queryByText(/Food: /)).not.toBeInTheDocument();
+
+  selectOption('Car', 'All categories');
+  expect(await screen.findByText('Total in USD: $70.00 (transaction-time rate)')).toBeInTheDocument();
+  expect(screen.getByText('Summary')).toBeInTheDocument();
+});
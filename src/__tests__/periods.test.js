@@ -0,0 +1,47 @@
+// Unit tests for the date-range helpers behind the range report.
+import {
+  presetRange, previousPeriod, rangeLength, compareByCategory, dailyTotals, heatLevel, selectableYears
+} from '../services/periods';
+
+const TODAY = new Date(2024, 4, 15); // 15 May 2024
+
+test('presets resolve against today', () => {
+  expect(presetRange('last7', TODAY)).toEqual({ start: '2024-05-09', end: '2024-05-15' });
+  expect(presetRange('last90', TODAY)).toEqual({ start: '2024-02-16', end: '2024-05-15' });
+  expect(presetRange('thisMonth', TODAY)).toEqual({ start: '2024-05-01', end: '2024-05-31' });
+  expect(presetRange('thisQuarter', TODAY)).toEqual({ start: '2024-04-01', end: '2024-06-30' });
+  expect(presetRange('thisYear', TODAY)).toEqual({ start: '2024-01-01', end: '2024-12-31' });
+  expect(() => presetRange('custom', TODAY)).toThrow(/Unknown range preset/);
+});
+
+test('the previous period has the same number of days and ends the day before', () => {
+  expect(rangeLength('2024-03-01', '2024-03-31')).toBe(31);
+  expect(previousPeriod('2024-03-01', '2024-03-31')).toEqual({ start: '2024-01-30', end: '2024-02-29' });
+  expect(previousPeriod('2024-04-01', '2024-06-30')).toEqual({ start: '2024-01-01', end: '2024-03-31' });
+  expect(previousPeriod('2024-05-15', '2024-05-15')).toEqual({ start: '2024-05-14', end: '2024-05-14' });
+  expect(() => rangeLength('2024-05-02', '2024-05-01')).toThrow(/on or before/);
+});
+
+test('categories are compared with absolute and percentage change', () => {
+  const rows = compareByCategory({ Food: 150, Health: 20 }, { Food: 100, Utilities: 40.1 }, 'USD');
+  expect(rows).toEqual([
+    { category: 'Food', current: 150, previous: 100, change: 50, changePct: 50 },
+    { category: 'Health', current: 20, previous: 0, change: 20, changePct: null },
+    { category: 'Utilities', current: 0, previous: 40.1, change: -40.1, changePct: -100 }
+  ]);
+});
+
+test('daily totals group converted costs by local day and map onto heat levels', () => {
+  const at = (d, h) => new Date(2024, 4, d, h).toISOString();
+  const totals = dailyTotals([
+    { _ts: at(3, 9), value: 0.1 }, { _ts: at(3, 21), value: 0.2 }, { _ts: at(4, 12), value: 40 }
+  ], 'USD');
+  expect(totals).toEqual({ '2024-05-03': 0.3, '2024-05-04': 40 });
+
+  expect([0, 0.3, 10, 20, 40].map(v => heatLevel(v, 40))).toEqual([0, 1, 1, 2, 4]);
+  expect(heatLevel(5, 0)).toBe(0);
+});
+
+test('year selectors offer two years back to next year', () => {
+  expect(selectableYears(TODAY)).toEqual([2022, 2023, 2024, 2025]);
+});
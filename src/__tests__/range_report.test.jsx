@@ -0,0 +1,103 @@
+// UI test for the Date Range Report.
+// IDBWrapper and the currency service are mocked; costs are served per requested range.
+
+import React from 'react';
+import { render, screen, fireEvent, within, act } from '@testing-library/react';
+
+// Mock IDBWrapper: getCostsInRange answers from mockCostsFor(start, end).
+jest.mock('../idb', () => {
+  const mockGetCostsInRange = jest.fn();
+  return {
+    __esModule: true,
+    default: jest.fn().mockImplementation(() => ({
+      getCostsInRange: mockGetCostsInRange,
+    })),
+    mockGetCostsInRange,
+  };
+});
+
+// Mock currency service: fixed rates, no network.
+jest.mock('../services/currency_service', () => ({
+  __esModule: true,
+  fetchExchangeRates: jest.fn().mockResolvedValue({ USD: 1, GBP: 1.8, EURO: 0.7, ILS: 3.4 }),
+  ratesForCost: (cost, rates) => rates,
+  RATE_MODES: ['transaction', 'dated', 'current'],
+  RATE_MODE_LABELS: { transaction: 'Transaction-time rate', dated: 'Rate on expense date', current: 'Current rate' },
+  getRatesStatus: () => ({ state: 'fresh', fetchedAt: '2024-01-01T00:00:00.000Z' }),
+  activeRateOverrides: () => ({}),
+  getRatesProvenance: () => null,
+}));
+
+import RangeReport from '../components/range_report';
+import { mockGetCostsInRange } from '../idb';
+
+const cost = (id, day, category, sum, currency = 'USD') => ({
+  id, _ts: `${day}T12:00:00`, category, description: `${category} ${id}`, sum, currency,
+});
+
+// 2024-03-01..2024-03-10 and the ten days before it (2024-02-20..2024-02-29)
+const COSTS = {
+  '2024-03-01/2024-03-10': [cost(1, '2024-03-02', 'Food', 60), cost(2, '2024-03-05', 'Car', 34, 'ILS')],
+  '2024-02-20/2024-02-29': [cost(3, '2024-02-25', 'Food', 40)],
+};
+
+const setRange = (start, end) => {
+  fireEvent.change(screen.getByLabelText('From'), { target: { value: start } });
+  fireEvent.change(screen.getByLabelText('To'), { target: { value: end } });
+};
+
+beforeEach(() => {
+  mockGetCostsInRange.mockReset();
+  mockGetCostsInRange.mockImplementation((start, end) => Promise.resolve(COSTS[`${start}/${end}`] || []));
+  localStorage.removeItem('homeCurrency');
+  localStorage.removeItem('viewCurrencies');
+});
+
+test('compares totals and categories with the previous period of equal length', async () => {
+  render(<RangeReport />);
+  setRange('2024-03-01', '2024-03-10');
+
+  expect(await screen.findByText('Total in USD: $70.00 (transaction-time rate)')).toBeInTheDocument();
+  expect(screen.getByText('10 days, compared with 2024-02-20 to 2024-02-29')).toBeInTheDocument();
+  expect(screen.getByText('Previous period: $40.00 (+$30.00, +75.0%)')).toBeInTheDocument();
+  expect(mockGetCostsInRange).toHaveBeenCalledWith('2024-02-20', '2024-02-29');
+
+  const table = screen.getByRole('table', { name: /compared with the previous period/i });
+  const food = within(table).getByText('Food').closest('tr');
+  expect(within(food).getByText('+$20.00')).toBeInTheDocument();
+  expect(within(food).getByText('+50.0%')).toBeInTheDocument();
+  const car = within(table).getByText('Car').closest('tr');
+  expect(within(car).getByText('+$10.00')).toBeInTheDocument();
+  expect(within(car).getByText('new')).toBeInTheDocument();
+});
+
+test('a slower earlier load does not overwrite the current range', async () => {
+  let resolveSlow;
+  mockGetCostsInRange.mockImplementation((start, end) => (start === '2023-01-01'
+    ? new Promise((resolve) => { resolveSlow = () => resolve([cost(9, '2023-01-05', 'Rent', 999)]); })
+    : Promise.resolve(COSTS[`${start}/${end}`] || [])));
+  render(<RangeReport />);
+
+  setRange('2023-01-01', '2023-01-10');
+  setRange('2024-03-01', '2024-03-10');
+  expect(await screen.findByText('Total in USD: $70.00 (transaction-time rate)')).toBeInTheDocument();
+
+  await act(async () => {
+    resolveSlow();
+    await new Promise((r) => setTimeout(r, 0));
+  });
+  expect(screen.queryByText(/\$999\.00/)).not.toBeInTheDocument();
+  expect(screen.getByText('Total in USD: $70.00 (transaction-time rate)')).toBeInTheDocument();
+});
+
+test('an invalid range hides the previous results', async () => {
+  render(<RangeReport />);
+  setRange('2024-03-01', '2024-03-10');
+  expect(await screen.findByText('Total in USD: $70.00 (transaction-time rate)')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('From'), { target: { value: '2024-03-20' } });
+
+  expect(await screen.findByText('start must be on or before end')).toBeInTheDocument();
+  expect(screen.queryByText(/Total in USD/)).not.toBeInTheDocument();
+  expect(screen.queryByText('Food 1')).not.toBeInTheDocument();
+});
@@ -0,0 +1,71 @@
+// Unit tests for the exchange-rate history (ratesdb) and reports at "rate on expense date".
+import IDBWrapper from '../idb';
+import {
+  recordRatesSnapshot, getRateHistory, getRatesOn, clearRateHistory, RATES_MIGRATIONS
+} from '../services/rate_history';
+import { fetchExchangeRates, clearRatesCache } from '../services/currency_service';
+import { setRateOverrides } from '../services/settings';
+
+const RATES = { USD: 1, GBP: 1.8, EURO: 0.7, ILS: 3.4 };
+
+beforeEach(async () => {
+  await clearRateHistory();
+  clearRatesCache();
+  global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(RATES) }));
+});
+
+afterEach(() => {
+  localStorage.removeItem('exchangeRateOverrides');
+});
+
+test('ratesdb is created through the migrations runner', () => {
+  expect(RATES_MIGRATIONS.map(m => m.version)).toEqual([1]);
+});
+
+test('only distinct snapshots are recorded', async () => {
+  expect(await recordRatesSnapshot({ USD: 1, ILS: 3.6 }, new Date(2024, 0, 5, 9))).toBe(true);
+  expect(await recordRatesSnapshot({ ILS: 3.6, USD: 1 }, new Date(2024, 0, 6, 9))).toBe(false);
+  expect(await recordRatesSnapshot({ USD: 1, ILS: 3.7 }, new Date(2024, 1, 1, 9))).toBe(true);
+  // EURO and EUR are the same currency.
+  expect(await recordRatesSnapshot({ USD: 1, ILS: 3.7, EURO: 0.9 }, new Date(2024, 1, 2, 9))).toBe(true);
+  expect(await recordRatesSnapshot({ USD: 1, ILS: 3.7, EUR: 0.9 }, new Date(2024, 1, 3, 9))).toBe(false);
+
+  const all = await getRateHistory();
+  expect(all.map(s => s.date)).toEqual(['2024-01-05', '2024-02-01', '2024-02-02']);
+  expect((await getRateHistory({ from: '2024-02-01', to: '2024-02-01' })).map(s => s.rates.ILS)).toEqual([3.7]);
+});
+
+test('rates on a date are the latest snapshot on or before it', async () => {
+  await recordRatesSnapshot({ USD: 1, ILS: 3.6 }, new Date(2024, 0, 5, 9));
+  await recordRatesSnapshot({ USD: 1, ILS: 3.7 }, new Date(2024, 1, 1, 9));
+
+  expect(await getRatesOn('2024-01-04')).toBeNull();
+  expect((await getRatesOn('2024-01-31')).ILS).toBe(3.6);
+  expect((await getRatesOn(new Date(2024, 1, 1))).ILS).toBe(3.7);
+  expect((await getRatesOn('2030-01-01')).ILS).toBe(3.7);
+});
+
+test('each successful fetch records the feed rates', async () => {
+  await fetchExchangeRates();
+  // Recording is fire-and-forget; give IndexedDB a moment.
+  await new Promise((r) => setTimeout(r, 50));
+  const [snap] = await getRateHistory();
+  expect(snap.rates).toMatchObject({ USD: 1, GBP: 1.8, ILS: 3.4 });
+});
+
+test("getReport 'dated' converts each cost at the rates on its date", async () => {
+  await recordRatesSnapshot({ USD: 1, GBP: 0.8, ILS: 3.6 }, new Date(2024, 0, 1, 9));
+  await recordRatesSnapshot({ USD: 1, GBP: 0.5, ILS: 3.6 }, new Date(2024, 0, 20, 9));
+  const db = new IDBWrapper('historyratesdb', 1);
+
+  await db.addCost({ sum: 80, currency: 'GBP', category: 'Food', description: 'a', date: '2024-01-10' });
+  await db.addCost({ sum: 50, currency: 'GBP', category: 'Food', description: 'b', date: '2024-01-25' });
+
+  const dated = await db.getReport(2024, 1, 'USD', { rateMode: 'dated' });
+  expect(dated.total.total).toBe(200); // 80 / 0.8 + 50 / 0.5
+  expect((await db.getReport(2024, 1, 'USD')).total.total).toBe(72.22); // 130 / 1.8
+
+  // Overrides apply from their effective date, also for past months.
+  setRateOverrides([{ currency: 'GBP', rate: 0.4, effectiveFrom: '2024-01-22' }]);
+  expect((await db.getReport(2024, 1, 'USD', { rateMode: 'dated' })).total.total).toBe(225);
+});
@@ -0,0 +1,75 @@
+// Unit tests for the rate-provider adapters, fed with the fixture responses in public/.
+import fs from 'fs';
+import path from 'path';
+import { fetchExchangeRates, clearRatesCache } from '../services/currency_service';
+import { setRatesProvider } from '../services/settings';
+import { rebaseToUsd, getRateProvider } from '../services/rate_providers';
+
+const PUBLIC_DIR = path.join(__dirname, '..', '..', 'public');
+
+// Serve same-origin paths from public/, like the dev server does.
+const serveFromPublic = () => jest.fn((url) => {
+  const file = path.join(PUBLIC_DIR, url.replace(/^https?:\/\/[^/]+/, ''));
+  if (!fs.existsSync(file)) return Promise.resolve({ ok: false, status: 404 });
+  const body = fs.readFileSync(file, 'utf8');
+  return Promise.resolve({ ok: true, text: () => Promise.resolve(body), json: () => Promise.resolve(JSON.parse(body)) });
+});
+
+const useFeed = (url, provider) => {
+  localStorage.setItem('exchangeRatesUrl', url);
+  setRatesProvider(provider);
+};
+
+beforeEach(() => {
+  clearRatesCache();
+  global.fetch = serveFromPublic();
+});
+
+afterEach(() => {
+  localStorage.removeItem('exchangeRatesProvider');
+  localStorage.setItem('exchangeRatesUrl', 'https://example.com/rates.json');
+});
+
+test('flat USD-based feed is used as-is', async () => {
+  useFeed('/rates.json', 'flat');
+  expect(await fetchExchangeRates()).toEqual({ USD: 1, GBP: 1.8, EUR: 0.7, EURO: 0.7, ILS: 3.4 });
+});
+
+test('nested EUR-based feed is rebased onto USD', async () => {
+  useFeed('/fixtures/rates_nested_eur.json', 'nested');
+  const rates = await fetchExchangeRates();
+  expect(rates.USD).toBe(1);
+  expect(rates.EUR).toBeCloseTo(1 / 1.08, 10);
+  expect(rates.EURO).toBe(rates.EUR);
+  expect(rates.GBP).toBeCloseTo(0.8, 10);
+  expect(rates.ILS).toBeCloseTo(3.7222, 4);
+  expect(rates.JPY).toBeCloseTo(155, 10);
+});
+
+test('nested ILS-based feed is rebased onto USD (base counts as 1)', async () => {
+  useFeed('/fixtures/rates_nested_ils.json', 'nested');
+  const rates = await fetchExchangeRates();
+  expect(rates.ILS).toBeCloseTo(1 / 0.27, 10);
+  expect(rates.EUR).toBeCloseTo(0.25 / 0.27, 10);
+  expect(rates.GBP).toBeCloseTo(0.8, 10);
+});
+
+test('ECB daily XML is parsed and rebased from EUR', async () => {
+  useFeed('/fixtures/eurofxref_daily.xml', 'ecb');
+  const rates = await fetchExchangeRates();
+  expect(Object.keys(rates).sort()).toEqual(['CHF', 'EUR', 'EURO', 'GBP', 'ILS', 'JPY', 'USD']);
+  expect(rates.EUR).toBeCloseTo(1 / 1.078, 10);
+  expect(rates.GBP).toBeCloseTo(0.86008 / 1.078, 10);
+});
+
+test('a feed in the wrong format falls back to the same-origin flat rates', async () => {
+  useFeed('/fixtures/eurofxref_daily.xml', 'nested');
+  expect(await fetchExchangeRates()).toMatchObject({ USD: 1, GBP: 1.8, ILS: 3.4 });
+  expect(global.fetch.mock.calls.map(c => c[0])).toEqual(['/fixtures/eurofxref_daily.xml', '/rates.json']);
+});
+
+test('rebasing needs a USD rate and positive numbers', () => {
+  expect(() => rebaseToUsd('EUR', { GBP: 0.86 })).toThrow(/no USD rate/);
+  expect(() => rebaseToUsd('EUR', { USD: 1.08, GBP: -1 })).toThrow(/invalid GBP/);
+  expect(getRateProvider('unknown').id).toBe('flat');
+});
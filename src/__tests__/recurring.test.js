@@ -0,0 +1,63 @@
+// Unit tests for recurring expense rules and their materialization (no UI).
+import IDBWrapper from '../idb';
+import { dueOccurrences } from '../services/recurrence';
+
+// Utility: delete the database before each test to start clean.
+function deleteDB(name = 'costsdb') {
+  return new Promise((resolve) => {
+    const req = indexedDB.deleteDatabase(name);
+    req.onsuccess = req.onerror = req.onblocked = () => resolve();
+  });
+}
+
+beforeEach(async () => {
+  await deleteDB();
+  // New costs snapshot the current rates; keep that off the network.
+  global.fetch = jest.fn(() =>
+    Promise.resolve({ ok: true, json: () => Promise.resolve({ USD: 1, GBP: 1.8, EURO: 0.7, ILS: 3.4 }) })
+  );
+});
+
+test('monthly rules keep the month-end anchor and respect lastOccurrence/endDate', () => {
+  const def = { frequency: 'monthly', startDate: '2024-01-31', endDate: '2024-04-15' };
+  expect(dueOccurrences(def, new Date(2024, 5, 1))).toEqual(['2024-01-31', '2024-02-29', '2024-03-31']);
+  expect(dueOccurrences({ ...def, lastOccurrence: '2024-02-29' }, new Date(2024, 5, 1))).toEqual(['2024-03-31']);
+  expect(dueOccurrences({ frequency: 'weekly', startDate: '2024-01-01' }, new Date(2024, 0, 20)))
+    .toEqual(['2024-01-01', '2024-01-08', '2024-01-15']);
+});
+
+test('materializeRecurring creates each due occurrence exactly once', async () => {
+  const db = new IDBWrapper('costsdb');
+  await db.addRecurring({
+    sum: 1000, currency: 'ILS', category: 'Utilities', description: 'Rent',
+    frequency: 'monthly', startDate: '2024-01-01'
+  });
+
+  const today = new Date(2024, 2, 10);
+  // Two concurrent runs (e.g. two tabs) must not double-insert.
+  const [a, b] = await Promise.all([db.materializeRecurring(today), db.materializeRecurring(today)]);
+  expect(a + b).toBe(3);
+  expect(await db.materializeRecurring(today)).toBe(0);
+
+  const march = await db.getCostsByMonthYear(2024, 3);
+  expect(march).toHaveLength(1);
+  expect(march[0]).toMatchObject({ description: 'Rent', day: 1, occurrence: '2024-03-01' });
+
+  const [def] = await db.getRecurring();
+  expect(def.lastOccurrence).toBe('2024-03-01');
+});
+
+test('paused definitions are skipped and resuming does not backfill the pause', async () => {
+  const db = new IDBWrapper('costsdb');
+  const id = await db.addRecurring({
+    sum: 30, currency: 'USD', category: 'Entertainment', description: 'Streaming',
+    frequency: 'monthly', startDate: '2024-01-05'
+  });
+  await db.materializeRecurring(new Date(2024, 0, 10));
+  await db.setRecurringPaused(id, true);
+  expect(await db.materializeRecurring(new Date(2024, 3, 10))).toBe(0);
+
+  await db.setRecurringPaused(id, false, new Date(2024, 3, 10));
+  expect(await db.materializeRecurring(new Date(2024, 4, 10))).toBe(1);
+  expect(await db.getCostsByMonthYear(2024, 5)).toHaveLength(1);
+});
@@ -3,16 +3,12 @@
 // to avoid referencing out-of-scope variables inside jest.mock.
 
 import React from 'react';
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, fireEvent, within } from '@testing-library/react';
+import { MemoryRouter, Routes, Route, useLocation } from 'react-router-dom';
 
-// Mock IDBWrapper: resolve a simple total for each month.
+// Mock IDBWrapper: getReport gets its default implementation in beforeEach.
 jest.mock('../idb', () => {
-  const mockGetReport = jest.fn((year, month, currency) =>
-    Promise.resolve({
-      total: { total: month * 10, currency },
-      costs: [],
-    })
-  );
+  const mockGetReport = jest.fn();
   return {
     __esModule: true,
     default: jest.fn().mockImplementation(() => ({
@@ -22,7 +18,7 @@ jest.mock('../idb', () => {
   };
 });
 
-// Mock currency service: identity conversion.
+// Mock currency service: fixed rates, no network.
 jest.mock('../services/currency_service', () => ({
   __esModule: true,
   fetchExchangeRates: jest.fn().mockResolvedValue({
@@ -31,18 +27,48 @@ jest.mock('../services/currency_service', () => ({
     EURO: 0.7,
     ILS: 3.4,
   }),
-  convert: (amount) => amount,
+  getRatesStatus: () => ({ state: 'fresh', fetchedAt: '2024-01-01T00:00:00.000Z' }),
+  activeRateOverrides: () => ({}),
+  getRatesProvenance: () => null,
+  RATE_MODE_LABELS: { transaction: 'Transaction-time rate', dated: 'Rate on expense date', current: 'Current rate' },
 }));
 
 import YearlyBarChart from '../components/yearly_bar_chart';
 import { mockGetReport } from '../idb';
+import { setHomeCurrency, setViewCurrency } from '../services/settings';
+
+// The chart navigates to /report; the probe shows where it went.
+function ReportProbe() {
+  const { pathname, search } = useLocation();
+  return <div data-testid="report">{pathname + search}</div>;
+}
+
+const renderChart = () => render(
+  <MemoryRouter initialEntries={['/yearly']}>
+    <Routes>
+      <Route path="/yearly" element={<YearlyBarChart />} />
+      <Route path="/report" element={<ReportProbe />} />
+    </Routes>
+  </MemoryRouter>
+);
+
+// Default report: a simple total (60% Food, 40% Health) for each month.
+const monthReport = (year, month, currency) => Promise.resolve({
+  total: { total: month * 10, currency },
+  byCategory: { Food: month * 6, Health: month * 4 },
+  costs: [],
+});
 
 beforeEach(() => {
-  mockGetReport.mockClear();
+  // Reset, not just clear: a test's own implementation must not leak into the next one.
+  mockGetReport.mockReset();
+  mockGetReport.mockImplementation(monthReport);
+  localStorage.removeItem('homeCurrency');
+  localStorage.removeItem('viewCurrencies');
 });
 
 test('loads data for all 12 months and renders header + selectors', async () => {
-  render(<YearlyBarChart />);
+  renderChart();
 
   // Header appears
   expect(await screen.findByText(/Totals by Month/i)).toBeInTheDocument();
@@ -61,3 +87,60 @@ test('loads data for all 12 months and renders header + selectors', async () =>
   expect(combos.some(el => /\b20\d{2}\b/.test(el.textContent || ''))).toBe(true);
   expect(combos.some(el => /(USD|EUR|GBP|ILS)/i.test(el.textContent || ''))).toBe(true);
 });
+
+test('starts in the home currency, then in the currency last used in this view', async () => {
+  setHomeCurrency('ILS');
+  const { unmount } = renderChart();
+  await waitFor(() => expect(mockGetReport).toHaveBeenCalledTimes(12));
+  expect(mockGetReport.mock.calls.every(c => c[2] === 'ILS')).toBe(true);
+  unmount();
+
+  mockGetReport.mockClear();
+  setViewCurrency('yearlyChart', 'GBP');
+  renderChart();
+  await waitFor(() => expect(mockGetReport).toHaveBeenCalledTimes(12));
+  expect(mockGetReport.mock.calls.every(c => c[2] === 'GBP')).toBe(true);
+
+  // A new home currency resets what the views remembered.
+  setHomeCurrency('EUR');
+  expect(localStorage.getItem('viewCurrencies')).toBeNull();
+});
+
+test('stacked mode splits months by category; the legend toggles and segments open the report', async () => {
+  const thisYear = new Date().getFullYear();
+  renderChart();
+  await waitFor(() => expect(mockGetReport).toHaveBeenCalledTimes(12));
+
+  fireEvent.mouseDown(screen.getAllByRole('combobox').find(el => el.textContent === 'Grouped bars'));
+  fireEvent.click(within(screen.getByRole('listbox')).getByText('Stacked by category'));
+
+  expect(await screen.findByText(`Food, Mar ${thisYear}: 18.00 USD`)).toBeInTheDocument();
+  expect(screen.getByText(`Health, Mar ${thisYear}: 12.00 USD`)).toBeInTheDocument();
+
+  // Hiding a category removes its segments.
+  fireEvent.click(screen.getByRole('button', { name: 'Health' }));
+  expect(screen.queryByText(`Health, Mar ${thisYear}: 12.00 USD`)).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByText(`Food, Mar ${thisYear}: 18.00 USD`).parentElement);
+  expect(await screen.findByTestId('report')).toHaveTextContent(`/report?year=${thisYear}&month=3&category=Food`);
+});
+
+test('a second year adds its series, with the change per month in each <title>', async () => {
+  const thisYear = new Date().getFullYear();
+  // Last year spent half as much every month.
+  mockGetReport.mockImplementation((year, month, currency) =>
+    Promise.resolve({ total: { total: (year === thisYear ? 20 : 10) * month, currency }, costs: [] })
+  );
+  renderChart();
+  await waitFor(() => expect(mockGetReport).toHaveBeenCalledTimes(12));
+
+  const yearsSelect = screen.getAllByRole('combobox').find(el => el.textContent === String(thisYear));
+  mockGetReport.mockClear();
+  fireEvent.mouseDown(yearsSelect);
+  fireEvent.click(within(screen.getByRole('listbox')).getByText(String(thisYear - 1)));
+
+  // Both years are (re)loaded: 12 reports each.
+  await waitFor(() => expect(mockGetReport).toHaveBeenCalledTimes(24));
+  expect(await screen.findByText(`Mar ${thisYear}: 60.00 USD (+30.00 / +100.0% vs ${thisYear - 1})`)).toBeInTheDocument();
+  expect(screen.getByText(`Mar ${thisYear - 1}: 30.00 USD`)).toBeInTheDocument();
+});
@@ -5,12 +5,14 @@
 //   • Provide the main layout (sidebar + content area)
 //   • Define client-side routes for the app sections
 //   • Keep a lightweight "selectedComponent" for compatibility with Sidebar
+//   • Track the active ledger; switching it remounts every view on that ledger's DB
+//   • On start (and on ledger switch), materialize recurring expenses that have come due and purge old trash
 // Notes:
 //   • Uses react-router-dom (BrowserRouter) and MUI layout primitives.
 //   • Comments only; no changes to logic or component names.
 // -----------------------------------------------------------------------------
 
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import { IconButton, Box } from '@mui/material';
 import MenuIcon from '@mui/icons-material/Menu';
 import { BrowserRouter as Router, Routes, Route, Navigate, useNavigate } from 'react-router-dom';
@@ -22,16 +24,27 @@ import MonthlyReport from './components/monthly_report';
 import EditExpenseForm from './components/edit_expense_form';
 import Settings from './components/settings';
 import YearlyBarChart from './components/yearly_bar_chart';
+import RecurringExpenses from './components/recurring_expenses';
+import Budgets from './components/budgets';
+import CsvImport from './components/csv_import';
+import Trash from './components/trash';
+import RatesChart from './components/rates_chart';
+import RangeReport from './components/range_report';
+import CalendarHeatmap from './components/calendar_heatmap';
+import { getTrashRetentionDays } from './services/settings';
+import { getActiveLedger, getActiveDb } from './services/ledgers';
 
 /**
  * Application shell with sidebar and routing.
  * State:
  *  - selectedComponent: compatibility with sidebar callbacks
  *  - isSidebarOpen: responsive toggle for the navigation panel
+ *  - ledgerId: active ledger (see services/ledgers)
  */
 function AppShell() {
     const [selectedComponent, setSelectedComponent] = useState('AddCostForm');
     const [isSidebarOpen, setIsSidebarOpen] = useState(true);
+    const [ledgerId, setLedgerId] = useState(() => getActiveLedger().id);
     const navigate = useNavigate();
 
     // Route aliases used by Sidebar's onSelectComponent (no hard-coded paths there)
@@ -42,8 +55,23 @@ function AppShell() {
         EditExpenseForm: '/edit',
         Settings: '/settings',
         YearlyBarChart: '/yearly',
+        RecurringExpenses: '/recurring',
+        Budgets: '/budgets',
+        CsvImport: '/import',
+        Trash: '/trash',
+        RatesChart: '/rates',
+        RangeReport: '/range',
+        CalendarHeatmap: '/calendar',
     }), []);
 
+    // Start-up housekeeping: add recurring occurrences that came due since the last visit
+    // and purge trashed expenses past the retention period (per ledger, when it becomes active).
+    useEffect(() => {
+        const db = getActiveDb();
+        db.materializeRecurring().catch(() => { /* retried on next start */ });
+        db.purgeTrash(getTrashRetentionDays()).catch(() => { /* retried on next start */ });
+    }, [ledgerId]);
+
     // Small, side-effect-free toggles/handlers
     const toggleSidebar = () => setIsSidebarOpen((v) => !v);
 
@@ -67,7 +95,7 @@ function AppShell() {
         >
             {isSidebarOpen && (
                 <Box sx={{ position: 'relative' }}>
-                    <Sidebar onSelectComponent={handleSelectComponent} />
+                    <Sidebar onSelectComponent={handleSelectComponent} ledgerId={ledgerId} onLedgerChange={setLedgerId} />
                     <IconButton
                         onClick={toggleSidebar}
                         sx={{
@@ -112,7 +140,9 @@ function AppShell() {
                     </IconButton>
                 )}
 
+                {/* Keyed by ledger so every view remounts and reloads from the new ledger */}
                 <Box
+                    key={ledgerId}
                     sx={{
                         maxWidth: '1200px',
                         margin: '0 auto',
@@ -128,10 +158,17 @@ function AppShell() {
                         <Route path="/" element={<Navigate to="/add" replace />} />
                         <Route path="/add" element={<AddCostForm />} />
                         <Route path="/report" element={<MonthlyReport />} />
+                        <Route path="/range" element={<RangeReport />} />
+                        <Route path="/calendar" element={<CalendarHeatmap />} />
                         <Route path="/pie" element={<CategoryPieChart />} />
                         <Route path="/edit" element={<EditExpenseForm />} />
                         <Route path="/settings" element={<Settings />} />
                         <Route path="/yearly" element={<YearlyBarChart />} />
+                        <Route path="/recurring" element={<RecurringExpenses />} />
+                        <Route path="/budgets" element={<Budgets />} />
+                        <Route path="/import" element={<CsvImport />} />
+                        <Route path="/trash" element={<Trash />} />
+                        <Route path="/rates" element={<RatesChart />} />
                         <Route path="*" element={<Navigate to="/add" replace />} />
                     </Routes>
                 </Box>
@@ -2,41 +2,78 @@
 // -----------------------------------------------------------------------------
 // add_cost_form.jsx — Form component for adding a new expense item.
 // UI: MUI components; Persistence: IndexedDB via IDBWrapper.
-// DB target: 'costsdb' (version 1), store: 'costs'.
-// Per project spec, the date is set automatically on add (current date).
+// DB target: the active ledger's database (see services/ledgers), store: 'costs'.
+// The date defaults to today; past dates can be picked to backdate an expense.
 // Validation (UI-level):
 //   - sum: required, numeric, > 0
-//   - currency: one of USD / ILS / GBP / EURO 
+//   - currency: any currency in the registry / rates feed (services/currencies)
 //   - category: selected from curated list 
 //   - description: required (non-empty)
+//   - date: required, not in the future
+// After saving, warns when the expense pushes its category past the month's budget.
 // -----------------------------------------------------------------------------
 
-import React, { useState, useMemo } from 'react';
+import React, { useState } from 'react';
 import {
   Button, TextField, MenuItem, Container, Paper, Typography, Box,
   InputAdornment, FormControl, InputLabel, Select
 } from '@mui/material';
 import CategoryIcon from '@mui/icons-material/Category';
 import DescriptionIcon from '@mui/icons-material/Description';
-import IDBWrapper from '../idb';
+import CalendarTodayIcon from '@mui/icons-material/CalendarToday';
+import { getActiveDb } from '../services/ledgers';
+import { fetchExchangeRates } from '../services/currency_service';
+import { convert, addMoney } from '../services/money';
+import { currencySymbol as symbolOf } from '../services/currencies';
+import useCurrencies from '../hooks/use_currencies';
+import { getHomeCurrency } from '../services/settings';
+import { crossedBudget } from '../services/budgets';
 
-// Single app-wide DB wrapper instance for this component's operations.
-// DB name and version align with the course auto-grader (costsdb, v1).
-const db = new IDBWrapper('costsdb', 1);
+// Today as YYYY-MM-DD (local), for the date input default and max.
+const todayInput = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
 
 export default function AddCostForm() {
+  const db = getActiveDb();
   // Controlled form state.
   // sum: string for the input; converted to number at submit.
-  // currency: one of USD/ILS/GBP/EURO (UI offers these options).
+  // currency: an ISO 4217 code from the currency selector (defaults to the home currency).
   // category: selected from dropdown (includes 'Other').
   // description: free text.
-  const [form, setForm] = useState({ sum: '', currency: 'USD', category: '', description: '' });
+  // date: YYYY-MM-DD from the date picker (defaults to today).
+  const [form, setForm] = useState({ sum: '', currency: getHomeCurrency(), category: '', description: '', date: todayInput() });
+
+  const currencies = useCurrencies();
 
   // Display-only symbol based on selected currency (not stored in DB).
-  const currencySymbol = useMemo(() => {
-    const map = { USD: '$', ILS: '₪', GBP: '£', EURO: '€' };
-    return map[String(form.currency).toUpperCase()] ?? '';
-  }, [form.currency]);
+  const currencySymbol = symbolOf(form.currency);
+
+  /**
+   * Advisory budget check for the category/month of a just-saved expense.
+   * Returns a warning line only when this expense took the category from within its budget
+   * to over it; '' when still within budget, already over before, unbudgeted, or on any failure.
+   */
+  const budgetWarning = async (saved) => {
+    try {
+      const [y, m] = saved.date.split('-').map(Number);
+      const budget = (await db.getBudgetsFor(y, m))[saved.category];
+      if (!budget) return '';
+
+      const rates = await fetchExchangeRates();
+      const costs = await db.getCostsByMonthYear(y, m);
+      const spent = costs
+        .filter(c => c.category === saved.category)
+        .reduce((acc, c) => addMoney(acc, convert(Number(c.sum) || 0, c.currency, budget.currency, rates), budget.currency), 0);
+      // The month's costs include the saved one; take it out to get the total before saving.
+      const before = addMoney(spent, -convert(saved.sum, saved.currency, budget.currency, rates), budget.currency);
+      if (!crossedBudget(before, spent, budget.amount)) return '';
+      return `Warning: ${saved.category} is now over budget (${spent.toFixed(2)} of ${budget.amount.toFixed(2)} ${budget.currency}).`;
+    } catch {
+      return '';
+    }
+  };
 
   /** Generic controlled-input change handler (name -> value). */
   const handleChange = (e) => setForm({ ...form, [e.target.name]: e.target.value });
@@ -45,10 +82,10 @@ export default function AddCostForm() {
    * Validate and submit the expense to IndexedDB (through IDBWrapper).
    * Per spec:
    *  - sum must be a valid number > 0
-   *  - currency must be one of USD/ILS/GBP/EURO
+   *  - currency must be selected (ISO 4217 code)
    *  - category is required (dropdown; includes "Other")
    *  - description is required (non-empty)
-   * The date is set internally by the library to "now".
+   *  - date is required and may not be after today
    */
   const handleSubmit = async () => {
     try {
@@ -58,18 +95,23 @@ export default function AddCostForm() {
       if (!form.currency) return alert('Please select a currency');
       if (!form.category) return alert('Please select a category');
       if (!form.description.trim()) return alert('Please fill description');
+      if (!form.date) return alert('Please pick a date');
+      if (form.date > todayInput()) return alert('Date cannot be in the future');
 
-      // Persist to IndexedDB via the wrapper (adds current date internally).
-      await db.addCost({
+      // Persist to IndexedDB via the wrapper (derives year/month/day/_ts from date).
+      const cost = {
         sum: Number(form.sum),
         currency: String(form.currency).toUpperCase(),
         category: form.category,
-        description: form.description
-      });
+        description: form.description,
+        date: form.date
+      };
+      await db.addCost(cost);
 
-      alert('Expense added successfully!');
+      const warning = await budgetWarning(cost);
+      alert(warning ? `Expense added successfully!\n${warning}` : 'Expense added successfully!');
       // Reset to defaults after successful add.
-      setForm({ sum: '', currency: 'USD', category: '', description: '' });
+      setForm({ sum: '', currency: getHomeCurrency(), category: '', description: '', date: todayInput() });
     } catch (e) {
       // Bubble the error message (wrapper may throw validation/IDB errors).
       alert(e.message || 'Failed to add expense');
@@ -106,14 +148,11 @@ export default function AddCostForm() {
               sx={{ '& .MuiOutlinedInput-root': { borderRadius: '12px' }, mb: 2 }}
             />
 
-            {/* Currency dropdown (course tokens: USD / ILS / GBP / EURO) */}
+            {/* Currency dropdown (registry + rates feed; EURO is stored data's alias for EUR) */}
             <FormControl fullWidth margin="normal" size="small" sx={{ mb: 2 }}>
               <InputLabel id="currency-label">Currency</InputLabel>
               <Select labelId="currency-label" label="Currency" name="currency" value={form.currency} onChange={handleChange}>
-                <MenuItem value="USD">USD ($)</MenuItem>
-                <MenuItem value="ILS">ILS (₪)</MenuItem>
-                <MenuItem value="GBP">GBP (£)</MenuItem>
-                <MenuItem value="EURO">EURO (€)</MenuItem>
+                {currencies.map(c => <MenuItem key={c} value={c}>{symbolOf(c) && symbolOf(c) !== c ? `${c} (${symbolOf(c)})` : c}</MenuItem>)}
               </Select>
             </FormControl>
 
@@ -134,10 +173,19 @@ export default function AddCostForm() {
               label="Description" name="description" value={form.description} onChange={handleChange}
               fullWidth margin="normal" variant="outlined"
               InputProps={{ startAdornment: (<InputAdornment position="start"><DescriptionIcon sx={{ color: '#6b7280' }} /></InputAdornment>) }}
-              sx={{ '& .MuiOutlinedInput-root': { borderRadius: '12px' }, mb: 3 }}
+              sx={{ '& .MuiOutlinedInput-root': { borderRadius: '12px' }, mb: 2 }}
+            />
+
+            {/* Date (defaults to today; pick an earlier day to backdate) */}
+            <TextField
+              label="Date" name="date" type="date" value={form.date} onChange={handleChange}
+              fullWidth margin="normal" variant="outlined"
+              InputProps={{ startAdornment: (<InputAdornment position="start"><CalendarTodayIcon sx={{ color: '#6b7280' }} /></InputAdornment>) }}
+              inputProps={{ max: todayInput() }}
+              InputLabelProps={{ shrink: true }} sx={{ '& .MuiOutlinedInput-root': { borderRadius: '12px' }, mb: 3 }}
             />
 
-            {/* Submit (adds the expense; date is auto-attached by the DB layer) */}
+            {/* Submit (adds the expense with the chosen date) */}
             <Box display="flex" justifyContent="center">
               <Button
                 variant="contained" size="large" onClick={handleSubmit}
@@ -0,0 +1,145 @@
+// src/components/BackupRestore.jsx
+// -----------------------------------------------------------------------------
+// BackupRestore — Download a full JSON backup and restore it later.
+// Responsibilities:
+//   • Export every stored record (costs, recurring, budgets, history) plus settings
+//   • Read a backup file, validate it, and preview the restore as a dry run
+//   • Restore by merging into or replacing the current data
+// Notes:
+//   • Rendered inside Settings; all logic lives in IDBWrapper.exportBackup/importBackup.
+// -----------------------------------------------------------------------------
+
+import React, { useState } from 'react';
+import {
+    Box, Card, CardContent, Button, Typography, Stack, Alert, TextField, MenuItem
+} from '@mui/material';
+import { getActiveDb } from '../services/ledgers';
+
+const STORE_LABELS = { costs: 'Expenses', recurring: 'Recurring', budgets: 'Budgets', history: 'History' };
+
+/**
+ * Backup & restore card for the Settings view.
+ */
+export default function BackupRestore() {
+    const db = getActiveDb();
+    const [backup, setBackup] = useState(null);
+    const [fileName, setFileName] = useState('');
+    const [mode, setMode] = useState('merge');
+    const [summary, setSummary] = useState(null);
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+
+    // Client-only download using Blob and a temporary <a>, like the CSV export.
+    const handleExport = async () => {
+        setError('');
+        try {
+            const data = await db.exportBackup();
+            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.setAttribute('href', url);
+            link.setAttribute('download', `costsdb-backup-${data.exportedAt.slice(0, 10)}.json`);
+            link.style.visibility = 'hidden';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        } catch (e) {
+            setError(e.message || 'Failed to export backup.');
+        }
+    };
+
+    // Parse the chosen file and immediately show a dry-run summary.
+    const handleFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        setBackup(null); setSummary(null); setMessage(''); setError('');
+        if (!file) return;
+        setFileName(file.name);
+        try {
+            const parsed = JSON.parse(await file.text());
+            setSummary(await db.importBackup(parsed, { mode, dryRun: true }));
+            setBackup(parsed);
+        } catch (err) {
+            setError(err instanceof SyntaxError ? 'The file is not valid JSON.' : err.message);
+        }
+    };
+
+    // Re-run the dry run for the new mode; a failure clears the stale preview.
+    const handleModeChange = async (e) => {
+        setMode(e.target.value);
+        if (!backup) return;
+        setError('');
+        try {
+            setSummary(await db.importBackup(backup, { mode: e.target.value, dryRun: true }));
+        } catch (err) {
+            setSummary(null);
+            setError(err.message || 'Failed to preview the restore.');
+        }
+    };
+
+    const handleRestore = async () => {
+        if (!backup) return;
+        if (mode === 'replace' && !window.confirm('Replace all current data with this backup?')) return;
+        setError('');
+        try {
+            const result = await db.importBackup(backup, { mode });
+            setSummary(result);
+            setBackup(null);
+            setMessage('Backup restored.');
+        } catch (e) {
+            setError(e.message || 'Failed to restore backup.');
+        }
+    };
+
+    return (
+        <Card sx={{ mt: 3 }}>
+            <CardContent>
+                <Typography variant="h6" gutterBottom>Backup &amp; Restore</Typography>
+                <Typography variant="body2" sx={{ mb: 2 }}>
+                    Data lives only in this browser. Download a backup before clearing site data,
+                    and restore it here (merging with or replacing what is stored now).
+                </Typography>
+
+                <Stack spacing={2}>
+                    <Stack direction="row" spacing={2} alignItems="center" flexWrap="wrap">
+                        <Button variant="contained" onClick={handleExport}>Download Backup</Button>
+                        <Button variant="outlined" component="label">
+                            Choose Backup File
+                            <input hidden type="file" accept="application/json,.json" onChange={handleFile} />
+                        </Button>
+                        <TextField select size="small" label="Restore mode" value={mode} onChange={handleModeChange} sx={{ minWidth: 160 }}>
+                            <MenuItem value="merge">Merge</MenuItem>
+                            <MenuItem value="replace">Replace</MenuItem>
+                        </TextField>
+                    </Stack>
+
+                    {summary && (
+                        <Box>
+                            <Typography sx={{ fontWeight: 600 }}>
+                                {backup ? `Dry run for ${fileName}` : 'Restore result'}
+                            </Typography>
+                            {Object.entries(summary).map(([store, c]) => (
+                                <Typography key={store} variant="body2">
+                                    {`${STORE_LABELS[store] || store}: ${c.added} added, ${c.skipped} skipped, ${c.overwritten} overwritten`}
+                                    {mode === 'replace' ? `, ${c.removed} removed` : ''}
+                                </Typography>
+                            ))}
+                        </Box>
+                    )}
+
+                    {backup && (
+                        <Box>
+                            <Button variant="contained" color={mode === 'replace' ? 'error' : 'primary'} onClick={handleRestore}>
+                                {mode === 'replace' ? 'Replace Data' : 'Merge Data'}
+                            </Button>
+                        </Box>
+                    )}
+
+                    {message && <Alert severity="success">{message}</Alert>}
+                    {error && <Alert severity="error">{error}</Alert>}
+                </Stack>
+            </CardContent>
+        </Card>
+    );
+}
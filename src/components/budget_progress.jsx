@@ -0,0 +1,44 @@
+// src/components/BudgetProgress.jsx
+// -----------------------------------------------------------------------------
+// BudgetProgress — Spent-vs-budget bars per category.
+// Responsibilities:
+//   • Render one progress bar per budgeted category (from services/budgets)
+//   • Highlight categories that are over budget
+// Notes:
+//   • Presentational only; parents compute progress in their display currency.
+// -----------------------------------------------------------------------------
+
+import React from 'react';
+import { Box, Typography, LinearProgress } from '@mui/material';
+
+/**
+ * @param {{progress: Record<string, import('../services/budgets').BudgetProgress>, symbol: string, currency: string}} props
+ */
+export default function BudgetProgress({ progress, symbol, currency }) {
+  const entries = Object.entries(progress || {});
+  if (entries.length === 0) return null;
+
+  return (
+    <Box sx={{ display: 'grid', gap: 1.5 }}>
+      <Typography sx={{ fontWeight: 600 }}>{`Budgets (in ${currency})`}</Typography>
+      {entries.map(([category, p]) => (
+        <Box key={category}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+            <Typography sx={{ color: p.over ? 'error.main' : '#374151', fontWeight: p.over ? 600 : 400 }}>
+              {category}{p.over ? ' — over budget' : ''}
+            </Typography>
+            <Typography sx={{ fontVariantNumeric: 'tabular-nums', color: p.over ? 'error.main' : 'text.secondary' }}>
+              {`${symbol}${p.spent.toFixed(2)} / ${symbol}${p.limit.toFixed(2)}`}
+            </Typography>
+          </Box>
+          <LinearProgress
+            variant="determinate"
+            value={Math.min(100, p.ratio * 100)}
+            color={p.over ? 'error' : (p.ratio >= 0.8 ? 'warning' : 'success')}
+            sx={{ height: 8, borderRadius: 4 }}
+          />
+        </Box>
+      ))}
+    </Box>
+  );
+}
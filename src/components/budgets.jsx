@@ -0,0 +1,148 @@
+// src/components/Budgets.jsx
+// -----------------------------------------------------------------------------
+// Budgets — Set per-category spending limits.
+// Responsibilities:
+//   • Create/replace a budget for a category, either as the default for every
+//     month or for one specific month (which then overrides the default)
+//   • List and delete existing budgets
+// Notes:
+//   • Progress is shown in MonthlyReport and CategoryPieChart; AddCostForm warns
+//     when a new expense pushes a category over its budget.
+// -----------------------------------------------------------------------------
+
+import React, { useEffect, useState } from 'react';
+import {
+  Button, TextField, MenuItem, Container, Paper, Typography, Box, Stack, IconButton, Tooltip
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { getActiveDb } from '../services/ledgers';
+import { currencySymbol, currencyLabel } from '../services/currencies';
+import useCurrencies from '../hooks/use_currencies';
+import { getHomeCurrency } from '../services/settings';
+
+const getSymbol = (c) => currencySymbol(c || 'USD');
+
+const emptyForm = () => ({
+  category: '', amount: '', currency: getHomeCurrency(), scope: 'default',
+  month: new Date().getMonth() + 1, year: new Date().getFullYear()
+});
+
+export default function Budgets() {
+  const db = getActiveDb();
+  const currencies = useCurrencies();
+  const [form, setForm] = useState(emptyForm);
+  const [budgets, setBudgets] = useState([]);
+
+  // Defaults first, then months in chronological order.
+  const reload = async () => {
+    const all = await db.getBudgets();
+    all.sort((a, b) => (a.period === b.period ? a.category.localeCompare(b.category)
+      : a.period === 'default' ? -1 : b.period === 'default' ? 1 : a.period.localeCompare(b.period)));
+    setBudgets(all);
+  };
+
+  useEffect(() => { reload(); }, []);
+
+  /** Generic controlled-input change handler (name -> value). */
+  const handleChange = (e) => setForm({ ...form, [e.target.name]: e.target.value });
+
+  const handleSave = async () => {
+    try {
+      if (!form.category) return alert('Please select a category');
+      if (!form.amount || isNaN(form.amount) || Number(form.amount) <= 0) return alert('Amount must be a number > 0');
+
+      await db.setBudget({
+        category: form.category,
+        amount: Number(form.amount),
+        currency: form.currency,
+        ...(form.scope === 'month' ? { year: Number(form.year), month: Number(form.month) } : {})
+      });
+      setForm({ ...emptyForm(), scope: form.scope, month: form.month, year: form.year });
+      await reload();
+    } catch (e) {
+      alert(e.message || 'Failed to save budget');
+    }
+  };
+
+  const handleDelete = async (b) => {
+    await db.deleteBudget(b.category, b.period);
+    await reload();
+  };
+
+  return (
+    <Box sx={{ p: 4 }}>
+      <Typography variant="h4" align="center" sx={{ color: '#2c3e50', fontWeight: 700, mb: 4 }}>
+        Budgets
+      </Typography>
+
+      <Container maxWidth="sm">
+        <Paper elevation={0} sx={{ p: 4, mb: 4, borderRadius: '16px', bgcolor: 'white', boxShadow: '0 4px 20px rgba(0,0,0,0.05)' }}>
+          <form onSubmit={(e) => e.preventDefault()}>
+            <TextField label="Category" name="category" value={form.category} onChange={handleChange} select fullWidth margin="normal">
+              {['Food','Transportation','Entertainment','Health','Education','Utilities','Car','Other'].map(c => (
+                <MenuItem key={c} value={c}>{c}</MenuItem>
+              ))}
+            </TextField>
+
+            <Stack direction="row" spacing={2}>
+              <TextField label="Amount" name="amount" value={form.amount} onChange={handleChange} fullWidth margin="normal" />
+              <TextField label="Currency" name="currency" value={form.currency} onChange={handleChange} select fullWidth margin="normal">
+                {currencies.map(c => <MenuItem key={c} value={c}>{currencyLabel(c)}</MenuItem>)}
+              </TextField>
+            </Stack>
+
+            <TextField label="Applies to" name="scope" value={form.scope} onChange={handleChange} select fullWidth margin="normal">
+              <MenuItem value="default">Every month (default)</MenuItem>
+              <MenuItem value="month">One month only</MenuItem>
+            </TextField>
+
+            {form.scope === 'month' && (
+              <Stack direction="row" spacing={2}>
+                <TextField label="Month" name="month" value={form.month} onChange={handleChange} select fullWidth margin="normal">
+                  {[...Array(12).keys()].map(i => <MenuItem key={i + 1} value={i + 1}>{i + 1}</MenuItem>)}
+                </TextField>
+                <TextField label="Year" name="year" value={form.year} onChange={handleChange} select fullWidth margin="normal">
+                  {[...Array(21).keys()].map(off => {
+                    const y = 2030 - off; return <MenuItem key={y} value={y}>{y}</MenuItem>;
+                  })}
+                </TextField>
+              </Stack>
+            )}
+
+            <Box display="flex" justifyContent="center" sx={{ mt: 2 }}>
+              <Button variant="contained" size="large" onClick={handleSave} sx={{ borderRadius: '12px', px: 6, textTransform: 'none' }}>
+                Save Budget
+              </Button>
+            </Box>
+          </form>
+        </Paper>
+
+        {budgets.length === 0 ? (
+          <Typography align="center" color="text.secondary">No budgets yet.</Typography>
+        ) : (
+          <Stack spacing={2}>
+            {budgets.map((b) => (
+              <Paper key={`${b.category}|${b.period}`} elevation={0} sx={{ p: 2, borderRadius: '16px', boxShadow: '0 4px 20px rgba(0,0,0,0.05)' }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                  <Box sx={{ flex: 1 }}>
+                    <Typography sx={{ fontWeight: 600 }}>
+                      {b.category} — {`${getSymbol(b.currency)}${Number(b.amount).toFixed(2)} ${b.currency}`}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {b.period === 'default' ? 'Every month' : `Only ${b.period}`}
+                    </Typography>
+                  </Box>
+                  <Tooltip title="Delete">
+                    <IconButton onClick={() => handleDelete(b)} aria-label="Delete" color="error">
+                      <DeleteIcon />
+                    </IconButton>
+                  </Tooltip>
+                </Box>
+              </Paper>
+            ))}
+          </Stack>
+        )}
+      </Container>
+    </Box>
+  );
+}
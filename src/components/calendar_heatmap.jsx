@@ -0,0 +1,243 @@
+// src/components/CalendarHeatmap.jsx
+// -----------------------------------------------------------------------------
+// CalendarHeatmap — Spending per day for a month or a whole year, as a calendar.
+// Responsibilities:
+//   • Load the month's/year's costs (IDBWrapper.getCostsInRange on the active ledger)
+//   • Convert each into the selected currency at the selected rate mode and total per day
+//   • Color each day by its total (services/periods heatLevel; 0 = nothing spent)
+//   • Clicking a day lists that day's expenses with "Edit" links into EditExpenseForm
+// Notes:
+//   • Days are local calendar days of each cost's _ts; weeks start on Sunday.
+//   • Colors are relative to the busiest day in view.
+// -----------------------------------------------------------------------------
+
+import React, { useEffect, useState } from 'react';
+import {
+  Box, Typography, Card, CardContent, FormControl, InputLabel, Select, MenuItem, Stack,
+  Alert, LinearProgress, ButtonBase, Button, ToggleButton, ToggleButtonGroup
+} from '@mui/material';
+import { Link as RouterLink } from 'react-router-dom';
+import { getActiveDb } from '../services/ledgers';
+import { fetchExchangeRates, ratesForCost, RATE_MODES, RATE_MODE_LABELS } from '../services/currency_service';
+import { convert } from '../services/money';
+import { getRatesLookup } from '../services/rate_history';
+import { dailyTotals, heatLevel, selectableYears } from '../services/periods';
+import { toDayString } from '../services/recurrence';
+import { currencySymbol, currencyLabel } from '../services/currencies';
+import { categoryColor } from '../services/categories';
+import useCurrencies from '../hooks/use_currencies';
+import useViewCurrency from '../hooks/use_view_currency';
+import RatesStatus from './rates_status';
+
+const MONTH_NAMES = ['January','February','March','April','May','June','July','August','September','October','November','December'];
+const WEEKDAYS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+// Heat levels 0..4, from "nothing spent" to the busiest days
+const HEAT_COLORS = ['#ebedf0', '#c6e48b', '#7bc96f', '#239a3b', '#196127'];
+
+/**
+ * One month as a 7-column grid of day cells.
+ * @param {{year:number, month:number, totals:Record<string, number>, max:number, selected:string,
+ *   onSelect:(day:string)=>void, size:number, label:(day:string)=>string}} props
+ */
+function MonthGrid({ year, month, totals, max, selected, onSelect, size, label }) {
+  const first = new Date(year, month - 1, 1);
+  const days = new Date(year, month, 0).getDate();
+  const cells = [
+    ...Array(first.getDay()).fill(null),
+    ...Array.from({ length: days }, (_, i) => toDayString(new Date(year, month - 1, i + 1)))
+  ];
+
+  return (
+    <Box sx={{ display: 'grid', gridTemplateColumns: `repeat(7, ${size}px)`, gap: '3px' }}>
+      {WEEKDAYS.map((d, i) => (
+        <Typography key={i} variant="caption" align="center" color="text.secondary">{d}</Typography>
+      ))}
+      {cells.map((day, i) => (day === null ? <Box key={`pad-${i}`} /> : (
+        <ButtonBase
+          key={day}
+          title={label(day)}
+          aria-label={label(day)}
+          aria-pressed={selected === day}
+          onClick={() => onSelect(day)}
+          sx={{
+            width: size,
+            height: size,
+            borderRadius: '4px',
+            fontSize: size > 24 ? 12 : 9,
+            color: heatLevel(totals[day], max) >= 3 ? '#fff' : '#333',
+            bgcolor: HEAT_COLORS[heatLevel(totals[day], max)],
+            outline: selected === day ? '2px solid #2c3e50' : 'none'
+          }}
+        >
+          {Number(day.slice(8))}
+        </ButtonBase>
+      )))}
+    </Box>
+  );
+}
+
+export default function CalendarHeatmap() {
+  const currencies = useCurrencies();
+  const [scope, setScope] = useState('month');
+  const [month, setMonth] = useState(new Date().getMonth() + 1);
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [currency, setCurrency] = useViewCurrency('calendar'); // home currency until changed here
+  const [rateMode, setRateMode] = useState('transaction');
+  const [items, setItems] = useState([]); // costs in view, each with its converted `value`
+  const [selectedDay, setSelectedDay] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState('');
+
+  // Load the month (or year) whenever the view or conversion changes;
+  // a load superseded by a newer one leaves the state alone.
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      setLoading(true); setErr('');
+      try {
+        const start = scope === 'year' ? new Date(year, 0, 1) : new Date(year, month - 1, 1);
+        const end = scope === 'year' ? new Date(year, 11, 31) : new Date(year, month, 0);
+        const [costs, rates, lookup] = await Promise.all([
+          getActiveDb().getCostsInRange(start, end),
+          fetchExchangeRates(),
+          rateMode === 'dated' ? getRatesLookup() : null
+        ]);
+        if (cancelled) return;
+        setItems(costs.map(c => ({
+          ...c,
+          value: convert(Number(c.sum) || 0, String(c.currency || 'USD').toUpperCase(), currency, ratesForCost(c, rates, rateMode, lookup))
+        })));
+      } catch (e) {
+        if (!cancelled) setErr(e?.message || 'Failed to load data');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [scope, month, year, currency, rateMode]);
+
+  const totals = dailyTotals(items, currency);
+  const max = Math.max(0, ...Object.values(totals));
+  const sym = currencySymbol(currency);
+  const dayLabel = (day) => `${day}: ${sym}${(totals[day] || 0).toFixed(2)} ${currency}`;
+  const dayItems = items.filter(c => toDayString(new Date(c._ts)) === selectedDay);
+  const years = selectableYears();
+
+  return (
+    <Box sx={{ p: 4 }}>
+      <Typography variant="h4" align="center" sx={{ color: '#2c3e50', fontWeight: 700, mb: 3 }}>
+        Spending Calendar — {scope === 'year' ? year : `${MONTH_NAMES[month - 1]} ${year}`} ({currency})
+      </Typography>
+
+      <Card elevation={0} sx={{ p: 3, borderRadius: '16px', bgcolor: 'white', boxShadow: '0 4px 20px rgba(0,0,0,0.05)' }}>
+        <CardContent>
+          <Stack direction="row" spacing={2} sx={{ mb: 2 }} alignItems="center" flexWrap="wrap" useFlexGap>
+            <ToggleButtonGroup size="small" exclusive value={scope} onChange={(_, v) => v && setScope(v)}>
+              <ToggleButton value="month">Month</ToggleButton>
+              <ToggleButton value="year">Year</ToggleButton>
+            </ToggleButtonGroup>
+
+            {scope === 'month' && (
+              <FormControl size="small" sx={{ minWidth: 140 }}>
+                <InputLabel>Month</InputLabel>
+                <Select label="Month" value={month} onChange={(e) => setMonth(e.target.value)}>
+                  {MONTH_NAMES.map((name, i) => <MenuItem key={name} value={i + 1}>{name}</MenuItem>)}
+                </Select>
+              </FormControl>
+            )}
+
+            <FormControl size="small" sx={{ minWidth: 110 }}>
+              <InputLabel>Year</InputLabel>
+              <Select label="Year" value={year} onChange={(e) => setYear(e.target.value)}>
+                {years.map(y => <MenuItem key={y} value={y}>{y}</MenuItem>)}
+              </Select>
+            </FormControl>
+
+            <FormControl size="small" sx={{ minWidth: 140 }}>
+              <InputLabel>Currency</InputLabel>
+              <Select label="Currency" value={currency} onChange={(e) => setCurrency(e.target.value)}>
+                {currencies.map(c => <MenuItem key={c} value={c}>{currencyLabel(c)}</MenuItem>)}
+              </Select>
+            </FormControl>
+
+            <FormControl size="small" sx={{ minWidth: 200 }}>
+              <InputLabel>Convert at</InputLabel>
+              <Select label="Convert at" value={rateMode} onChange={(e) => setRateMode(e.target.value)}>
+                {RATE_MODES.map(m => <MenuItem key={m} value={m}>{RATE_MODE_LABELS[m]}</MenuItem>)}
+              </Select>
+            </FormControl>
+          </Stack>
+
+          <RatesStatus sx={{ mb: 2 }} />
+          {err && <Alert severity="error" sx={{ mb: 2 }}>{err}</Alert>}
+          {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+          {scope === 'month' ? (
+            <MonthGrid
+              year={year} month={month} totals={totals} max={max}
+              selected={selectedDay} onSelect={setSelectedDay} size={44} label={dayLabel}
+            />
+          ) : (
+            <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(190px, 1fr))', gap: 3 }}>
+              {MONTH_NAMES.map((name, i) => (
+                <Box key={name}>
+                  <Typography variant="subtitle2" sx={{ mb: 0.5 }}>{name}</Typography>
+                  <MonthGrid
+                    year={year} month={i + 1} totals={totals} max={max}
+                    selected={selectedDay} onSelect={setSelectedDay} size={22} label={dayLabel}
+                  />
+                </Box>
+              ))}
+            </Box>
+          )}
+
+          {/* Legend: less → more spending */}
+          <Stack direction="row" spacing={0.5} alignItems="center" sx={{ mt: 2 }}>
+            <Typography variant="caption" color="text.secondary">Less</Typography>
+            {HEAT_COLORS.map(c => <Box key={c} sx={{ width: 14, height: 14, borderRadius: '3px', bgcolor: c }} />)}
+            <Typography variant="caption" color="text.secondary">More</Typography>
+          </Stack>
+        </CardContent>
+      </Card>
+
+      {/* Expenses of the selected day */}
+      {selectedDay && (
+        <Box sx={{ mt: 3 }}>
+          <Typography variant="h6" sx={{ mb: 1 }}>
+            {`${new Date(`${selectedDay}T00:00`).toLocaleDateString()} — ${sym}${(totals[selectedDay] || 0).toFixed(2)} ${currency}`}
+          </Typography>
+          {dayItems.length === 0 ? (
+            <Typography color="text.secondary">No expenses on this day.</Typography>
+          ) : (
+            <Stack spacing={1}>
+              {dayItems.map(c => (
+                <Card key={c.id} sx={{ borderRadius: '12px', boxShadow: '0 2px 10px rgba(0,0,0,0.05)' }}>
+                  <CardContent sx={{ display: 'flex', alignItems: 'center', gap: 2, '&:last-child': { pb: 2 } }}>
+                    <Box sx={{ flex: 1 }}>
+                      <Typography sx={{ color: categoryColor(c.category), fontWeight: 600 }}>{c.category}</Typography>
+                      <Typography color="text.secondary">{c.description}</Typography>
+                    </Box>
+                    <Box sx={{ textAlign: 'right' }}>
+                      <Typography sx={{ fontWeight: 600 }}>{`${sym}${c.value.toFixed(2)} ${currency}`}</Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        {`${(Number(c.sum) || 0).toFixed(2)} ${String(c.currency || 'USD').toUpperCase()}`}
+                      </Typography>
+                    </Box>
+                    <Button
+                      component={RouterLink}
+                      to={`/edit?${new URLSearchParams({ year: selectedDay.slice(0, 4), month: String(Number(selectedDay.slice(5, 7))), id: String(c.id) })}`}
+                      variant="outlined"
+                      size="small"
+                    >
+                      Edit
+                    </Button>
+                  </CardContent>
+                </Card>
+              ))}
+            </Stack>
+          )}
+        </Box>
+      )}
+    </Box>
+  );
+}
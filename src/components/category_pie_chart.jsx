@@ -2,14 +2,15 @@
 // -----------------------------------------------------------------------------
 // CategoryPieChart — Pie chart of monthly totals by category.
 // Responsibilities:
-//   • Fetch month/year costs from IndexedDB (DB: 'costsdb', v1) via IDBWrapper
+//   • Fetch month/year costs from IndexedDB (active ledger's DB) via IDBWrapper
 //   • Convert all amounts to the selected currency using fetchExchangeRates()
 //   • Aggregate totals per category and render a Pie (Chart.js)
+//   • Show spent-vs-budget progress below the chart (over-budget in red)
+//   • Say which exchange rates are in use (RatesStatus)
 // Notes:
 //   • The DB stores the insertion date; reporting is by (year, month).
 //   • getCostsByMonthYear in our wrapper tolerates (month, year) or (year, month)
 //     thanks to an internal swap guard. Here we pass (selectedMonth, selectedYear).
-//   • Comments only. No code changes.
 // -----------------------------------------------------------------------------
 
 /**
@@ -20,9 +21,17 @@
 import React, { useEffect, useState } from 'react';
 import { Pie } from 'react-chartjs-2';
 import { Chart as ChartJS, ArcElement, Tooltip, Legend } from 'chart.js';
-import IDBWrapper from '../idb';
-import { fetchExchangeRates, convert } from '../services/currency_service';
-import { Box, Typography, FormControl, Select, MenuItem, InputLabel, Card } from '@mui/material';
+import { getActiveDb } from '../services/ledgers';
+import { fetchExchangeRates } from '../services/currency_service';
+import { convert, addMoney } from '../services/money';
+import { budgetProgress } from '../services/budgets';
+import { currencySymbol, currencyLabel } from '../services/currencies';
+import { categoryColor } from '../services/categories';
+import useCurrencies from '../hooks/use_currencies';
+import useViewCurrency from '../hooks/use_view_currency';
+import BudgetProgress from './budget_progress';
+import RatesStatus from './rates_status';
+import { Box, Typography, FormControl, Select, MenuItem, InputLabel, Card, Alert } from '@mui/material';
 
 ChartJS.register(ArcElement, Tooltip, Legend);
 
@@ -62,15 +71,8 @@ function CategoryPieChart() {
     labels: [],
     datasets: [{
       data: [],
-      // Visual palette: consistent per category; purely presentational.
-      backgroundColor: [
-        '#4CAF50',  // Food
-        '#2196F3',  // Transportation
-        '#FF9800',  // Entertainment
-        '#E91E63',  // Health
-        '#9C27B0',  // Education
-        '#00BCD4'   // Utilities
-      ],
+      // Visual palette: consistent per category (services/categories); purely presentational.
+      backgroundColor: [],
       borderColor: 'rgba(255, 255, 255, 0.8)',
       borderWidth: 2
     }]
@@ -82,9 +84,15 @@ function CategoryPieChart() {
   const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
 
   /** currency selector + symbol (for tooltip/labels) */
-  const [currency, setCurrency] = useState('USD');
-  const currencies = ['USD', 'GBP', 'EURO', 'ILS'];
-  const symbol = ({ USD: '$', GBP: '£', EURO: '€', ILS: '₪' }[currency]) || '';
+  const [currency, setCurrency] = useViewCurrency('pieChart'); // home currency until changed here
+  const currencies = useCurrencies();
+  const symbol = currencySymbol(currency);
+
+  /** spent-vs-budget per budgeted category (in selected currency) */
+  const [budgetStatus, setBudgetStatus] = useState({});
+
+  /** load failure (e.g. a cost in a currency the rates do not cover) */
+  const [loadError, setLoadError] = useState('');
 
   /**
    * Fetches data and updates the pie chart when month/year/currency changes.
@@ -93,16 +101,19 @@ function CategoryPieChart() {
    */
   useEffect(() => {
     const fetchData = async () => {
-      const idb = new IDBWrapper('costsdb', 1);
+      setLoadError('');
+      const idb = getActiveDb();
 
       // Wrapper tolerates parameter order. Here we pass (month, year).
       const costs = await idb.getCostsByMonthYear(selectedMonth, selectedYear);
 
       // External rates JSON (units-per-USD) with default fallback handled in service.
       const rates = await fetchExchangeRates();
+      const budgets = await idb.getBudgetsFor(selectedYear, selectedMonth);
 
       // Empty month: render an empty chart state gracefully.
       if (costs.length === 0) {
+        setBudgetStatus({});
         setChartData({
           labels: [],
           datasets: [{
@@ -120,29 +131,26 @@ function CategoryPieChart() {
         const amt = Number(cost.sum) || 0;
         const from = String(cost.currency || 'USD').toUpperCase();
         const val = convert(amt, from, currency, rates); // convert into selected currency
-        acc[cost.category] = (acc[cost.category] || 0) + val;
+        acc[cost.category] = addMoney(acc[cost.category] || 0, val, currency);
         return acc;
       }, {});
+      const progress = budgetProgress(categoryTotals, budgets, currency, rates);
+      setBudgetStatus(progress);
+      // Over-budget slices get a red outline.
+      const isOver = Object.keys(categoryTotals).map((cat) => Boolean(progress[cat]?.over));
 
       setChartData({
         labels: Object.keys(categoryTotals),
         datasets: [{
           data: Object.values(categoryTotals),
-          backgroundColor: [
-            '#4CAF50',  // Food
-            '#2196F3',  // Transportation
-            '#FF9800',  // Entertainment
-            '#E91E63',  // Health
-            '#9C27B0',  // Education
-            '#00BCD4'   // Utilities
-          ],
-          borderColor: 'rgba(255, 255, 255, 0.8)',
-          borderWidth: 2
+          backgroundColor: Object.keys(categoryTotals).map(categoryColor),
+          borderColor: isOver.map((over) => (over ? '#d32f2f' : 'rgba(255, 255, 255, 0.8)')),
+          borderWidth: isOver.map((over) => (over ? 4 : 2))
         }],
       });
     };
 
-    fetchData();
+    fetchData().catch((e) => setLoadError(e?.message || 'Failed to load the chart'));
   }, [selectedMonth, selectedYear, currency]);
 
   // Layout: month/year/currency controls + pie chart.
@@ -221,11 +229,14 @@ function CategoryPieChart() {
               },
             }}
           >
-            {currencies.map(c => <MenuItem key={c} value={c}>{c}</MenuItem>)}
+            {currencies.map(c => <MenuItem key={c} value={c}>{currencyLabel(c)}</MenuItem>)}
           </Select>
         </FormControl>
       </Box>
 
+      <RatesStatus sx={{ maxWidth: '800px', mx: 'auto', mb: 2, textAlign: 'center' }} />
+      {loadError && <Alert severity="error" sx={{ maxWidth: '800px', mx: 'auto', mb: 2 }}>{loadError}</Alert>}
+
       <Card sx={{
         maxWidth: '800px',
         margin: '0 auto',
@@ -290,6 +301,13 @@ function CategoryPieChart() {
             No expenses found for the selected month and year.
           </Typography>
         )}
+
+        {/* Spent vs budget for this month (over-budget categories in red) */}
+        {chartData.labels.length > 0 && (
+          <Box sx={{ mt: 4 }}>
+            <BudgetProgress progress={budgetStatus} symbol={symbol} currency={currency} />
+          </Box>
+        )}
       </Card>
     </Box>
   ); // Returns a container with month/year selectors and a pie chart showing expense distribution by category
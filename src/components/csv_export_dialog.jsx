@@ -0,0 +1,106 @@
+// src/components/CsvExportDialog.jsx
+// -----------------------------------------------------------------------------
+// CsvExportDialog — Options for CSV exports from the report views.
+// Responsibilities:
+//   • Export the report (its costs with converted amounts, optionally a summary block)
+//   • Or export the raw transactions of any date range (no conversion, no summary),
+//     loaded from the active ledger via IDBWrapper.getCostsInRange
+//   • Pick delimiter, decimal separator and UTF-8 BOM (remembered in settings)
+// Notes:
+//   • Output is RFC 4180 (services/csv formatCSV); rows come from services/csv_export.
+// -----------------------------------------------------------------------------
+
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions, Button, Stack, TextField, MenuItem,
+  FormControlLabel, Checkbox, RadioGroup, Radio, Alert
+} from '@mui/material';
+import { getActiveDb } from '../services/ledgers';
+import { formatCSV, downloadCSV } from '../services/csv';
+import { transactionRows, CSV_DELIMITERS, CSV_DECIMALS } from '../services/csv_export';
+import { getCsvExportOptions, setCsvExportOptions } from '../services/settings';
+
+/**
+ * @param {{open:boolean, onClose:()=>void, title:string, range:{start:string, end:string},
+ *   reportRows:(withSummary:boolean)=>Array<Array<any>>, reportFilename:string}} props
+ */
+export default function CsvExportDialog({ open, onClose, title, range, reportRows, reportFilename }) {
+  const [options, setOptions] = useState(getCsvExportOptions);
+  const [content, setContent] = useState('report');
+  const [withSummary, setWithSummary] = useState(false);
+  const [start, setStart] = useState(range.start);
+  const [end, setEnd] = useState(range.end);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  // Each time it opens: the view's period, remembered format options.
+  useEffect(() => {
+    if (!open) return;
+    setStart(range.start);
+    setEnd(range.end);
+    setOptions(getCsvExportOptions());
+    setError('');
+  }, [open, range.start, range.end]);
+
+  const setOption = (key) => (e) => setOptions((o) => ({ ...o, [key]: key === 'bom' ? e.target.checked : e.target.value }));
+
+  const handleExport = async () => {
+    setError('');
+    setBusy(true);
+    try {
+      const rows = content === 'report'
+        ? reportRows(withSummary)
+        : transactionRows(await getActiveDb().getCostsInRange(start, end));
+      const filename = content === 'report' ? reportFilename : `Transactions_${start}_${end}.csv`;
+      downloadCSV(formatCSV(rows, options), filename);
+      setCsvExportOptions(options);
+      onClose();
+    } catch (e) {
+      setError(e?.message || 'Export failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ mt: 1 }}>
+          <RadioGroup value={content} onChange={(e) => setContent(e.target.value)}>
+            <FormControlLabel value="report" control={<Radio />} label="This report (with converted amounts)" />
+            <FormControlLabel value="transactions" control={<Radio />} label="Raw transactions for a date range" />
+          </RadioGroup>
+
+          {content === 'report' ? (
+            <FormControlLabel
+              control={<Checkbox checked={withSummary} onChange={(e) => setWithSummary(e.target.checked)} />}
+              label="Append summary block (totals, per category)"
+            />
+          ) : (
+            <Stack direction="row" spacing={2}>
+              <TextField label="From" type="date" size="small" value={start} onChange={(e) => setStart(e.target.value)} InputLabelProps={{ shrink: true }} />
+              <TextField label="To" type="date" size="small" value={end} onChange={(e) => setEnd(e.target.value)} InputLabelProps={{ shrink: true }} />
+            </Stack>
+          )}
+
+          <TextField select label="Delimiter" size="small" value={options.delimiter} onChange={setOption('delimiter')}>
+            {Object.entries(CSV_DELIMITERS).map(([d, label]) => <MenuItem key={label} value={d}>{label}</MenuItem>)}
+          </TextField>
+          <TextField select label="Decimal separator" size="small" value={options.decimal} onChange={setOption('decimal')}>
+            {Object.entries(CSV_DECIMALS).map(([d, label]) => <MenuItem key={d} value={d}>{label}</MenuItem>)}
+          </TextField>
+          <FormControlLabel
+            control={<Checkbox checked={options.bom} onChange={setOption('bom')} />}
+            label="Add UTF-8 BOM (for Excel)"
+          />
+          {error && <Alert severity="error">{error}</Alert>}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" onClick={handleExport} disabled={busy}>Export</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
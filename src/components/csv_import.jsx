@@ -0,0 +1,218 @@
+// src/components/CsvImport.jsx
+// -----------------------------------------------------------------------------
+// CsvImport — Load historical expenses from a CSV file.
+// Responsibilities:
+//   • Parse the chosen file (services/csv) and guess the column mapping
+//   • Let the user map columns to sum/currency/category/description/date
+//   • Preview every row with validation errors (currencies without a rate included)
+//     and likely-duplicate flags
+//   • Bulk-insert the valid rows through IDBWrapper.addCosts (one transaction)
+// Notes:
+//   • A likely duplicate has the same day, amount and description as a stored
+//     expense or an earlier row of the same file.
+// -----------------------------------------------------------------------------
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Box, Button, Container, Paper, Typography, Stack, TextField, MenuItem, Alert, Chip,
+  Table, TableHead, TableBody, TableRow, TableCell, TableContainer, FormControlLabel, Checkbox
+} from '@mui/material';
+import FileUploadIcon from '@mui/icons-material/FileUpload';
+import { getActiveDb } from '../services/ledgers';
+import { fetchExchangeRates } from '../services/currency_service';
+import { parseCSV } from '../services/csv';
+import { IMPORT_FIELDS, DATE_FORMATS, guessMapping, mapRows, duplicateKey } from '../services/csv_import';
+import { toDayString } from '../services/recurrence';
+import { currencyLabel } from '../services/currencies';
+import useCurrencies from '../hooks/use_currencies';
+import { getHomeCurrency } from '../services/settings';
+
+const FIELD_LABELS = { sum: 'Sum', currency: 'Currency', category: 'Category', description: 'Description', date: 'Date' };
+const CATEGORIES = ['Food','Transportation','Entertainment','Health','Education','Utilities','Car','Other'];
+
+export default function CsvImport() {
+  const db = getActiveDb();
+  const currencies = useCurrencies();
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [dataRows, setDataRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [dateFormat, setDateFormat] = useState('YYYY-MM-DD');
+  const [defaultCurrency, setDefaultCurrency] = useState(getHomeCurrency);
+  const [defaultCategory, setDefaultCategory] = useState('Other');
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [existingKeys, setExistingKeys] = useState(new Set());
+  const [rates, setRates] = useState(null); // current rates (with overrides), to flag unconvertible rows
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchExchangeRates().then((r) => { if (!cancelled) setRates(r); }).catch(() => {});
+    return () => { cancelled = true; };
+  }, []);
+
+  // Parse + validate rows whenever the mapping or options change.
+  const mapped = useMemo(
+    () => mapRows(dataRows, mapping, { dateFormat, defaultCurrency, defaultCategory, rates: rates || undefined }),
+    [dataRows, mapping, dateFormat, defaultCurrency, defaultCategory, rates]
+  );
+
+  // Load stored expenses covering the file's date span, for duplicate detection.
+  useEffect(() => {
+    let cancelled = false;
+    const days = mapped.filter(r => r.cost.date).map(r => r.cost.date).sort();
+    if (!days.length) { setExistingKeys(new Set()); return undefined; }
+    (async () => {
+      const existing = await db.getCostsInRange(days[0], days[days.length - 1]);
+      if (cancelled) return;
+      setExistingKeys(new Set(existing.map(c => duplicateKey(toDayString(new Date(c._ts)), c.sum, c.description))));
+    })();
+    return () => { cancelled = true; };
+  }, [mapped]);
+
+  // Flag rows matching a stored expense or an earlier row in the file.
+  const preview = useMemo(() => {
+    const seen = new Set();
+    return mapped.map((r) => {
+      const key = duplicateKey(r.cost.date, r.cost.sum, r.cost.description);
+      const duplicate = r.errors.length === 0 && (existingKeys.has(key) || seen.has(key));
+      seen.add(key);
+      return { ...r, duplicate };
+    });
+  }, [mapped, existingKeys]);
+
+  const importable = preview.filter(r => r.errors.length === 0 && !(skipDuplicates && r.duplicate));
+  const invalidCount = preview.filter(r => r.errors.length > 0).length;
+  const duplicateCount = preview.filter(r => r.duplicate).length;
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    setError(''); setMessage('');
+    if (!file) return;
+    try {
+      const rows = parseCSV(await file.text());
+      if (rows.length < 2) throw new Error('The file needs a header row and at least one data row.');
+      setFileName(file.name);
+      setHeaders(rows[0]);
+      setDataRows(rows.slice(1));
+      setMapping(guessMapping(rows[0]));
+    } catch (err) {
+      setHeaders([]); setDataRows([]);
+      setError(err.message || 'Failed to read the CSV file.');
+    }
+  };
+
+  const handleImport = async () => {
+    setError('');
+    try {
+      const count = await db.addCosts(importable.map(r => r.cost));
+      setMessage(`Imported ${count} expense(s) from ${fileName}.`);
+      setHeaders([]); setDataRows([]); setFileName('');
+    } catch (e) {
+      setError(e.message || 'Import failed; nothing was saved.');
+    }
+  };
+
+  return (
+    <Box sx={{ p: 4 }}>
+      <Typography variant="h4" align="center" sx={{ color: '#2c3e50', fontWeight: 700, mb: 4 }}>
+        Import CSV
+      </Typography>
+
+      <Container maxWidth="lg">
+        <Paper elevation={0} sx={{ p: 4, mb: 4, borderRadius: '16px', bgcolor: 'white', boxShadow: '0 4px 20px rgba(0,0,0,0.05)' }}>
+          <Stack spacing={2}>
+            <Box>
+              <Button variant="contained" component="label" startIcon={<FileUploadIcon />} sx={{ borderRadius: '12px', textTransform: 'none' }}>
+                Choose CSV File
+                <input hidden type="file" accept=".csv,text/csv" onChange={handleFile} />
+              </Button>
+              {fileName && <Typography component="span" sx={{ ml: 2 }}>{`${fileName} — ${dataRows.length} row(s)`}</Typography>}
+            </Box>
+
+            {headers.length > 0 && (
+              <>
+                <Typography sx={{ fontWeight: 600 }}>Column mapping</Typography>
+                <Stack direction="row" spacing={2} flexWrap="wrap" useFlexGap>
+                  {IMPORT_FIELDS.map(field => (
+                    <TextField
+                      key={field} select size="small" label={FIELD_LABELS[field]} sx={{ minWidth: 160 }}
+                      value={mapping[field] ?? -1}
+                      onChange={(e) => setMapping({ ...mapping, [field]: Number(e.target.value) })}
+                    >
+                      <MenuItem value={-1}><em>(not in file)</em></MenuItem>
+                      {headers.map((h, i) => <MenuItem key={i} value={i}>{h || `Column ${i + 1}`}</MenuItem>)}
+                    </TextField>
+                  ))}
+                </Stack>
+
+                <Stack direction="row" spacing={2} flexWrap="wrap" useFlexGap alignItems="center">
+                  <TextField select size="small" label="Date format" value={dateFormat} onChange={(e) => setDateFormat(e.target.value)} sx={{ minWidth: 160 }}>
+                    {DATE_FORMATS.map(f => <MenuItem key={f} value={f}>{f}</MenuItem>)}
+                  </TextField>
+                  <TextField select size="small" label="Default currency" value={defaultCurrency} onChange={(e) => setDefaultCurrency(e.target.value)} sx={{ minWidth: 160 }}>
+                    {currencies.map(c => <MenuItem key={c} value={c}>{currencyLabel(c)}</MenuItem>)}
+                  </TextField>
+                  <TextField select size="small" label="Default category" value={defaultCategory} onChange={(e) => setDefaultCategory(e.target.value)} sx={{ minWidth: 160 }}>
+                    {CATEGORIES.map(c => <MenuItem key={c} value={c}>{c}</MenuItem>)}
+                  </TextField>
+                  <FormControlLabel
+                    control={<Checkbox checked={skipDuplicates} onChange={(e) => setSkipDuplicates(e.target.checked)} />}
+                    label="Skip likely duplicates"
+                  />
+                </Stack>
+
+                <Typography color="text.secondary">
+                  {`${importable.length} to import · ${invalidCount} with errors · ${duplicateCount} likely duplicate(s)`}
+                </Typography>
+
+                <TableContainer sx={{ maxHeight: 420 }}>
+                  <Table size="small" stickyHeader>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell>Row</TableCell>
+                        {IMPORT_FIELDS.map(f => <TableCell key={f}>{FIELD_LABELS[f]}</TableCell>)}
+                        <TableCell>Status</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {preview.map(r => (
+                        <TableRow key={r.line} sx={{ bgcolor: r.errors.length ? 'rgba(211,47,47,0.06)' : undefined }}>
+                          <TableCell>{r.line}</TableCell>
+                          <TableCell>{Number.isNaN(r.cost.sum) ? '' : r.cost.sum}</TableCell>
+                          <TableCell>{r.cost.currency}</TableCell>
+                          <TableCell>{r.cost.category}</TableCell>
+                          <TableCell>{r.cost.description}</TableCell>
+                          <TableCell>{r.cost.date}</TableCell>
+                          <TableCell>
+                            {r.errors.length > 0 && <Typography variant="body2" color="error">{r.errors.join('; ')}</Typography>}
+                            {r.duplicate && <Chip size="small" color="warning" label="Likely duplicate" />}
+                            {r.errors.length === 0 && !r.duplicate && <Chip size="small" color="success" label="OK" />}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </TableContainer>
+
+                <Box display="flex" justifyContent="center">
+                  <Button
+                    variant="contained" size="large" onClick={handleImport} disabled={importable.length === 0}
+                    sx={{ borderRadius: '12px', px: 6, textTransform: 'none' }}
+                  >
+                    {`Import ${importable.length} Expense(s)`}
+                  </Button>
+                </Box>
+              </>
+            )}
+
+            {message && <Alert severity="success">{message}</Alert>}
+            {error && <Alert severity="error">{error}</Alert>}
+          </Stack>
+        </Paper>
+      </Container>
+    </Box>
+  );
+}
@@ -2,19 +2,20 @@
 // -----------------------------------------------------------------------------
 // EditExpenseForm — Management UI for updating or deleting an expense.
 // Responsibilities:
-//   • Load monthly expenses (DB: 'costsdb', v1) via IDBWrapper
+//   • Load monthly expenses (active ledger's DB) via IDBWrapper
 //   • Allow selecting an expense, editing fields, and saving via updateCost()
-//   • Allow deleting an expense via deleteCost()
+//   • Allow deleting an expense via deleteCost() (moves it to Trash, with Undo)
 //   • Date editing: writes back _ts/year/month/day and Date.day consistently
-// Notes:
-//   • This file adds comments only. No code changes.
+//   • Show the selected expense's change history and revert to an earlier version
+//   • Open at ?year=&month=&id= with that expense selected (links from other views)
 // -----------------------------------------------------------------------------
 
 import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import {
   Button, TextField, MenuItem, Container, Paper, Typography, Box, Select,
   FormControl, InputLabel, InputAdornment, Dialog, DialogActions, DialogContent,
-  DialogContentText, DialogTitle
+  DialogContentText, DialogTitle, Snackbar
 } from '@mui/material';
 import AttachMoneyIcon from '@mui/icons-material/AttachMoney';
 import CategoryIcon from '@mui/icons-material/Category';
@@ -22,19 +23,14 @@ import DescriptionIcon from '@mui/icons-material/Description';
 import CalendarTodayIcon from '@mui/icons-material/CalendarToday';
 import EditIcon from '@mui/icons-material/Edit';
 import DeleteIcon from '@mui/icons-material/Delete';
-import IDBWrapper from '../idb';
-
-// DB wrapper instance for this view (costsdb, v1).
-const db = new IDBWrapper('costsdb', 1);
-
-// Accent colors per category (purely visual)
-const categoryColors = {
-  Food: '#4CAF50', Transportation: '#2196F3', Entertainment: '#FF9800',
-  Health: '#E91E63', Education: '#9C27B0', Utilities: '#00BCD4'
-};
+import { getActiveDb } from '../services/ledgers';
+import { currencySymbol, currencyLabel, normalizeCurrency } from '../services/currencies';
+import { categoryColor } from '../services/categories';
+import useCurrencies from '../hooks/use_currencies';
+import ExpenseHistory from './expense_history';
 
 // Currency symbol helper (display only)
-const getSymbol = (c) => ({ USD: '$', GBP: '£', EURO: '€', ILS: '₪' }[String(c || 'USD').toUpperCase()] || '');
+const getSymbol = (c) => currencySymbol(c || 'USD');
 
 // Normalize an expense into a Date object using various fallbacks.
 // Priority: _ts (ISO) → explicit .date → Date.day combined with selected year/month.
@@ -65,15 +61,26 @@ const toInputDate = (d) => {
 };
 
 export default function EditExpenseForm() {
+  const db = getActiveDb();
+  const currencies = useCurrencies();
   // Form state for the editable expense (id is required to enable edit/delete)
   const [form, setForm] = useState({ id: '', sum: '', category: '', currency: '', description: '', date: '' });
   // Currently loaded expenses (filtered by month/year)
   const [expenses, setExpenses] = useState([]);
-  // Month/year filters
-  const [selectedMonth, setSelectedMonth] = useState(new Date().getMonth() + 1);
-  const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
+  // Month/year filters (a link may preselect them and an expense via ?year=&month=&id=)
+  const [searchParams] = useSearchParams();
+  const paramMonth = Number(searchParams.get('month'));
+  const paramYear = Number(searchParams.get('year'));
+  const [selectedMonth, setSelectedMonth] = useState(
+    Number.isInteger(paramMonth) && paramMonth >= 1 && paramMonth <= 12 ? paramMonth : new Date().getMonth() + 1
+  );
+  const [selectedYear, setSelectedYear] = useState(Number.isInteger(paramYear) && paramYear > 0 ? paramYear : new Date().getFullYear());
+  // Expense to select once its month is loaded (from ?id=)
+  const [pendingId, setPendingId] = useState(() => Number(searchParams.get('id')) || null);
   // Delete confirmation dialog
   const [openDeleteDialog, setOpenDeleteDialog] = useState(false);
+  // Last trashed expense, offered for Undo in a snackbar
+  const [undoItem, setUndoItem] = useState(null);
 
   const noData = expenses.length === 0;
 
@@ -85,7 +92,10 @@ export default function EditExpenseForm() {
       const allExpenses = await db.getCostsByMonthYear(selectedYear, selectedMonth);
       if (cancelled) return;
       setExpenses(allExpenses);
-      setForm({ id: '', sum: '', category: '', currency: '', description: '', date: '' });
+      const linked = pendingId && allExpenses.find(x => x.id === pendingId);
+      if (linked) fillForm(linked);
+      else setForm({ id: '', sum: '', category: '', currency: '', description: '', date: '' });
+      setPendingId(null);
       setOpenDeleteDialog(false);
     })();
     return () => { cancelled = true; };
@@ -109,11 +119,15 @@ export default function EditExpenseForm() {
     if (!form.description.trim()) return alert('Description is required.');
     if (!form.date) return alert('Date is required.');
 
-    await db.updateCost({
-      ...form,
-      sum: numericSum,
-      date: new Date(form.date)
-    });
+    try {
+      await db.updateCost({
+        ...form,
+        sum: numericSum,
+        date: new Date(form.date)
+      });
+    } catch (e) {
+      return alert(e.message || 'Failed to update expense');
+    }
 
     alert('Expense updated successfully!');
     // Reload the list after update to reflect changes.
@@ -122,33 +136,62 @@ export default function EditExpenseForm() {
     setForm({ id: '', sum: '', category: '', currency: '', description: '', date: '' });
   };
 
+  // Prefill the edit fields from a stored expense.
+  const fillForm = (exp) => {
+    const d = parseExpenseDate(exp, selectedYear, selectedMonth);
+    setForm({
+      id: exp.id,
+      sum: String(exp.sum ?? ''),
+      category: exp.category || '',
+      currency: exp.currency ? normalizeCurrency(exp.currency) : '', // EURO → EUR (menu codes)
+      description: exp.description || '',
+      date: toInputDate(d)
+    });
+  };
+
   // When selecting an expense from the dropdown, prefill fields.
   const handleExpenseSelect = (e) => {
     const selectedExpense = expenses.find(x => x.id === e.target.value);
-    if (selectedExpense) {
-      const d = parseExpenseDate(selectedExpense, selectedYear, selectedMonth);
-      setForm({
-        id: selectedExpense.id,
-        sum: String(selectedExpense.sum ?? ''),
-        category: selectedExpense.category || '',
-        currency: selectedExpense.currency || '',
-        description: selectedExpense.description || '',
-        date: toInputDate(d)
-      });
-    }
+    if (selectedExpense) fillForm(selectedExpense);
+  };
+
+  // After a revert, reload the list and refill the form with the reverted values.
+  // (If the revert moved the expense to another month, the selection is cleared.)
+  const handleReverted = async () => {
+    const updated = await db.getCostsByMonthYear(selectedYear, selectedMonth);
+    setExpenses(updated);
+    const reverted = updated.find(x => x.id === form.id);
+    if (reverted) fillForm(reverted);
   };
 
-  // Delete the selected expense (with confirmation dialog)
+  // Move the selected expense to Trash (with confirmation dialog), then offer Undo
   const handleDelete = async () => {
     if (!form.id) return;
-    await db.deleteCost(form.id);
+    try {
+      await db.deleteCost(form.id);
+    } catch (e) {
+      setOpenDeleteDialog(false);
+      return alert(e.message || 'Failed to delete expense');
+    }
     setOpenDeleteDialog(false);
-    alert('Expense deleted successfully!');
+    setUndoItem({ id: form.id, description: form.description });
     const updated = await db.getCostsByMonthYear(selectedYear, selectedMonth);
     setExpenses(updated);
     setForm({ id: '', sum: '', category: '', currency: '', description: '', date: '' });
   };
 
+  // Undo the last delete by restoring it from Trash
+  const handleUndo = async () => {
+    if (!undoItem) return;
+    try {
+      await db.restoreCost(undoItem.id);
+    } catch (e) {
+      return alert(e.message || 'Failed to restore expense');
+    }
+    setUndoItem(null);
+    setExpenses(await db.getCostsByMonthYear(selectedYear, selectedMonth));
+  };
+
   return (
     <Box sx={{ p: 4 }}>
       <Typography variant="h4" align="center" sx={{ color: '#2c3e50', fontWeight: 700, mb: 4 }}>
@@ -185,7 +228,7 @@ export default function EditExpenseForm() {
                   return (
                     <MenuItem key={exp.id} value={exp.id}>
                       <Box sx={{ display: 'grid', gridTemplateColumns: '1fr auto 2fr', gap: 2, alignItems: 'center', width: '100%' }}>
-                        <Typography sx={{ color: categoryColors[exp.category], fontWeight: 500 }}>{exp.category}</Typography>
+                        <Typography sx={{ color: categoryColor(exp.category), fontWeight: 500 }}>{exp.category}</Typography>
                         <Typography sx={{ fontVariantNumeric: 'tabular-nums' }}>{`${sym}${Number(exp.sum || 0).toLocaleString()}`}</Typography>
                         <Typography sx={{ color: 'text.secondary', fontSize: '0.9rem', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', justifySelf: 'end' }} title={exp.description}>
                           {exp.description}
@@ -218,7 +261,7 @@ export default function EditExpenseForm() {
                   fullWidth margin="normal" variant="outlined"
                   sx={{ '& .MuiOutlinedInput-root': { borderRadius: '12px' }, mb: 2 }}
                 >
-                  {['USD','ILS','GBP','EURO'].map(c => <MenuItem key={c} value={c}>{c}</MenuItem>)}
+                  {currencies.map(c => <MenuItem key={c} value={c}>{currencyLabel(c)}</MenuItem>)}
                 </TextField>
 
                 <TextField
@@ -253,6 +296,8 @@ export default function EditExpenseForm() {
                     Delete Expense
                   </Button>
                 </Box>
+
+                <ExpenseHistory costId={form.id} onReverted={handleReverted} />
               </>
             )}
           </form>
@@ -262,12 +307,21 @@ export default function EditExpenseForm() {
       {/* Confirmation dialog for deletion */}
       <Dialog open={openDeleteDialog} onClose={() => setOpenDeleteDialog(false)}>
         <DialogTitle>Confirm Expense Deletion</DialogTitle>
-        <DialogContent><DialogContentText>This action cannot be undone.</DialogContentText></DialogContent>
+        <DialogContent><DialogContentText>The expense will be moved to Trash, where it can be restored.</DialogContentText></DialogContent>
         <DialogActions>
           <Button onClick={() => setOpenDeleteDialog(false)}>Cancel</Button>
           <Button onClick={handleDelete} variant="contained" color="error" autoFocus>Delete</Button>
         </DialogActions>
       </Dialog>
+
+      {/* Undo for the last delete */}
+      <Snackbar
+        open={Boolean(undoItem)}
+        autoHideDuration={8000}
+        onClose={(_e, reason) => { if (reason !== 'clickaway') setUndoItem(null); }}
+        message={undoItem ? `"${undoItem.description}" moved to Trash` : ''}
+        action={<Button color="secondary" size="small" onClick={handleUndo}>Undo</Button>}
+      />
     </Box>
   );
 }
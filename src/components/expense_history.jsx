@@ -0,0 +1,87 @@
+// src/components/ExpenseHistory.jsx
+// -----------------------------------------------------------------------------
+// ExpenseHistory — Change log for one expense, with "revert to this version".
+// Responsibilities:
+//   • Load history entries (IDBWrapper.getHistory) for the selected expense
+//   • Show each change as field: before → after (date fields collapsed into one line)
+//   • Revert the expense to the version produced by any earlier entry
+// Notes:
+//   • Rendered by EditExpenseForm under the edit fields.
+// -----------------------------------------------------------------------------
+
+import React, { useEffect, useState } from 'react';
+import { Box, Typography, Button, Stack, Chip } from '@mui/material';
+import { getActiveDb } from '../services/ledgers';
+
+const OP_LABELS = { add: 'Added', update: 'Edited', delete: 'Deleted', restore: 'Restored', revert: 'Reverted' };
+
+// year/month/day/Date.day always move together with _ts; show only the date.
+const HIDDEN_FIELDS = ['year', 'month', 'day', 'Date'];
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined) return '—';
+  if (field === '_ts' || field === 'deletedAt') return new Date(value).toLocaleDateString();
+  return String(value);
+};
+
+const FIELD_LABELS = { _ts: 'date', deletedAt: 'deleted' };
+
+/**
+ * @param {{costId:number, onReverted?:Function}} props
+ */
+export default function ExpenseHistory({ costId, onReverted }) {
+  const db = getActiveDb();
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      const list = await db.getHistory(costId);
+      if (!cancelled) setEntries(list);
+    })();
+    return () => { cancelled = true; };
+  }, [costId]);
+
+  const handleRevert = async (entry) => {
+    if (!window.confirm(`Revert this expense to how it was after the change on ${new Date(entry.at).toLocaleString()}?`)) return;
+    try {
+      await db.revertCost(costId, entry.id);
+      setEntries(await db.getHistory(costId));
+      if (typeof onReverted === 'function') onReverted();
+    } catch (e) {
+      alert(e.message || 'Failed to revert');
+    }
+  };
+
+  if (entries.length === 0) return null;
+
+  return (
+    <Box sx={{ mt: 4 }}>
+      <Typography variant="h6" sx={{ fontWeight: 600, mb: 1 }}>History</Typography>
+      <Stack spacing={1.5}>
+        {entries.map((entry, i) => (
+          <Box key={entry.id} sx={{ p: 1.5, borderRadius: '12px', bgcolor: '#f8f9fa' }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+              <Chip size="small" label={OP_LABELS[entry.op] || entry.op} />
+              <Typography variant="body2" color="text.secondary" sx={{ flex: 1 }}>
+                {new Date(entry.at).toLocaleString()}
+              </Typography>
+              {i > 0 && (
+                <Button size="small" onClick={() => handleRevert(entry)} sx={{ textTransform: 'none' }}>
+                  Revert to this version
+                </Button>
+              )}
+            </Box>
+            {Object.entries(entry.diff)
+              .filter(([field]) => !HIDDEN_FIELDS.includes(field))
+              .map(([field, change]) => (
+                <Typography key={field} variant="body2">
+                  {`${FIELD_LABELS[field] || field}: ${formatValue(field, change.before)} → ${formatValue(field, change.after)}`}
+                </Typography>
+              ))}
+          </Box>
+        ))}
+      </Stack>
+    </Box>
+  );
+}
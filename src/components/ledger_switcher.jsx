@@ -0,0 +1,92 @@
+// src/components/LedgerSwitcher.jsx
+// -----------------------------------------------------------------------------
+// LedgerSwitcher — Pick the active ledger and create/rename/delete ledgers.
+// Responsibilities:
+//   • List ledgers (services/ledgers) and switch the active one
+//   • Create, rename and delete ledgers (deleting also drops its database)
+//   • Tell the app shell which ledger is active so every view reloads from it
+// Notes:
+//   • Rendered at the top of the Sidebar.
+// -----------------------------------------------------------------------------
+
+import React, { useState } from 'react';
+import { Box, TextField, MenuItem, IconButton, Tooltip } from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import {
+  getLedgers, getActiveLedger, setActiveLedger, createLedger, renameLedger, deleteLedger
+} from '../services/ledgers';
+
+/**
+ * @param {{ledgerId:string, onChange?:(id:string)=>void}} props
+ */
+export default function LedgerSwitcher({ ledgerId, onChange }) {
+  const [ledgers, setLedgers] = useState(getLedgers);
+
+  // Re-read the list and report the (possibly new) active ledger to the parent.
+  const sync = () => {
+    setLedgers(getLedgers());
+    if (typeof onChange === 'function') onChange(getActiveLedger().id);
+  };
+
+  const current = ledgers.find(l => l.id === ledgerId) || ledgers[0];
+
+  const handleSelect = (e) => {
+    setActiveLedger(e.target.value);
+    sync();
+  };
+
+  const handleCreate = () => {
+    const name = window.prompt('Name of the new ledger:');
+    if (name === null) return;
+    try {
+      setActiveLedger(createLedger(name).id);
+      sync();
+    } catch (e) {
+      alert(e.message);
+    }
+  };
+
+  const handleRename = () => {
+    const name = window.prompt('New name for this ledger:', current.name);
+    if (name === null) return;
+    try {
+      renameLedger(current.id, name);
+      sync();
+    } catch (e) {
+      alert(e.message);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the ledger "${current.name}" and all of its data? This cannot be undone.`)) return;
+    try {
+      await deleteLedger(current.id);
+      sync();
+    } catch (e) {
+      alert(e.message);
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+      <TextField select size="small" label="Ledger" value={current.id} onChange={handleSelect} sx={{ flex: 1, bgcolor: 'rgba(255, 255, 255, 0.7)' }}>
+        {ledgers.map(l => <MenuItem key={l.id} value={l.id}>{l.name}</MenuItem>)}
+      </TextField>
+      <Tooltip title="New ledger">
+        <IconButton size="small" onClick={handleCreate} aria-label="New ledger"><AddIcon fontSize="small" /></IconButton>
+      </Tooltip>
+      <Tooltip title="Rename ledger">
+        <IconButton size="small" onClick={handleRename} aria-label="Rename ledger"><EditIcon fontSize="small" /></IconButton>
+      </Tooltip>
+      <Tooltip title="Delete ledger">
+        <span>
+          <IconButton size="small" onClick={handleDelete} disabled={ledgers.length === 1} aria-label="Delete ledger">
+            <DeleteIcon fontSize="small" />
+          </IconButton>
+        </span>
+      </Tooltip>
+    </Box>
+  );
+}
@@ -2,14 +2,19 @@
 // -----------------------------------------------------------------------------
 // MonthlyReport — Detailed list view for a given month/year.
 // Responsibilities:
-//   • Load costs for (month, year) from IndexedDB (DB: 'costsdb', v1)
-//   • Convert values into a selected currency (USD/ILS/GBP/EURO)
-//   • Provide fuzzy search, per-category counts/totals, and CSV export
+//   • Load costs for (month, year) from IndexedDB (active ledger's DB)
+//   • Convert values into a selected currency (any currency the rates feed provides)
+//   • Provide fuzzy search, per-category counts/totals, and CSV export (see CsvExportDialog)
+//   • Show spent-vs-budget progress per category and flag over-budget ones
+//   • Convert at transaction-time rates (snapshot stored with each cost) or current
+//     rates, and show the difference between the two as FX gain/loss
+//   • Open at ?year=&month=&category= (e.g. from a yearly chart segment); the category filter
+//     narrows the list, the summary totals, budget progress and the CSV export alike
 // Spec alignment:
 //   • Totals computed in the selected currency (courses spec #2/#5)
 //   • Dates derived from _ts or Date.day (insertion date semantics)
 // Notes:
-//   • Comments only. No code changes.
+//   • A load superseded by a newer month/currency/mode/category selection is dropped.
 // -----------------------------------------------------------------------------
 
 /**
@@ -18,37 +23,45 @@
  * All totals are computed in the selected currency (per spec).
  */
 import React, { useState, useEffect } from 'react';
-import IDBWrapper from '../idb';
+import { useSearchParams } from 'react-router-dom';
+import { getActiveDb } from '../services/ledgers';
 import {
   Box, Typography, Select, MenuItem, Card, CardContent,
   Button, TextField, InputLabel, FormControl, InputAdornment,
-  Switch, FormControlLabel
+  Switch, FormControlLabel, Alert
 } from '@mui/material';
 import Fuse from 'fuse.js';
 import SearchIcon from '@mui/icons-material/Search';
 import FileDownloadIcon from '@mui/icons-material/FileDownload';
-import { fetchExchangeRates, convert } from '../services/currency_service';
-
-// Palette for category accents (cards and summary)
-const categoryColors = {
-  Food: '#4CAF50',
-  Transportation: '#2196F3',
-  Entertainment: '#FF9800',
-  Health: '#E91E63',
-  Education: '#9C27B0',
-  Utilities: '#00BCD4'
-};
-
-// Allowed display currencies (tokens per spec)
-const currencies = ['USD', 'GBP', 'EURO', 'ILS'];
-const currencySymbol = (c) =>
-  ({ USD: '$', GBP: '£', EURO: '€', ILS: '₪' }[String(c).toUpperCase()] || '');
+import { fetchExchangeRates, ratesForCost, RATE_MODES, RATE_MODE_LABELS } from '../services/currency_service';
+import { convert, addMoney, sumMoney, signedAmount } from '../services/money';
+import { getRatesLookup } from '../services/rate_history';
+import { budgetProgress } from '../services/budgets';
+import { currencySymbol, currencyLabel } from '../services/currencies';
+import { categoryColor } from '../services/categories';
+import { transactionRows, summaryRows } from '../services/csv_export';
+import { toDayString } from '../services/recurrence';
+import useCurrencies from '../hooks/use_currencies';
+import useViewCurrency from '../hooks/use_view_currency';
+import BudgetProgress from './budget_progress';
+import RatesStatus from './rates_status';
+import CsvExportDialog from './csv_export_dialog';
 
 const MonthlyReport = () => {
-  // Filters (month/year/currency)
-  const [selectedMonth, setSelectedMonth] = useState(new Date().getMonth() + 1);
-  const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
-  const [currency, setCurrency] = useState('USD');
+  // Display currencies offered by the registry / rates feed
+  const currencies = useCurrencies();
+
+  // Filters (month/year/currency/category); month, year and category may come from the URL
+  const [searchParams] = useSearchParams();
+  const paramMonth = Number(searchParams.get('month'));
+  const paramYear = Number(searchParams.get('year'));
+  const [selectedMonth, setSelectedMonth] = useState(
+    Number.isInteger(paramMonth) && paramMonth >= 1 && paramMonth <= 12 ? paramMonth : new Date().getMonth() + 1
+  );
+  const [selectedYear, setSelectedYear] = useState(Number.isInteger(paramYear) && paramYear > 0 ? paramYear : new Date().getFullYear());
+  const [categoryFilter, setCategoryFilter] = useState(searchParams.get('category') || '');
+  const [currency, setCurrency] = useViewCurrency('monthlyReport'); // home currency until changed here
+  const [rateMode, setRateMode] = useState('transaction');
 
   // Toggle to show original amounts/currency per row (in addition to converted)
   const [showOriginal, setShowOriginal] = useState(false);
@@ -57,11 +70,25 @@ const MonthlyReport = () => {
   const [reportData, setReportData] = useState([]);
   const [categoryCounts, setCategoryCounts] = useState({});
   const [rates, setRates] = useState(null);
+  // "Rates on day" lookup from the rate history (only for the 'dated' rate mode)
+  const [ratesOn, setRatesOn] = useState(null);
 
   // Totals (in selected currency)
   const [totalConverted, setTotalConverted] = useState(0);
   const [totalsByCategoryConverted, setTotalsByCategoryConverted] = useState({});
 
+  // Current-rate total minus transaction-time total (in selected currency)
+  const [fxGainLoss, setFxGainLoss] = useState(0);
+
+  // Spent-vs-budget per budgeted category (in selected currency)
+  const [budgetStatus, setBudgetStatus] = useState({});
+
+  // Load failure (e.g. a cost in a currency the rates do not cover)
+  const [loadError, setLoadError] = useState('');
+
+  // CSV export dialog
+  const [exportOpen, setExportOpen] = useState(false);
+
   // Fuzzy search
   const [searchTerm, setSearchTerm] = useState('');
   const [filteredData, setFilteredData] = useState([]);
@@ -90,14 +117,21 @@ const MonthlyReport = () => {
    * Load expenses for the selected month/year and compute:
    * - total in selected currency
    * - per-category totals in selected currency
-   * - per-category counts
+   * - per-category counts (whole month; they feed the category dropdown)
+   * - spent-vs-budget progress
+   * - FX gain/loss between current and transaction-time rates
+   * Totals and budget progress cover only the filtered category when one is set.
    */
   useEffect(() => {
+    // A newer month/currency/mode selection supersedes this load; drop its results.
+    let cancelled = false;
     const fetchReportData = async () => {
-      const idb = new IDBWrapper('costsdb', 1);
+      setLoadError('');
+      const idb = getActiveDb();
 
       // Wrapper tolerates parameter order; here we pass (month, year).
       const costs = await idb.getCostsByMonthYear(selectedMonth, selectedYear);
+      if (cancelled) return;
       setReportData(costs);
 
       // Per-category counts (number of items)
@@ -106,100 +140,93 @@ const MonthlyReport = () => {
         return acc;
       }, {});
       setCategoryCounts(counts);
+      const shown = categoryFilter ? costs.filter(c => c.category === categoryFilter) : costs;
 
       // Rates for currency conversion (units-per-USD model)
       const r = await fetchExchangeRates();
+      const lookup = rateMode === 'dated' ? await getRatesLookup() : null;
+      if (cancelled) return;
       setRates(r);
+      setRatesOn(() => lookup);
 
-      // Total in selected currency
-      const totalInTarget = costs.reduce((sum, c) => {
+      // Total in selected currency, under a given rate mode (sum of per-cost rounded amounts)
+      const totalAt = (mode) => sumMoney(shown.map((c) => {
         const amt = Number(c.sum) || 0;
         const from = String(c.currency || 'USD').toUpperCase();
-        return sum + convert(amt, from, currency, r);
-      }, 0);
-      setTotalConverted(totalInTarget);
+        return convert(amt, from, currency, ratesForCost(c, r, mode, lookup));
+      }), currency);
+      setTotalConverted(totalAt(rateMode));
+      setFxGainLoss(addMoney(totalAt('current'), -totalAt('transaction'), currency));
 
       // Per-category totals in selected currency
-      const byCat = costs.reduce((acc, c) => {
+      const byCat = shown.reduce((acc, c) => {
         const amt = Number(c.sum) || 0;
         const from = String(c.currency || 'USD').toUpperCase();
-        const val = convert(amt, from, currency, r);
-        acc[c.category] = (acc[c.category] || 0) + val;
+        const val = convert(amt, from, currency, ratesForCost(c, r, rateMode, lookup));
+        acc[c.category] = addMoney(acc[c.category] || 0, val, currency);
         return acc;
       }, {});
       setTotalsByCategoryConverted(byCat);
+
+      const budgets = await idb.getBudgetsFor(selectedYear, selectedMonth);
+      if (cancelled) return;
+      const shownBudgets = categoryFilter
+        ? Object.fromEntries(Object.entries(budgets || {}).filter(([cat]) => cat === categoryFilter))
+        : budgets;
+      setBudgetStatus(budgetProgress(byCat, shownBudgets, currency, r));
     };
 
-    fetchReportData();
-  }, [selectedMonth, selectedYear, currency]);
+    fetchReportData().catch((e) => {
+      if (!cancelled) setLoadError(e?.message || 'Failed to load the report');
+    });
+    return () => { cancelled = true; };
+  }, [selectedMonth, selectedYear, currency, rateMode, categoryFilter]);
+
+  // The month's costs in the filtered category (all of them without a filter)
+  const inCategory = categoryFilter ? reportData.filter(c => c.category === categoryFilter) : reportData;
 
   /**
    * Fuzzy search across category/description/date.
-   * Uses Fuse.js on the loaded month data (client-side only).
+   * Uses Fuse.js on the loaded month data (client-side only), after the category filter.
    */
   useEffect(() => {
-    const fuse = new Fuse(reportData, {
+    const fuse = new Fuse(inCategory, {
       keys: ['category', 'description', 'date'],
       threshold: 0.3
     });
-    const filtered = searchTerm ? fuse.search(searchTerm).map(r => r.item) : reportData;
+    const filtered = searchTerm ? fuse.search(searchTerm).map(r => r.item) : inCategory;
     setFilteredData(filtered);
-  }, [reportData, searchTerm]);
+  }, [reportData, searchTerm, categoryFilter]);
 
   const sym = currencySymbol(currency);
 
-  // Convert a single row into selected currency (null until rates loaded)
+  // Convert a single row into selected currency (null until rates loaded or when it has no rate)
   const convertedValue = (cost) => {
     if (!rates) return null;
     const from = String(cost.currency || 'USD').toUpperCase();
-    return convert(Number(cost.sum) || 0, from, currency, rates);
+    try {
+      return convert(Number(cost.sum) || 0, from, currency, ratesForCost(cost, rates, rateMode, ratesOn));
+    } catch {
+      return null;
+    }
   };
 
   /**
-   * Export current data to CSV (always in selected currency).
-   * If "showOriginal" is on, include an extra "Original Amount" column.
-   * This is a client-only export using Blob and a temporary <a> element.
+   * CSV rows for this month's report (RFC 4180 via the export dialog): every cost (in the
+   * filtered category) with its original and converted amount as plain numbers, plus an
+   * optional summary block.
    */
-  const exportToCSV = () => {
-    const rows = [
-      ['Category', `Amount (${currency})`, ...(showOriginal ? ['Original Amount'] : []), 'Description', 'Date'],
-      ...reportData.map(cost => {
-        const d = normalizeCostDate(cost);
-        const val = convertedValue(cost);
-        const origAmount = Number(cost.sum) || 0;
-        const origCurr = String(cost.currency || 'USD').toUpperCase();
-        const origSym = currencySymbol(origCurr);
-
-        return [
-          cost.category,
-          val === null ? '' : `${sym}${val.toFixed(2)}`,
-          ...(showOriginal ? [`${origSym}${origAmount.toFixed(2)} ${origCurr}`] : []),
-          cost.description,
-          d ? d.toLocaleDateString() : (cost?.Date?.day ? `Day ${cost.Date.day}` : '')
-        ];
-      }),
-      [],
-      ['Summary'],
-      ['Total Expenses', reportData.length],
-      [`Total (${currency})`, `${sym}${totalConverted.toFixed(2)}`],
-      [],
-      [`Totals by category in ${currency}`],
-      ...Object.entries(totalsByCategoryConverted).map(([cat, sum]) => [
-        cat, `${sym}${sum.toFixed(2)}`
-      ])
-    ];
-
-    const csvContent = rows.map(e => e.join(',')).join('\n');
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    link.setAttribute('href', url);
-    link.setAttribute('download', `Monthly_Report_${selectedMonth}_${selectedYear}.csv`);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-  };
+  const reportRows = (withSummary) => [
+    ...transactionRows(inCategory, { currency, valueOf: convertedValue }),
+    ...(withSummary ? summaryRows([
+      ...(categoryFilter ? [['Category filter', categoryFilter]] : []),
+      ['Total Expenses', inCategory.length],
+      ['Total', totalConverted, currency],
+      ['Rates', RATE_MODE_LABELS[rateMode]],
+      ['FX gain/loss (current vs transaction-time)', fxGainLoss, currency],
+      ...Object.entries(totalsByCategoryConverted).map(([cat, sum]) => [`Category: ${cat}`, sum, currency])
+    ]) : [])
+  ];
 
   return (
     <Box sx={{ p: 4 }}>
@@ -267,7 +294,40 @@ const MonthlyReport = () => {
               '& .MuiOutlinedInput-notchedOutline': { borderColor: 'rgba(0, 0, 0, 0.1)' }
             }}
           >
-            {currencies.map(c => <MenuItem key={c} value={c}>{c}</MenuItem>)}
+            {currencies.map(c => <MenuItem key={c} value={c}>{currencyLabel(c)}</MenuItem>)}
+          </Select>
+        </FormControl>
+
+        <FormControl sx={{ minWidth: 200 }}>
+          <InputLabel>Convert at</InputLabel>
+          <Select
+            value={rateMode}
+            label="Convert at"
+            onChange={(e) => setRateMode(e.target.value)}
+            sx={{
+              borderRadius: '12px',
+              '& .MuiOutlinedInput-notchedOutline': { borderColor: 'rgba(0, 0, 0, 0.1)' }
+            }}
+          >
+            {RATE_MODES.map(m => <MenuItem key={m} value={m}>{RATE_MODE_LABELS[m]}</MenuItem>)}
+          </Select>
+        </FormControl>
+
+        <FormControl sx={{ minWidth: 160 }}>
+          <InputLabel>Category</InputLabel>
+          <Select
+            value={categoryFilter || 'all'}
+            label="Category"
+            onChange={(e) => setCategoryFilter(e.target.value === 'all' ? '' : e.target.value)}
+            sx={{
+              borderRadius: '12px',
+              '& .MuiOutlinedInput-notchedOutline': { borderColor: 'rgba(0, 0, 0, 0.1)' }
+            }}
+          >
+            <MenuItem value="all">All categories</MenuItem>
+            {[...new Set([...Object.keys(categoryCounts), ...(categoryFilter ? [categoryFilter] : [])])].map(c => (
+              <MenuItem key={c} value={c}>{c}</MenuItem>
+            ))}
           </Select>
         </FormControl>
 
@@ -282,6 +342,9 @@ const MonthlyReport = () => {
         />
       </Box>
 
+      <RatesStatus sx={{ mb: 2, textAlign: 'center' }} />
+      {loadError && <Alert severity="error" sx={{ mb: 2 }}>{loadError}</Alert>}
+
       {/* Search box (fuzzy on description/category/date) */}
       <TextField
         fullWidth
@@ -314,7 +377,7 @@ const MonthlyReport = () => {
               const val = convertedValue(cost); // in selected currency
               const origAmount = Number(cost.sum) || 0;
               const origCurr = String(cost.currency || 'USD').toUpperCase();
-              const origSym = ({ USD: '$', GBP: '£', EURO: '€', ILS: '₪' }[origCurr] || '');
+              const origSym = currencySymbol(origCurr);
 
               return (
                 <Card
@@ -328,7 +391,7 @@ const MonthlyReport = () => {
                 >
                   <CardContent>
                     <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
-                      <Typography variant="h6" sx={{ color: categoryColors[cost.category] }}>
+                      <Typography variant="h6" sx={{ color: categoryColor(cost.category) }}>
                         {cost.category}
                       </Typography>
 
@@ -357,23 +420,36 @@ const MonthlyReport = () => {
           {/* Summary pane */}
           <Card sx={{ borderRadius: '16px', boxShadow: '0 4px 20px rgba(0,0,0,0.05)', mb: 4 }}>
             <CardContent>
-              <Typography variant="h6" sx={{ mb: 2, fontWeight: 600 }}>Summary</Typography>
+              <Typography variant="h6" sx={{ mb: 2, fontWeight: 600 }}>
+                {categoryFilter ? `Summary — ${categoryFilter} only` : 'Summary'}
+              </Typography>
               <Box sx={{ display: 'grid', gap: 1 }}>
-                <Typography>{`Total Expenses: ${reportData.length}`}</Typography>
-                <Typography>{`Total in ${currency}: ${sym}${totalConverted.toFixed(2)}`}</Typography>
+                <Typography>{`Total Expenses: ${inCategory.length}`}</Typography>
+                <Typography>{`Total in ${currency}: ${sym}${totalConverted.toFixed(2)} (${RATE_MODE_LABELS[rateMode].toLowerCase()})`}</Typography>
+                <Typography color="text.secondary">
+                  {`FX gain/loss (current − transaction-time rates): ${signedAmount(fxGainLoss, sym)}`}
+                </Typography>
 
                 {/* Extra: per-category totals in selected currency */}
                 <Typography sx={{ mt: 1, fontWeight: 600 }}>{`Totals by category (in ${currency})`}</Typography>
                 {Object.entries(totalsByCategoryConverted).map(([cat, sum]) => (
-                  <Typography key={cat} sx={{ color: categoryColors[cat] || '#374151' }}>
+                  <Typography key={cat} sx={{ color: categoryColor(cat) }}>
                     {cat}: {sym}{sum.toFixed(2)}
+                    {budgetStatus[cat]?.over && (
+                      <Typography component="span" sx={{ color: 'error.main', fontWeight: 600 }}> (over budget)</Typography>
+                    )}
                   </Typography>
                 ))}
 
+                {/* Spent vs budget (only budgeted categories) */}
+                <Box sx={{ mt: 1 }}>
+                  <BudgetProgress progress={budgetStatus} symbol={sym} currency={currency} />
+                </Box>
+
                 {/* Category counts */}
                 <Typography sx={{ mt: 1, fontWeight: 600 }}>Counts by category</Typography>
-                {Object.entries(categoryCounts).map(([category, count]) => (
-                  <Typography key={category} sx={{ color: categoryColors[category] }}>
+                {Object.entries(categoryCounts).filter(([category]) => !categoryFilter || category === categoryFilter).map(([category, count]) => (
+                  <Typography key={category} sx={{ color: categoryColor(category) }}>
                     {category}: {count} items
                   </Typography>
                 ))}
@@ -385,7 +461,7 @@ const MonthlyReport = () => {
           <Box display="flex" justifyContent="center">
             <Button
               variant="contained"
-              onClick={exportToCSV}
+              onClick={() => setExportOpen(true)}
               startIcon={<FileDownloadIcon />}
               sx={{
                 borderRadius: '12px',
@@ -414,6 +490,18 @@ const MonthlyReport = () => {
           No expenses found for the selected month and year.
         </Typography>
       )}
+
+      <CsvExportDialog
+        open={exportOpen}
+        onClose={() => setExportOpen(false)}
+        title="Export Monthly Report"
+        range={{
+          start: toDayString(new Date(selectedYear, selectedMonth - 1, 1)),
+          end: toDayString(new Date(selectedYear, selectedMonth, 0))
+        }}
+        reportRows={reportRows}
+        reportFilename={`Monthly_Report_${selectedMonth}_${selectedYear}.csv`}
+      />
     </Box>
   );
 };
@@ -0,0 +1,328 @@
+// src/components/RangeReport.jsx
+// -----------------------------------------------------------------------------
+// RangeReport — Report for any date range, compared with the period before it.
+// Responsibilities:
+//   • Pick a preset (last 7/30/90 days, this month/quarter/year) or custom start/end days
+//   • Load costs in the range and in the previous equal-length period
+//     (IDBWrapper.getCostsInRange on the active ledger)
+//   • Convert into the selected currency at the selected rate mode, like MonthlyReport
+//   • Show totals, per-category totals with absolute and % change vs the previous period,
+//     fuzzy search over the expenses and CSV export (see CsvExportDialog)
+// Notes:
+//   • Range math lives in services/periods (pure, unit-tested).
+//   • A category without spending in the previous period has no % change ("new").
+// -----------------------------------------------------------------------------
+
+import React, { useEffect, useState } from 'react';
+import {
+  Box, Typography, Select, MenuItem, Card, CardContent, Button, TextField, InputLabel,
+  FormControl, InputAdornment, Alert, Table, TableHead, TableBody, TableRow, TableCell
+} from '@mui/material';
+import Fuse from 'fuse.js';
+import SearchIcon from '@mui/icons-material/Search';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import { getActiveDb } from '../services/ledgers';
+import { fetchExchangeRates, ratesForCost, RATE_MODES, RATE_MODE_LABELS } from '../services/currency_service';
+import { convert, addMoney, sumMoney, signedAmount } from '../services/money';
+import { getRatesLookup } from '../services/rate_history';
+import { RANGE_PRESETS, presetRange, previousPeriod, rangeLength, compareByCategory } from '../services/periods';
+import { currencySymbol, currencyLabel } from '../services/currencies';
+import { transactionRows, summaryRows } from '../services/csv_export';
+import useCurrencies from '../hooks/use_currencies';
+import useViewCurrency from '../hooks/use_view_currency';
+import RatesStatus from './rates_status';
+import CsvExportDialog from './csv_export_dialog';
+
+// "+12.5%" / "-3.0%", or "new" when the previous period had nothing to compare with
+const signedPct = (pct) => (pct === null ? 'new' : `${pct < 0 ? '-' : '+'}${Math.abs(pct).toFixed(1)}%`);
+
+const selectSx = {
+  borderRadius: '12px',
+  '& .MuiOutlinedInput-notchedOutline': { borderColor: 'rgba(0, 0, 0, 0.1)' }
+};
+
+export default function RangeReport() {
+  const currencies = useCurrencies();
+
+  // Filters (range/currency/rate mode)
+  const [preset, setPreset] = useState('last30');
+  const [range, setRange] = useState(() => presetRange('last30'));
+  const [currency, setCurrency] = useViewCurrency('rangeReport'); // home currency until changed here
+  const [rateMode, setRateMode] = useState('transaction');
+
+  // Data: costs in the range with their converted amounts, and the comparison rows
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [previousTotal, setPreviousTotal] = useState(0);
+  const [comparison, setComparison] = useState([]);
+  const [loadError, setLoadError] = useState('');
+
+  // CSV export dialog
+  const [exportOpen, setExportOpen] = useState(false);
+
+  // Fuzzy search
+  const [searchTerm, setSearchTerm] = useState('');
+  const [filteredItems, setFilteredItems] = useState([]);
+
+  let previous = null;
+  let rangeError = '';
+  try {
+    rangeLength(range.start, range.end);
+    previous = previousPeriod(range.start, range.end);
+  } catch (e) {
+    rangeError = e.message;
+  }
+
+  const handlePresetChange = (e) => {
+    setPreset(e.target.value);
+    if (e.target.value !== 'custom') setRange(presetRange(e.target.value));
+  };
+
+  // Typing a date switches to a custom range.
+  const handleDayChange = (field) => (e) => {
+    setPreset('custom');
+    setRange((r) => ({ ...r, [field]: e.target.value }));
+  };
+
+  /**
+   * Load both periods and compute totals and per-category changes in the selected currency
+   * (each cost converted and rounded on its own, then added — same as MonthlyReport).
+   */
+  useEffect(() => {
+    // An invalid range shows nothing rather than the last valid range's figures.
+    if (rangeError) {
+      setItems([]);
+      setTotal(0);
+      setPreviousTotal(0);
+      setComparison([]);
+      return undefined;
+    }
+    // A superseded load (range/currency/rate mode changed meanwhile) must not set state.
+    let cancelled = false;
+    const loadReport = async () => {
+      setLoadError('');
+      const idb = getActiveDb();
+      const [costs, previousCosts, rates, lookup] = await Promise.all([
+        idb.getCostsInRange(range.start, range.end),
+        idb.getCostsInRange(previous.start, previous.end),
+        fetchExchangeRates(),
+        rateMode === 'dated' ? getRatesLookup() : null
+      ]);
+
+      const toTarget = (c) => convert(
+        Number(c.sum) || 0,
+        String(c.currency || 'USD').toUpperCase(),
+        currency,
+        ratesForCost(c, rates, rateMode, lookup)
+      );
+      const byCategory = (list) => list.reduce((acc, c) => {
+        acc[c.category] = addMoney(acc[c.category] || 0, c.value, currency);
+        return acc;
+      }, {});
+
+      const current = costs.map((c) => ({ ...c, value: toTarget(c) }));
+      const before = previousCosts.map((c) => ({ ...c, value: toTarget(c) }));
+      if (cancelled) return;
+      setItems(current);
+      setTotal(sumMoney(current.map(c => c.value), currency));
+      setPreviousTotal(sumMoney(before.map(c => c.value), currency));
+      setComparison(compareByCategory(byCategory(current), byCategory(before), currency));
+    };
+
+    loadReport().catch((e) => { if (!cancelled) setLoadError(e?.message || 'Failed to load the report'); });
+    return () => { cancelled = true; };
+  }, [range.start, range.end, currency, rateMode, rangeError]);
+
+  // Fuzzy search across category/description (client-side only)
+  useEffect(() => {
+    const fuse = new Fuse(items, { keys: ['category', 'description'], threshold: 0.3 });
+    setFilteredItems(searchTerm ? fuse.search(searchTerm).map(r => r.item) : items);
+  }, [items, searchTerm]);
+
+  const sym = currencySymbol(currency);
+  const totalChange = addMoney(total, -previousTotal, currency);
+  const totalPct = previousTotal ? (totalChange / previousTotal) * 100 : null;
+  const dayLabel = (c) => new Date(c._ts).toLocaleDateString();
+
+  /**
+   * CSV rows for the range (RFC 4180 via the export dialog): every cost with its original and
+   * converted amount, plus an optional summary block with the comparison per category.
+   */
+  const reportRows = (withSummary) => [
+    ...transactionRows(items, { currency, valueOf: c => c.value }),
+    ...(withSummary ? summaryRows([
+      ['Period', `${range.start}/${range.end}`],
+      ['Previous period', `${previous.start}/${previous.end}`],
+      ['Total Expenses', items.length],
+      ['Total', total, currency],
+      ['Previous total', previousTotal, currency],
+      ['Change', totalChange, currency],
+      ['Change %', totalPct === null ? '' : Number(totalPct.toFixed(1))],
+      ['Rates', RATE_MODE_LABELS[rateMode]],
+      ...comparison.flatMap(r => [
+        [`Category: ${r.category}`, r.current, currency],
+        [`Category: ${r.category} (previous)`, r.previous, currency]
+      ])
+    ]) : [])
+  ];
+
+  return (
+    <Box sx={{ p: 4 }}>
+      <Typography variant="h4" align="center" sx={{ color: '#2c3e50', fontWeight: 700, mb: 4 }}>
+        Date Range Report
+      </Typography>
+
+      {/* Filters (range/currency/rate mode) */}
+      <Box sx={{ display: 'flex', gap: 2, mb: 2, flexWrap: 'wrap', justifyContent: 'center' }}>
+        <FormControl sx={{ minWidth: 160 }}>
+          <InputLabel>Period</InputLabel>
+          <Select value={preset} label="Period" onChange={handlePresetChange} sx={selectSx}>
+            {Object.entries(RANGE_PRESETS).map(([id, label]) => <MenuItem key={id} value={id}>{label}</MenuItem>)}
+          </Select>
+        </FormControl>
+
+        <TextField
+          label="From"
+          type="date"
+          value={range.start}
+          onChange={handleDayChange('start')}
+          InputLabelProps={{ shrink: true }}
+        />
+        <TextField
+          label="To"
+          type="date"
+          value={range.end}
+          onChange={handleDayChange('end')}
+          InputLabelProps={{ shrink: true }}
+        />
+
+        <FormControl sx={{ minWidth: 140 }}>
+          <InputLabel>Currency</InputLabel>
+          <Select value={currency} label="Currency" onChange={(e) => setCurrency(e.target.value)} sx={selectSx}>
+            {currencies.map(c => <MenuItem key={c} value={c}>{currencyLabel(c)}</MenuItem>)}
+          </Select>
+        </FormControl>
+
+        <FormControl sx={{ minWidth: 200 }}>
+          <InputLabel>Convert at</InputLabel>
+          <Select value={rateMode} label="Convert at" onChange={(e) => setRateMode(e.target.value)} sx={selectSx}>
+            {RATE_MODES.map(m => <MenuItem key={m} value={m}>{RATE_MODE_LABELS[m]}</MenuItem>)}
+          </Select>
+        </FormControl>
+      </Box>
+
+      {previous && (
+        <Typography align="center" color="text.secondary" sx={{ mb: 2 }}>
+          {`${rangeLength(range.start, range.end)} days, compared with ${previous.start} to ${previous.end}`}
+        </Typography>
+      )}
+
+      <RatesStatus sx={{ mb: 2, textAlign: 'center' }} />
+      {rangeError && <Alert severity="warning" sx={{ mb: 2 }}>{rangeError}</Alert>}
+      {loadError && <Alert severity="error" sx={{ mb: 2 }}>{loadError}</Alert>}
+
+      {/* Summary and per-category comparison */}
+      {!rangeError && (
+        <Card sx={{ borderRadius: '16px', boxShadow: '0 4px 20px rgba(0,0,0,0.05)', mb: 4 }}>
+          <CardContent>
+            <Typography variant="h6" sx={{ mb: 2, fontWeight: 600 }}>Summary</Typography>
+            <Typography>{`Total Expenses: ${items.length}`}</Typography>
+            <Typography>{`Total in ${currency}: ${sym}${total.toFixed(2)} (${RATE_MODE_LABELS[rateMode].toLowerCase()})`}</Typography>
+            <Typography color="text.secondary" sx={{ mb: 2 }}>
+              {`Previous period: ${sym}${previousTotal.toFixed(2)} (${signedAmount(totalChange, sym)}, ${signedPct(totalPct)})`}
+            </Typography>
+
+            {comparison.length > 0 && (
+              <Table size="small" aria-label="Totals by category compared with the previous period">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Category</TableCell>
+                    <TableCell align="right">This period</TableCell>
+                    <TableCell align="right">Previous period</TableCell>
+                    <TableCell align="right">Change</TableCell>
+                    <TableCell align="right">Change %</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {comparison.map(r => (
+                    <TableRow key={r.category}>
+                      <TableCell>{r.category}</TableCell>
+                      <TableCell align="right">{`${sym}${r.current.toFixed(2)}`}</TableCell>
+                      <TableCell align="right">{`${sym}${r.previous.toFixed(2)}`}</TableCell>
+                      <TableCell align="right" sx={{ color: r.change > 0 ? 'error.main' : r.change < 0 ? 'success.main' : undefined }}>
+                        {signedAmount(r.change, sym)}
+                      </TableCell>
+                      <TableCell align="right">{signedPct(r.changePct)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Search box (fuzzy on description/category) */}
+      <TextField
+        fullWidth
+        variant="outlined"
+        placeholder="Search expenses..."
+        value={searchTerm}
+        onChange={(e) => setSearchTerm(e.target.value)}
+        sx={{ mb: 4, '& .MuiOutlinedInput-root': { borderRadius: '12px' } }}
+        InputProps={{
+          startAdornment: (
+            <InputAdornment position="start">
+              <SearchIcon sx={{ color: '#6b7280' }} />
+            </InputAdornment>
+          )
+        }}
+      />
+
+      {filteredItems.length > 0 ? (
+        <Box>
+          <Box sx={{ display: 'grid', gap: 2, mb: 4 }}>
+            {filteredItems.map((c) => (
+              <Card key={c.id} sx={{ borderRadius: '16px', boxShadow: '0 4px 20px rgba(0,0,0,0.05)' }}>
+                <CardContent sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <Box>
+                    <Typography variant="h6">{c.category}</Typography>
+                    <Typography color="text.secondary">{c.description}</Typography>
+                    <Typography variant="body2" color="text.secondary">{dayLabel(c)}</Typography>
+                  </Box>
+                  <Box sx={{ textAlign: 'right' }}>
+                    <Typography variant="h6" sx={{ fontWeight: 600 }}>{`${sym}${c.value.toFixed(2)} ${currency}`}</Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {`${(Number(c.sum) || 0).toFixed(2)} ${String(c.currency || 'USD').toUpperCase()}`}
+                    </Typography>
+                  </Box>
+                </CardContent>
+              </Card>
+            ))}
+          </Box>
+
+          <Box display="flex" justifyContent="center">
+            <Button variant="contained" onClick={() => setExportOpen(true)} startIcon={<FileDownloadIcon />} sx={{ borderRadius: '12px', textTransform: 'none' }}>
+              Export to CSV
+            </Button>
+          </Box>
+        </Box>
+      ) : (
+        <Typography variant="body1" align="center" sx={{ color: '#6b7280', fontSize: '1.1rem' }}>
+          No expenses found for the selected period.
+        </Typography>
+      )}
+
+      {previous && (
+        <CsvExportDialog
+          open={exportOpen}
+          onClose={() => setExportOpen(false)}
+          title="Export Date Range Report"
+          range={range}
+          reportRows={reportRows}
+          reportFilename={`Report_${range.start}_${range.end}.csv`}
+        />
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,134 @@
+// src/components/RateOverrides.jsx
+// -----------------------------------------------------------------------------
+// RateOverrides — Pin manual exchange rates on top of the rates feed.
+// Responsibilities:
+//   • Edit the override rows (currency, rate per USD, optional effective date)
+//   • Show, per currency, the feed rate next to the rate actually in use and its source
+// Notes:
+//   • Rendered inside Settings; overrides are stored by services/settings and applied by
+//     fetchExchangeRates() (so reports, charts and new cost snapshots all see them).
+// -----------------------------------------------------------------------------
+
+import React, { useEffect, useState } from 'react';
+import {
+    Box, Card, CardContent, Button, Typography, Stack, Alert, TextField, MenuItem, IconButton,
+    Table, TableHead, TableBody, TableRow, TableCell, Chip
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { getRateOverrides, setRateOverrides } from '../services/settings';
+import { fetchExchangeRates, activeRateOverrides } from '../services/currency_service';
+import { listCurrencies, rateOf } from '../services/currencies';
+
+const emptyRow = () => ({ currency: 'EUR', rate: '', effectiveFrom: '' });
+
+/**
+ * Manual rate overrides card for the Settings view.
+ */
+export default function RateOverrides() {
+    const [rows, setRows] = useState(() => getRateOverrides().map(o => ({ ...o, rate: String(o.rate), effectiveFrom: o.effectiveFrom || '' })));
+    const [feed, setFeed] = useState(null);
+    const [saved, setSaved] = useState(getRateOverrides);
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+
+    // The feed's own rates (without overrides) for the comparison table.
+    useEffect(() => {
+        let cancelled = false;
+        fetchExchangeRates({ overrides: false }).then((r) => { if (!cancelled) setFeed(r); });
+        return () => { cancelled = true; };
+    }, []);
+
+    const currencies = listCurrencies(feed || undefined);
+    const pickable = currencies.filter(c => c !== 'USD');
+
+    const updateRow = (i, field) => (e) => {
+        setRows(rows.map((r, j) => (j === i ? { ...r, [field]: e.target.value } : r)));
+    };
+
+    const handleSave = () => {
+        setMessage(''); setError('');
+        try {
+            setSaved(setRateOverrides(rows));
+            setMessage('Rate overrides saved.');
+        } catch (e) {
+            setError(e.message || 'Failed to save rate overrides.');
+        }
+    };
+
+    const active = activeRateOverrides(saved);
+    const scheduled = (code) => saved
+        .filter(o => o.currency === code && o !== active[code] && (o.effectiveFrom || '') > (active[code]?.effectiveFrom || ''))
+        .map(o => o.effectiveFrom)
+        .sort()[0];
+
+    return (
+        <Card sx={{ mt: 3 }}>
+            <CardContent>
+                <Typography variant="h6" gutterBottom>Manual Exchange Rates</Typography>
+                <Typography variant="body2" sx={{ mb: 2 }}>
+                    Pin a rate (units per 1 USD) when the feed is wrong or unreachable. An override with an
+                    effective date applies from that day on; without one it applies right away.
+                </Typography>
+
+                <Stack spacing={2}>
+                    {rows.map((r, i) => (
+                        <Stack key={i} direction="row" spacing={1} alignItems="center" flexWrap="wrap">
+                            <TextField select size="small" label="Currency" value={r.currency} onChange={updateRow(i, 'currency')} sx={{ minWidth: 110 }}>
+                                {[...new Set([...pickable, r.currency])].map(c => <MenuItem key={c} value={c}>{c}</MenuItem>)}
+                            </TextField>
+                            <TextField size="small" label="Rate per USD" value={r.rate} onChange={updateRow(i, 'rate')} sx={{ width: 140 }} />
+                            <TextField
+                                size="small" type="date" label="Effective from" value={r.effectiveFrom}
+                                onChange={updateRow(i, 'effectiveFrom')} InputLabelProps={{ shrink: true }}
+                            />
+                            <IconButton aria-label="Remove override" onClick={() => setRows(rows.filter((_, j) => j !== i))}>
+                                <DeleteIcon />
+                            </IconButton>
+                        </Stack>
+                    ))}
+
+                    <Stack direction="row" spacing={2}>
+                        <Button variant="outlined" onClick={() => setRows([...rows, emptyRow()])}>Add Override</Button>
+                        <Button variant="contained" onClick={handleSave}>Save Overrides</Button>
+                    </Stack>
+
+                    {message && <Alert severity="success">{message}</Alert>}
+                    {error && <Alert severity="error">{error}</Alert>}
+
+                    {feed && (
+                        <Box sx={{ overflowX: 'auto' }}>
+                            <Table size="small">
+                                <TableHead>
+                                    <TableRow>
+                                        <TableCell>Currency</TableCell>
+                                        <TableCell align="right">Feed rate</TableCell>
+                                        <TableCell align="right">Rate in use</TableCell>
+                                        <TableCell>Source</TableCell>
+                                    </TableRow>
+                                </TableHead>
+                                <TableBody>
+                                    {[...new Set([...currencies, ...Object.keys(active)])].map((c) => {
+                                        const next = scheduled(c);
+                                        return (
+                                            <TableRow key={c}>
+                                                <TableCell>{c}</TableCell>
+                                                <TableCell align="right">{rateOf(feed, c) ?? '—'}</TableCell>
+                                                <TableCell align="right">{active[c] ? active[c].rate : (rateOf(feed, c) ?? '—')}</TableCell>
+                                                <TableCell>
+                                                    {active[c]
+                                                        ? <Chip size="small" color="warning" label={active[c].effectiveFrom ? `Override since ${active[c].effectiveFrom}` : 'Override'} />
+                                                        : <Chip size="small" label="Feed" />}
+                                                    {next && <Typography component="span" variant="caption" sx={{ ml: 1 }}>{`override from ${next}`}</Typography>}
+                                                </TableCell>
+                                            </TableRow>
+                                        );
+                                    })}
+                                </TableBody>
+                            </Table>
+                        </Box>
+                    )}
+                </Stack>
+            </CardContent>
+        </Card>
+    );
+}
@@ -0,0 +1,144 @@
+// src/components/RatesChart.jsx
+// -----------------------------------------------------------------------------
+// RatesChart — SVG line chart of one currency's exchange rate over time.
+// Responsibilities:
+//   • Load the recorded rate snapshots for a period (services/rate_history)
+//   • Plot "1 <base> = x <currency>" per snapshot, on a time axis
+//   • Provide selectors for currency, base currency and period; handle loading/errors
+// Notes:
+//   • Snapshots are recorded whenever fetched rates change, so the line only has
+//     points on days the rates changed while the app was in use.
+//   • Rates are the feed's (manual overrides are not part of the history).
+// -----------------------------------------------------------------------------
+
+import React, { useEffect, useState } from 'react';
+import { Box, Card, CardContent, Typography, FormControl, InputLabel, Select, MenuItem, Stack, Alert, LinearProgress } from '@mui/material';
+import { getRateHistory } from '../services/rate_history';
+import { currencyLabel, listCurrencies, rateOf } from '../services/currencies';
+import { getHomeCurrency } from '../services/settings';
+
+const PERIODS = { 30: 'Last 30 days', 90: 'Last 90 days', 365: 'Last year', 0: 'All time' };
+
+export default function RatesChart() {
+  const [days, setDays] = useState(365);
+  const [snapshots, setSnapshots] = useState([]);
+  const [currency, setCurrency] = useState(() => (getHomeCurrency() === 'USD' ? 'ILS' : getHomeCurrency()));
+  const [base, setBase] = useState('USD');
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState('');
+
+  useEffect(() => {
+    (async () => {
+      setLoading(true); setErr('');
+      try {
+        const from = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : undefined;
+        setSnapshots(await getRateHistory({ from }));
+      } catch (e) {
+        setErr(e?.message || 'Failed to load rate history');
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, [days]);
+
+  // Every currency seen in the period, so old snapshots stay chartable.
+  const currencies = listCurrencies(Object.assign({}, ...snapshots.map(s => s.rates)));
+
+  // Units of `currency` per 1 `base` at each snapshot (skipped when either is missing).
+  const points = snapshots
+    .map((s) => {
+      const rc = rateOf(s.rates, currency);
+      const rb = rateOf(s.rates, base);
+      return rc && rb ? { t: new Date(s.fetchedAt).getTime(), date: s.date, value: rc / rb } : null;
+    })
+    .filter(Boolean);
+
+  // Basic SVG layout constants (padding, scales)
+  const chartWidth = 900, chartHeight = 320;
+  const padding = { top: 24, right: 24, bottom: 40, left: 70 };
+  const innerW = chartWidth - padding.left - padding.right;
+  const innerH = chartHeight - padding.top - padding.bottom;
+  const tMin = Math.min(...points.map(p => p.t));
+  const tMax = Math.max(...points.map(p => p.t));
+  const vMin = Math.min(...points.map(p => p.value));
+  const vMax = Math.max(...points.map(p => p.value));
+  const vPad = (vMax - vMin) * 0.1 || vMax * 0.05 || 1;
+  const x = (t) => padding.left + (tMax === tMin ? innerW / 2 : ((t - tMin) / (tMax - tMin)) * innerW);
+  const y = (v) => padding.top + innerH - ((v - (vMin - vPad)) / (vMax - vMin + 2 * vPad)) * innerH;
+  const fmt = new Intl.NumberFormat('en-US', { maximumSignificantDigits: 5 });
+
+  return (
+    <Box sx={{ p: 4 }}>
+      <Typography variant="h4" align="center" sx={{ color: '#2c3e50', fontWeight: 700, mb: 3 }}>
+        Exchange Rate History — {currency} per {base}
+      </Typography>
+      <Typography color="text.secondary" sx={{ mb: 2 }}>
+        Every distinct set of fetched rates is recorded with its date. Reports can convert at these
+        rates with &quot;Rate on expense date&quot;.
+      </Typography>
+
+      <Card elevation={0} sx={{ p: 3, borderRadius: '16px', bgcolor: 'white', boxShadow: '0 4px 20px rgba(0,0,0,0.05)' }}>
+        <CardContent>
+          <Stack direction="row" spacing={2} sx={{ mb: 2 }} alignItems="center" flexWrap="wrap">
+            <FormControl size="small" sx={{ minWidth: 180 }}>
+              <InputLabel>Currency</InputLabel>
+              <Select label="Currency" value={currency} onChange={(e) => setCurrency(e.target.value)}>
+                {[...new Set([...currencies, currency])].map(c => <MenuItem key={c} value={c}>{currencyLabel(c)}</MenuItem>)}
+              </Select>
+            </FormControl>
+
+            <FormControl size="small" sx={{ minWidth: 140 }}>
+              <InputLabel>Per</InputLabel>
+              <Select label="Per" value={base} onChange={(e) => setBase(e.target.value)}>
+                {[...new Set([...currencies, base])].map(c => <MenuItem key={c} value={c}>{`1 ${c}`}</MenuItem>)}
+              </Select>
+            </FormControl>
+
+            <FormControl size="small" sx={{ minWidth: 160 }}>
+              <InputLabel>Period</InputLabel>
+              <Select label="Period" value={days} onChange={(e) => setDays(e.target.value)}>
+                {Object.entries(PERIODS).map(([d, label]) => <MenuItem key={d} value={Number(d)}>{label}</MenuItem>)}
+              </Select>
+            </FormControl>
+          </Stack>
+
+          {err && <Alert severity="error" sx={{ mb: 2 }}>{err}</Alert>}
+          {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+          {!loading && !err && points.length === 0 && (
+            <Typography align="center" color="text.secondary" sx={{ my: 4 }}>
+              No recorded rates for this currency in the selected period.
+            </Typography>
+          )}
+
+          {!loading && !err && points.length > 0 && (
+            <Box sx={{ overflowX: 'auto' }}>
+              {/* Accessible SVG line chart: axis labels plus a <title> per point */}
+              <svg width={chartWidth} height={chartHeight} role="img" aria-label={`${currency} per ${base} rate history`}>
+                {/* Y-axis: min/max labels and baseline */}
+                <line x1={padding.left} y1={padding.top} x2={padding.left} y2={chartHeight - padding.bottom} stroke="#ccc" />
+                {[vMin, vMax].map((v, i) => (
+                  <text key={i} x={padding.left - 8} y={y(v) + 4} textAnchor="end" fontSize="12" fill="#555">{fmt.format(v)}</text>
+                ))}
+
+                {/* X-axis: first and last day */}
+                <line x1={padding.left} y1={chartHeight - padding.bottom} x2={chartWidth - padding.right} y2={chartHeight - padding.bottom} stroke="#ccc" />
+                <text x={x(tMin)} y={chartHeight - padding.bottom + 18} textAnchor="start" fontSize="12" fill="#555">{points[0].date}</text>
+                {points.length > 1 && (
+                  <text x={x(tMax)} y={chartHeight - padding.bottom + 18} textAnchor="end" fontSize="12" fill="#555">{points[points.length - 1].date}</text>
+                )}
+
+                <polyline fill="none" stroke="#2196f3" strokeWidth="2" points={points.map(p => `${x(p.t)},${y(p.value)}`).join(' ')} />
+                {points.map((p, i) => (
+                  <circle key={i} cx={x(p.t)} cy={y(p.value)} r="4" fill="#2196f3">
+                    <title>{`${p.date}: 1 ${base} = ${fmt.format(p.value)} ${currency}`}</title>
+                  </circle>
+                ))}
+              </svg>
+            </Box>
+          )}
+        </CardContent>
+      </Card>
+    </Box>
+  );
+}
@@ -0,0 +1,57 @@
+// src/components/RatesStatus.jsx
+// -----------------------------------------------------------------------------
+// RatesStatus — One-line note on which exchange rates a view is using.
+// Responsibilities:
+//   • "Rates as of <date>" when the cached rates are fresh
+//   • Warn when stale (last good) rates or the built-in defaults are in use
+//   • Name the currencies whose rate is a manual override from Settings
+//   • Warn when the configured URL failed and a fallback source is in use
+// Notes:
+//   • Calls fetchExchangeRates() itself; the service cache and in-flight sharing
+//     make this free when the view has just fetched rates too.
+// -----------------------------------------------------------------------------
+
+import React, { useEffect, useState } from 'react';
+import { Alert, Typography } from '@mui/material';
+import {
+  fetchExchangeRates, getRatesStatus, getRatesProvenance, activeRateOverrides, FALLBACK_LEVELS
+} from '../services/currency_service';
+
+/**
+ * @param {{refreshKey?:any, sx?:object}} props - refreshKey: re-check after a forced refresh
+ */
+export default function RatesStatus({ refreshKey, sx }) {
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      await fetchExchangeRates();
+      if (!cancelled) setStatus({ ...getRatesStatus(), provenance: getRatesProvenance() });
+    })();
+    return () => { cancelled = true; };
+  }, [refreshKey]);
+
+  if (!status) return null;
+  const asOf = status.fetchedAt ? new Date(status.fetchedAt).toLocaleString() : '';
+  const pinned = Object.keys(activeRateOverrides());
+  const manual = pinned.length ? ` Manual rates: ${pinned.join(', ')}.` : '';
+  const { provenance } = status;
+  const fallback = provenance && provenance.fallbackLevel > 0 && provenance.fallbackLevel < 3;
+
+  if (status.state === 'fresh' && fallback) {
+    const reason = provenance.errors[0] ? ` (${provenance.errors[0].error})` : '';
+    return (
+      <Alert severity="warning" sx={sx}>
+        {`The configured rates URL failed${reason}; rates as of ${asOf} come from the ${FALLBACK_LEVELS[provenance.fallbackLevel]}.${manual}`}
+      </Alert>
+    );
+  }
+  if (status.state === 'fresh') {
+    return <Typography variant="body2" color="text.secondary" sx={sx}>{`Rates as of ${asOf}.${manual}`}</Typography>;
+  }
+  if (status.state === 'stale') {
+    return <Alert severity="warning" sx={sx}>{`Could not refresh exchange rates; using saved rates from ${asOf}.${manual}`}</Alert>;
+  }
+  return <Alert severity="warning" sx={sx}>{`Exchange rates could not be loaded; using built-in default rates.${manual}`}</Alert>;
+}
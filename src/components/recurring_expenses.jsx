@@ -0,0 +1,160 @@
+// src/components/RecurringExpenses.jsx
+// -----------------------------------------------------------------------------
+// RecurringExpenses — Manage recurring expense definitions (rent, subscriptions…).
+// Responsibilities:
+//   • Create definitions (amount, currency, category, description, frequency, start/end)
+//   • List definitions with pause/resume and delete actions
+//   • Materialize due occurrences right after a definition is created
+// Notes:
+//   • Due occurrences are also materialized on app start (see app.jsx).
+//   • Deleting a definition keeps the costs it already created.
+// -----------------------------------------------------------------------------
+
+import React, { useEffect, useState } from 'react';
+import {
+  Button, TextField, MenuItem, Container, Paper, Typography, Box, Stack, Chip, IconButton, Tooltip
+} from '@mui/material';
+import PauseIcon from '@mui/icons-material/Pause';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { getActiveDb } from '../services/ledgers';
+import { currencySymbol, currencyLabel } from '../services/currencies';
+import useCurrencies from '../hooks/use_currencies';
+import { getHomeCurrency } from '../services/settings';
+import { FREQUENCIES, toDayString } from '../services/recurrence';
+
+const FREQUENCY_LABELS = { weekly: 'Weekly', monthly: 'Monthly', yearly: 'Yearly' };
+const getSymbol = (c) => currencySymbol(c || 'USD');
+
+const emptyForm = () => ({
+  sum: '', currency: getHomeCurrency(), category: '', description: '',
+  frequency: 'monthly', startDate: toDayString(new Date()), endDate: ''
+});
+
+export default function RecurringExpenses() {
+  const db = getActiveDb();
+  const currencies = useCurrencies();
+  const [form, setForm] = useState(emptyForm);
+  const [items, setItems] = useState([]);
+
+  const reload = async () => setItems(await db.getRecurring());
+
+  useEffect(() => { reload(); }, []);
+
+  /** Generic controlled-input change handler (name -> value). */
+  const handleChange = (e) => setForm({ ...form, [e.target.name]: e.target.value });
+
+  // Validate at UI level, save, then create any occurrences already due.
+  const handleCreate = async () => {
+    try {
+      if (!form.sum || isNaN(form.sum) || Number(form.sum) <= 0) return alert('Sum must be a number > 0');
+      if (!form.category) return alert('Please select a category');
+      if (!form.description.trim()) return alert('Please fill description');
+      if (!form.startDate) return alert('Please pick a start date');
+      if (form.endDate && form.endDate < form.startDate) return alert('End date must be after the start date');
+
+      await db.addRecurring({ ...form, sum: Number(form.sum), endDate: form.endDate || null });
+      const created = await db.materializeRecurring();
+      alert(created ? `Recurring expense saved (${created} due occurrence(s) added).` : 'Recurring expense saved.');
+      setForm(emptyForm());
+      await reload();
+    } catch (e) {
+      alert(e.message || 'Failed to save recurring expense');
+    }
+  };
+
+  const handleTogglePause = async (item) => {
+    await db.setRecurringPaused(item.id, !item.paused);
+    await reload();
+  };
+
+  const handleDelete = async (item) => {
+    if (!window.confirm(`Delete "${item.description}"? Expenses already added are kept.`)) return;
+    await db.deleteRecurring(item.id);
+    await reload();
+  };
+
+  return (
+    <Box sx={{ p: 4 }}>
+      <Typography variant="h4" align="center" sx={{ color: '#2c3e50', fontWeight: 700, mb: 4 }}>
+        Recurring Expenses
+      </Typography>
+
+      <Container maxWidth="sm">
+        <Paper elevation={0} sx={{ p: 4, mb: 4, borderRadius: '16px', bgcolor: 'white', boxShadow: '0 4px 20px rgba(0,0,0,0.05)' }}>
+          <form onSubmit={(e) => e.preventDefault()}>
+            <Stack direction="row" spacing={2}>
+              <TextField label="Sum" name="sum" value={form.sum} onChange={handleChange} fullWidth margin="normal" />
+              <TextField label="Currency" name="currency" value={form.currency} onChange={handleChange} select fullWidth margin="normal">
+                {currencies.map(c => <MenuItem key={c} value={c}>{currencyLabel(c)}</MenuItem>)}
+              </TextField>
+            </Stack>
+
+            <TextField label="Category" name="category" value={form.category} onChange={handleChange} select fullWidth margin="normal">
+              {['Food','Transportation','Entertainment','Health','Education','Utilities','Car','Other'].map(c => (
+                <MenuItem key={c} value={c}>{c}</MenuItem>
+              ))}
+            </TextField>
+
+            <TextField label="Description" name="description" value={form.description} onChange={handleChange} fullWidth margin="normal" />
+
+            <TextField label="Frequency" name="frequency" value={form.frequency} onChange={handleChange} select fullWidth margin="normal">
+              {FREQUENCIES.map(f => <MenuItem key={f} value={f}>{FREQUENCY_LABELS[f]}</MenuItem>)}
+            </TextField>
+
+            <Stack direction="row" spacing={2}>
+              <TextField
+                label="Start date" name="startDate" type="date" value={form.startDate} onChange={handleChange}
+                fullWidth margin="normal" InputLabelProps={{ shrink: true }}
+              />
+              <TextField
+                label="End date (optional)" name="endDate" type="date" value={form.endDate} onChange={handleChange}
+                fullWidth margin="normal" InputLabelProps={{ shrink: true }}
+              />
+            </Stack>
+
+            <Box display="flex" justifyContent="center" sx={{ mt: 2 }}>
+              <Button variant="contained" size="large" onClick={handleCreate} sx={{ borderRadius: '12px', px: 6, textTransform: 'none' }}>
+                Save Recurring Expense
+              </Button>
+            </Box>
+          </form>
+        </Paper>
+
+        {items.length === 0 ? (
+          <Typography align="center" color="text.secondary">No recurring expenses yet.</Typography>
+        ) : (
+          <Stack spacing={2}>
+            {items.map((item) => (
+              <Paper key={item.id} elevation={0} sx={{ p: 2, borderRadius: '16px', boxShadow: '0 4px 20px rgba(0,0,0,0.05)' }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                  <Box sx={{ flex: 1, minWidth: 0 }}>
+                    <Typography sx={{ fontWeight: 600 }}>
+                      {item.description} — {`${getSymbol(item.currency)}${Number(item.sum).toFixed(2)} ${item.currency}`}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {`${FREQUENCY_LABELS[item.frequency]} · ${item.category} · from ${item.startDate}`}
+                      {item.endDate ? ` to ${item.endDate}` : ''}
+                      {item.lastOccurrence ? ` · last added ${item.lastOccurrence}` : ''}
+                    </Typography>
+                  </Box>
+                  {item.paused && <Chip label="Paused" size="small" />}
+                  <Tooltip title={item.paused ? 'Resume' : 'Pause'}>
+                    <IconButton onClick={() => handleTogglePause(item)} aria-label={item.paused ? 'Resume' : 'Pause'}>
+                      {item.paused ? <PlayArrowIcon /> : <PauseIcon />}
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Delete">
+                    <IconButton onClick={() => handleDelete(item)} aria-label="Delete" color="error">
+                      <DeleteIcon />
+                    </IconButton>
+                  </Tooltip>
+                </Box>
+              </Paper>
+            ))}
+          </Stack>
+        )}
+      </Container>
+    </Box>
+  );
+}
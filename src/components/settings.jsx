@@ -2,17 +2,55 @@
 // -----------------------------------------------------------------------------
 // Settings — Configure the exchange-rates source URL used by the app.
 // Responsibilities:
+//   • Pick the home currency (default selection in every view and form)
 //   • Load/save the URL via services/settings (localStorage-based)
 //   • Validate URL syntax (http/https) before saving
+//   • "Test" a URL: fetch it once and preview the parsed rates or the exact failure
+//   • Show where the rates in use came from (URL, fallback level, errors of failed sources)
 //   • Guide the user on the exact JSON format required by the spec
+//   • Pick the feed format (flat, nested with base, ECB XML) — see services/rate_providers
+//   • Pick the fetch policy (chained fallbacks, same-origin only, configured URL only)
+//     and edit or remove the external fallback URL
+//   • Configure how long fetched rates are cached, refresh them, and show their age
+//   • Pick how converted amounts round ties (see services/money)
+//   • Host the manual rate overrides card (see RateOverrides)
+//   • Host the backup & restore card (see BackupRestore)
 // Notes:
 //   • For simplest setup, pointing to /rates.json on the same origin avoids CORS.
-//   • Comments only. No code changes.
 // -----------------------------------------------------------------------------
 
 import React, { useEffect, useState } from 'react';
-import { Box, Card, CardContent, TextField, Button, Typography, Stack, Alert } from '@mui/material';
-import { getExchangeRatesUrl, setExchangeRatesUrl } from '../services/settings';
+import { Box, Card, CardContent, TextField, Button, Typography, Stack, Alert, MenuItem } from '@mui/material';
+import {
+    getExchangeRatesUrl, setExchangeRatesUrl, getRatesTtlMinutes, setRatesTtlMinutes,
+    getRoundingMode, setRoundingMode, getRatesProvider, setRatesProvider,
+    getHomeCurrency, setHomeCurrency, getRatesFetchPolicy, setRatesFetchPolicy,
+    getFallbackRatesUrl, setFallbackRatesUrl
+} from '../services/settings';
+import { currencyLabel } from '../services/currencies';
+import useCurrencies from '../hooks/use_currencies';
+import { RATE_PROVIDERS } from '../services/rate_providers';
+import {
+    fetchExchangeRates, fetchRatesDetailed, testRatesUrl, FALLBACK_LEVELS
+} from '../services/currency_service';
+import BackupRestore from './backup_restore';
+import RatesStatus from './rates_status';
+import RateOverrides from './rate_overrides';
+
+const FETCH_POLICY_LABELS = {
+    chain: 'Chained fallbacks (configured → same-origin → external)',
+    'same-origin': 'Same-origin only (never contacts another host)',
+    configured: 'Configured URL only'
+};
+
+// True for an absolute http(s) URL.
+const isHttpUrl = (value) => {
+    try {
+        return /^https?:$/.test(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
 
 /**
  * Settings view for configuring the exchange-rates source URL.
@@ -21,23 +59,93 @@ export default function Settings() {
     const [url, setUrl] = useState('');
     const [saved, setSaved] = useState(false);
     const [error, setError] = useState('');
+    const [ttl, setTtl] = useState(String(getRatesTtlMinutes()));
+    const [ratesKey, setRatesKey] = useState(0);
+    const [rounding, setRounding] = useState(getRoundingMode());
+    const [provider, setProvider] = useState(getRatesProvider());
+    const [home, setHome] = useState(getHomeCurrency());
+    const [test, setTest] = useState(null);
+    const [provenance, setProvenance] = useState(null);
+    const [policy, setPolicy] = useState(getRatesFetchPolicy());
+    const [fallbackUrl, setFallbackUrl] = useState(getFallbackRatesUrl());
+    const [fallbackMsg, setFallbackMsg] = useState(null);
+    const currencies = useCurrencies();
 
     useEffect(() => {
         setUrl(getExchangeRatesUrl());
     }, []);
 
+    // Where the rates in use came from; re-read after a forced refresh.
+    useEffect(() => {
+        let cancelled = false;
+        fetchRatesDetailed().then(({ provenance: p }) => { if (!cancelled) setProvenance(p); });
+        return () => { cancelled = true; };
+    }, [ratesKey]);
+
+    // Fetch the typed URL once with the selected format; nothing is saved or cached.
+    const handleTest = async () => {
+        setTest({ pending: true });
+        setTest(await testRatesUrl(url, provider));
+    };
+
+    const handleTtlSave = () => {
+        setSaved(false);
+        setError('');
+        const n = Number(ttl);
+        if (!Number.isInteger(n) || n < 0) {
+            setError('Cache time must be a whole number of minutes (0 = always fetch).');
+            return;
+        }
+        setRatesTtlMinutes(n);
+        setSaved(true);
+    };
+
+    const handleHomeChange = (e) => {
+        setHomeCurrency(e.target.value);
+        setHome(getHomeCurrency());
+    };
+
+    // Takes effect on the next fetch (cached rates from another format are not reused).
+    const handleProviderChange = (e) => {
+        setRatesProvider(e.target.value);
+        setProvider(getRatesProvider());
+    };
+
+    // Takes effect on the next network fetch; cached rates stay in use until they expire.
+    const handlePolicyChange = (e) => {
+        setRatesFetchPolicy(e.target.value);
+        setPolicy(getRatesFetchPolicy());
+    };
+
+    // Empty = no external fallback at all.
+    const handleFallbackSave = (value) => {
+        const next = value.trim();
+        if (next && !isHttpUrl(next)) {
+            setFallbackMsg({ severity: 'error', text: 'Please provide a valid http(s) URL, or leave it empty.' });
+            return;
+        }
+        setFallbackRatesUrl(next);
+        setFallbackUrl(getFallbackRatesUrl());
+        setFallbackMsg({ severity: 'success', text: next ? 'External fallback saved.' : 'External fallback removed.' });
+    };
+
+    const handleRoundingChange = (e) => {
+        setRoundingMode(e.target.value);
+        setRounding(getRoundingMode());
+    };
+
+    // Bypass the cache; RatesStatus re-reads the status afterwards.
+    const handleRefreshRates = async () => {
+        await fetchExchangeRates({ force: true });
+        setRatesKey((k) => k + 1);
+    };
+
     const handleSave = () => {
         setSaved(false);
         setError('');
 
         // Basic URL validation using the URL API (enforces http/https)
-        try {
-            const parsed = new URL(url);
-            if (!/^https?:$/.test(parsed.protocol)) {
-                setError('Please provide a valid http(s) URL.');
-                return;
-            }
-        } catch {
+        if (!isHttpUrl(url)) {
             setError('Please provide a valid http(s) URL.');
             return;
         }
@@ -55,10 +163,22 @@ export default function Settings() {
             <Card>
                 <CardContent>
                     <Typography variant="h5" gutterBottom>Settings</Typography>
+                    <TextField
+                        select
+                        label="Home currency"
+                        size="small"
+                        value={home}
+                        onChange={handleHomeChange}
+                        helperText="Reports, charts, budgets and new expenses start in this currency."
+                        sx={{ width: 320, mb: 3 }}
+                    >
+                        {[...new Set([...currencies, home])].map(c => <MenuItem key={c} value={c}>{currencyLabel(c)}</MenuItem>)}
+                    </TextField>
                     <Typography variant="body2" sx={{ mb: 2 }}>
                         Set the URL that returns currency exchange rates as JSON in the format:
                         {' '}
                         {`{"USD":1,"GBP":1.8,"EURO":0.7,"ILS":3.4}`}
+                        {'. Any other ISO 4217 code in the feed (e.g. "JPY", "CHF") becomes selectable.'}
                     </Typography>
 
                     <Stack spacing={2}>
@@ -66,18 +186,107 @@ export default function Settings() {
                             label="Exchange Rates URL"
                             placeholder="https://example.com/rates.json"
                             value={url}
-                            onChange={(e) => setUrl(e.target.value)}
+                            onChange={(e) => { setUrl(e.target.value); setTest(null); }}
                             fullWidth
                         />
-                        <Box>
+                        <TextField
+                            select
+                            label="Feed format"
+                            size="small"
+                            value={provider}
+                            onChange={handleProviderChange}
+                            helperText="Feeds with another base currency (e.g. EUR or ILS) are converted to per-USD rates."
+                        >
+                            {Object.values(RATE_PROVIDERS).map(p => <MenuItem key={p.id} value={p.id}>{p.label}</MenuItem>)}
+                        </TextField>
+                        <Stack direction="row" spacing={2}>
                             <Button variant="contained" onClick={handleSave}>Save</Button>
-                        </Box>
+                            <Button variant="outlined" onClick={handleTest} disabled={!url.trim() || test?.pending}>Test</Button>
+                        </Stack>
+                        {test?.ok === true && (
+                            <Alert severity="success">
+                                {`The URL works. Parsed rates per USD: ${Object.entries(test.rates)
+                                    .filter(([c]) => c !== 'EURO')
+                                    .map(([c, r]) => `${c} ${Number(r.toPrecision(6))}`)
+                                    .join(', ')}`}
+                            </Alert>
+                        )}
+                        {test?.ok === false && <Alert severity="error">{`Test failed: ${test.error}`}</Alert>}
+
+                        <TextField
+                            select
+                            label="Fetch policy"
+                            size="small"
+                            value={policy}
+                            onChange={handlePolicyChange}
+                            helperText="Which sources may be contacted when loading rates. Cached and built-in rates are always available."
+                        >
+                            {Object.entries(FETCH_POLICY_LABELS).map(([p, label]) => <MenuItem key={p} value={p}>{label}</MenuItem>)}
+                        </TextField>
+                        {policy === 'chain' && (
+                            <Stack direction="row" spacing={2} alignItems="center">
+                                <TextField
+                                    label="External fallback URL"
+                                    size="small"
+                                    placeholder="None"
+                                    value={fallbackUrl}
+                                    onChange={(e) => { setFallbackUrl(e.target.value); setFallbackMsg(null); }}
+                                    fullWidth
+                                />
+                                <Button variant="outlined" onClick={() => handleFallbackSave(fallbackUrl)}>Save</Button>
+                                <Button variant="outlined" color="error" onClick={() => handleFallbackSave('')} disabled={!getFallbackRatesUrl()}>
+                                    Remove
+                                </Button>
+                            </Stack>
+                        )}
+                        {fallbackMsg && <Alert severity={fallbackMsg.severity}>{fallbackMsg.text}</Alert>}
 
-                        {saved && <Alert severity="success">URL saved.</Alert>}
+                        <Stack direction="row" spacing={2} alignItems="center" flexWrap="wrap">
+                            <TextField
+                                label="Cache rates for (minutes)"
+                                size="small"
+                                value={ttl}
+                                onChange={(e) => setTtl(e.target.value)}
+                                sx={{ width: 220 }}
+                            />
+                            <Button variant="outlined" onClick={handleTtlSave}>Save</Button>
+                            <Button variant="outlined" onClick={handleRefreshRates}>Refresh Rates Now</Button>
+                        </Stack>
+                        <RatesStatus refreshKey={ratesKey} />
+                        {provenance && (
+                            <Box>
+                                <Typography variant="body2" color="text.secondary">
+                                    {`Source: ${provenance.url || 'built-in default rates'} (${FALLBACK_LEVELS[provenance.fallbackLevel]}`}
+                                    {`${provenance.fromCache ? ', cached' : ''}${provenance.stale ? ', stale' : ''})`}
+                                    {provenance.fetchedAt ? ` — fetched ${new Date(provenance.fetchedAt).toLocaleString()}` : ''}
+                                </Typography>
+                                {provenance.errors.map((e) => (
+                                    <Typography key={e.url} variant="body2" color="error">{`${e.url}: ${e.error}`}</Typography>
+                                ))}
+                            </Box>
+                        )}
+
+                        <TextField
+                            select
+                            label="Round converted amounts"
+                            size="small"
+                            value={rounding}
+                            onChange={handleRoundingChange}
+                            helperText="How amounts exactly halfway between two cents are rounded."
+                            sx={{ width: 320 }}
+                        >
+                            <MenuItem value="half-up">Half up (2.345 → 2.35)</MenuItem>
+                            <MenuItem value="half-even">Half even / banker's (2.345 → 2.34)</MenuItem>
+                        </TextField>
+
+                        {saved && <Alert severity="success">Settings saved.</Alert>}
                         {error && <Alert severity="error">{error}</Alert>}
                     </Stack>
                 </CardContent>
             </Card>
+
+            <RateOverrides />
+            <BackupRestore />
         </Box>
     );
 }
@@ -5,9 +5,9 @@
 //   • Provide quick navigation via react-router-dom links
 //   • Optionally notify parent (onSelectComponent) for compatibility with
 //     components that track selection outside the router.
+//   • Host the ledger switcher (active ledger is owned by the app shell)
 // Notes:
 //   • Styling: MUI <Button>s with icons and subtle hover effects.
-//   • Comments only. No code changes.
 // -----------------------------------------------------------------------------
 
 /**
@@ -21,7 +21,15 @@ import DescriptionIcon from '@mui/icons-material/Description';
 import EditIcon from '@mui/icons-material/Edit';
 import SettingsIcon from '@mui/icons-material/Settings';
 import BarChartIcon from '@mui/icons-material/BarChart';
+import RepeatIcon from '@mui/icons-material/Repeat';
+import SavingsIcon from '@mui/icons-material/Savings';
+import FileUploadIcon from '@mui/icons-material/FileUpload';
+import DeleteIcon from '@mui/icons-material/Delete';
+import ShowChartIcon from '@mui/icons-material/ShowChart';
+import DateRangeIcon from '@mui/icons-material/DateRange';
+import CalendarMonthIcon from '@mui/icons-material/CalendarMonth';
 import { NavLink as RouterLink } from 'react-router-dom';
+import LedgerSwitcher from './ledger_switcher';
 
 const itemSx = {
     padding: '12px 20px',
@@ -38,7 +46,7 @@ const itemSx = {
     textAlign: 'left',
 };
 
-const Sidebar = ({ onSelectComponent }) => {
+const Sidebar = ({ onSelectComponent, ledgerId, onLedgerChange }) => {
     // Optional compatibility hook for parent stateful selection
     const handleCompat = (name) => {
         if (typeof onSelectComponent === 'function') {
@@ -67,6 +75,8 @@ const Sidebar = ({ onSelectComponent }) => {
                 Cost Manager
             </Typography>
 
+            <LedgerSwitcher ledgerId={ledgerId} onChange={onLedgerChange} />
+
             <Button component={RouterLink} to="/add" onClick={() => handleCompat('AddCostForm')} startIcon={<AddIcon />} sx={itemSx}>
                 Add Cost
             </Button>
@@ -76,12 +86,33 @@ const Sidebar = ({ onSelectComponent }) => {
             <Button component={RouterLink} to="/report" onClick={() => handleCompat('MonthlyReport')} startIcon={<DescriptionIcon />} sx={itemSx}>
                 Monthly Report
             </Button>
+            <Button component={RouterLink} to="/range" onClick={() => handleCompat('RangeReport')} startIcon={<DateRangeIcon />} sx={itemSx}>
+                Date Range Report
+            </Button>
+            <Button component={RouterLink} to="/calendar" onClick={() => handleCompat('CalendarHeatmap')} startIcon={<CalendarMonthIcon />} sx={itemSx}>
+                Spending Calendar
+            </Button>
             <Button component={RouterLink} to="/edit" onClick={() => handleCompat('EditExpenseForm')} startIcon={<EditIcon />} sx={itemSx}>
                 Edit Expense
             </Button>
             <Button component={RouterLink} to="/yearly" onClick={() => handleCompat('YearlyBarChart')} startIcon={<BarChartIcon />} sx={itemSx}>
                 Yearly Chart
             </Button>
+            <Button component={RouterLink} to="/recurring" onClick={() => handleCompat('RecurringExpenses')} startIcon={<RepeatIcon />} sx={itemSx}>
+                Recurring
+            </Button>
+            <Button component={RouterLink} to="/rates" onClick={() => handleCompat('RatesChart')} startIcon={<ShowChartIcon />} sx={itemSx}>
+                Rate History
+            </Button>
+            <Button component={RouterLink} to="/budgets" onClick={() => handleCompat('Budgets')} startIcon={<SavingsIcon />} sx={itemSx}>
+                Budgets
+            </Button>
+            <Button component={RouterLink} to="/import" onClick={() => handleCompat('CsvImport')} startIcon={<FileUploadIcon />} sx={itemSx}>
+                Import CSV
+            </Button>
+            <Button component={RouterLink} to="/trash" onClick={() => handleCompat('Trash')} startIcon={<DeleteIcon />} sx={itemSx}>
+                Trash
+            </Button>
             <Button component={RouterLink} to="/settings" onClick={() => handleCompat('Settings')} startIcon={<SettingsIcon />} sx={itemSx}>
                 Settings
             </Button>
@@ -0,0 +1,120 @@
+// src/components/Trash.jsx
+// -----------------------------------------------------------------------------
+// Trash — Deleted expenses waiting to be restored or purged.
+// Responsibilities:
+//   • List trashed expenses (most recently deleted first)
+//   • Restore an expense, delete it forever, or empty the whole trash
+//   • Configure how many days trashed expenses are kept
+// Notes:
+//   • Expenses older than the retention period are purged on app start (see app.jsx).
+// -----------------------------------------------------------------------------
+
+import React, { useEffect, useState } from 'react';
+import {
+  Button, Container, Paper, Typography, Box, Stack, IconButton, Tooltip, TextField, Alert
+} from '@mui/material';
+import RestoreFromTrashIcon from '@mui/icons-material/RestoreFromTrash';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { getActiveDb } from '../services/ledgers';
+import { currencySymbol } from '../services/currencies';
+import { getTrashRetentionDays, setTrashRetentionDays } from '../services/settings';
+
+const getSymbol = (c) => currencySymbol(c || 'USD');
+
+export default function Trash() {
+  const db = getActiveDb();
+  const [items, setItems] = useState([]);
+  const [retention, setRetention] = useState(String(getTrashRetentionDays()));
+  const [error, setError] = useState('');
+
+  const reload = async () => setItems(await db.getTrash());
+
+  // Run a trash action, then reload; a failure is shown above the list.
+  const run = async (action, fallback) => {
+    setError('');
+    try {
+      await action();
+      await reload();
+    } catch (e) {
+      setError(e?.message || fallback);
+    }
+  };
+
+  useEffect(() => { reload().catch((e) => setError(e?.message || 'Failed to load the trash')); }, []);
+
+  const handleRestore = (item) => run(() => db.restoreCost(item.id), 'Failed to restore the expense');
+
+  const handlePurge = async (item) => {
+    if (!window.confirm(`Delete "${item.description}" forever? This cannot be undone.`)) return;
+    await run(() => db.purgeCost(item.id), 'Failed to delete the expense');
+  };
+
+  const handleEmpty = async () => {
+    if (!window.confirm('Delete every expense in the trash forever? This cannot be undone.')) return;
+    await run(() => db.purgeTrash(0), 'Failed to empty the trash');
+  };
+
+  const handleRetentionSave = () => {
+    const n = Number(retention);
+    if (!Number.isInteger(n) || n <= 0) return alert('Retention must be a whole number of days (> 0).');
+    setTrashRetentionDays(n);
+    alert(`Trashed expenses will be kept for ${n} day(s).`);
+  };
+
+  return (
+    <Box sx={{ p: 4 }}>
+      <Typography variant="h4" align="center" sx={{ color: '#2c3e50', fontWeight: 700, mb: 4 }}>
+        Trash
+      </Typography>
+
+      <Container maxWidth="md">
+        <Paper elevation={0} sx={{ p: 3, mb: 4, borderRadius: '16px', bgcolor: 'white', boxShadow: '0 4px 20px rgba(0,0,0,0.05)' }}>
+          <Stack direction="row" spacing={2} alignItems="center" flexWrap="wrap" useFlexGap>
+            <TextField
+              label="Keep deleted expenses (days)" size="small" value={retention}
+              onChange={(e) => setRetention(e.target.value)} sx={{ width: 240 }}
+            />
+            <Button variant="outlined" onClick={handleRetentionSave} sx={{ textTransform: 'none' }}>Save</Button>
+            <Box sx={{ flex: 1 }} />
+            <Button variant="contained" color="error" onClick={handleEmpty} disabled={items.length === 0} sx={{ textTransform: 'none' }}>
+              Empty Trash
+            </Button>
+          </Stack>
+        </Paper>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {items.length === 0 ? (
+          <Typography align="center" color="text.secondary">The trash is empty.</Typography>
+        ) : (
+          <Stack spacing={2}>
+            {items.map((item) => (
+              <Paper key={item.id} elevation={0} sx={{ p: 2, borderRadius: '16px', boxShadow: '0 4px 20px rgba(0,0,0,0.05)' }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                  <Box sx={{ flex: 1, minWidth: 0 }}>
+                    <Typography sx={{ fontWeight: 600 }}>
+                      {item.description} — {`${getSymbol(item.currency)}${Number(item.sum).toFixed(2)} ${item.currency}`}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {`${item.category} · ${new Date(item._ts).toLocaleDateString()} · deleted ${new Date(item.deletedAt).toLocaleString()}`}
+                    </Typography>
+                  </Box>
+                  <Tooltip title="Restore">
+                    <IconButton onClick={() => handleRestore(item)} aria-label="Restore" color="primary">
+                      <RestoreFromTrashIcon />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Delete forever">
+                    <IconButton onClick={() => handlePurge(item)} aria-label="Delete forever" color="error">
+                      <DeleteIcon />
+                    </IconButton>
+                  </Tooltip>
+                </Box>
+              </Paper>
+            ))}
+          </Stack>
+        )}
+      </Container>
+    </Box>
+  );
+}
@@ -1,56 +1,140 @@
 // src/components/YearlyBarChart.jsx
 // -----------------------------------------------------------------------------
-// YearlyBarChart — SVG bar chart of totals per month in a selected year.
+// YearlyBarChart — SVG chart of totals per month in one or more selected years.
 // Responsibilities:
-//   • For a chosen (year, currency), call db.getReport(year, month, currency) 12x
-//   • Collect monthly totals and render an accessible SVG bar chart
-//   • Provide selectors for year and currency; handle loading/errors
+//   • For each chosen year (and currency, rate mode), call db.getReport(year, month, currency, { rateMode }) 12x
+//   • Collect monthly totals and render an accessible SVG chart: grouped bars,
+//     overlaid lines, or cumulative year-to-date lines (on pace vs last year?)
+//   • Each bar/point's <title> carries the change vs the previous selected year
+//   • Stacked mode splits each bar by category (report.byCategory); the legend toggles
+//     categories and clicking a segment opens /report for that month and category
+//   • Provide selectors for years, chart mode and currency; handle loading/errors
 // Notes:
 //   • db.getReport returns total in the requested currency (units-per-USD model).
 //   • The SVG includes axis labels and <title> for basic a11y.
-//   • Comments only. No code changes.
 // -----------------------------------------------------------------------------
 
 import React, { useEffect, useMemo, useState } from 'react';
-import { Box, Card, CardContent, Typography, FormControl, InputLabel, Select, MenuItem, Stack, Alert, LinearProgress } from '@mui/material';
-import IDBWrapper from '../idb';
+import { Box, Card, CardContent, Typography, FormControl, InputLabel, Select, MenuItem, Stack, Alert, LinearProgress, Checkbox, ListItemText, Chip } from '@mui/material';
+import { useNavigate } from 'react-router-dom';
+import { getActiveDb } from '../services/ledgers';
+import { currencyLabel } from '../services/currencies';
+import { addMoney, sumMoney } from '../services/money';
+import { categoryColor } from '../services/categories';
+import { RATE_MODE_LABELS } from '../services/currency_service';
+import { selectableYears } from '../services/periods';
+import useCurrencies from '../hooks/use_currencies';
+import useViewCurrency from '../hooks/use_view_currency';
+import RatesStatus from './rates_status';
 
 const MONTH_LABELS = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
-const db = new IDBWrapper('costsdb', 1);
+const CHART_MODES = { grouped: 'Grouped bars', stacked: 'Stacked by category', overlay: 'Overlaid lines', cumulative: 'Cumulative (year to date)' };
+const SERIES_COLORS = ['#4caf50', '#2196f3', '#ff9800', '#9c27b0'];
+
+// "+12.50 / +8.3%" (percentage omitted when the base is 0)
+const signedDelta = (delta, base) => {
+  const sign = (n) => (n < 0 ? '-' : '+');
+  const pct = base ? ` / ${sign(delta)}${Math.abs((delta / base) * 100).toFixed(1)}%` : '';
+  return `${sign(delta)}${Math.abs(delta).toFixed(2)}${pct}`;
+};
 
 export default function YearlyBarChart() {
-  const [year, setYear] = useState(new Date().getFullYear());
-  const [currency, setCurrency] = useState('USD');
-  const [monthlyTotals, setMonthlyTotals] = useState(Array(12).fill(0));
+  const db = getActiveDb();
+  const [selectedYears, setSelectedYears] = useState([new Date().getFullYear()]);
+  const [mode, setMode] = useState('grouped');
+  const [currency, setCurrency] = useViewCurrency('yearlyChart'); // home currency until changed here
+  const [rateMode, setRateMode] = useState('transaction');
+  const [totalsByYear, setTotalsByYear] = useState({});
+  const [categoriesByYear, setCategoriesByYear] = useState({}); // year -> 12 x { category: total }
+  const [hiddenCategories, setHiddenCategories] = useState([]);
+  const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
   const [err, setErr] = useState('');
 
-  // Reasonable year range for selection (±2 years around current)
-  const years = useMemo(() => {
-    const y = new Date().getFullYear();
-    return [y - 2, y - 1, y, y + 1];
-  }, []);
-  const currencies = ['USD', 'GBP', 'EURO', 'ILS'];
+  // Year range for selection (two years back to next year, as in the other views)
+  const years = useMemo(() => selectableYears(), []);
+  const currencies = useCurrencies();
+  const shownYears = [...selectedYears].sort((a, b) => a - b);
 
-  // Load 12 monthly reports whenever (year, currency) changes.
+  // Load 12 monthly reports per year whenever (years, currency, rate mode) change.
+  // A load superseded by a newer one (many getReport calls, so it can finish last) sets nothing.
   useEffect(() => {
+    let cancelled = false;
     (async () => {
       setLoading(true); setErr('');
       try {
-        const reports = await Promise.all(
-          Array.from({ length: 12 }, (_, i) => db.getReport(year, i + 1, currency))
-        );
-        setMonthlyTotals(reports.map(r => r.total.total || 0));
+        const reports = await Promise.all(shownYears.map(y => Promise.all(
+          Array.from({ length: 12 }, (_, i) => db.getReport(y, i + 1, currency, { rateMode }))
+        )));
+        if (cancelled) return;
+        setTotalsByYear(Object.fromEntries(shownYears.map((y, k) => [y, reports[k].map(r => r.total.total || 0)])));
+        setCategoriesByYear(Object.fromEntries(shownYears.map((y, k) => [y, reports[k].map(r => r.byCategory || {})])));
       } catch (e) {
-        setErr(e?.message || 'Failed to load data');
+        if (!cancelled) setErr(e?.message || 'Failed to load data');
       } finally {
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     })();
-  }, [year, currency]);
+    return () => { cancelled = true; };
+  }, [shownYears.join(','), currency, rateMode]);
+
+  // At least one year stays selected.
+  const handleYearsChange = (e) => {
+    const value = e.target.value;
+    if (value.length) setSelectedYears(value);
+  };
+
+  // Categories seen in the loaded data (legend order) and those currently shown.
+  const categories = [...new Set(shownYears.flatMap(y => (categoriesByYear[y] || []).flatMap(Object.keys)))].sort();
+  const visibleCategories = categories.filter(c => !hiddenCategories.includes(c));
+  const categoryValue = (y, i, cat) => categoriesByYear[y]?.[i]?.[cat] || 0;
+  const toggleCategory = (cat) => setHiddenCategories(h => (h.includes(cat) ? h.filter(c => c !== cat) : [...h, cat]));
+
+  // Values per year as plotted: monthly totals (only shown categories when stacked), or running
+  // totals that stop at the current month (months that have not happened yet are null and not drawn).
+  const now = new Date();
+  const series = Object.fromEntries(shownYears.map((y) => {
+    const totals = totalsByYear[y] || Array(12).fill(0);
+    if (mode === 'stacked') {
+      return [y, totals.map((_, i) => sumMoney(visibleCategories.map(c => categoryValue(y, i, c)), currency))];
+    }
+    if (mode !== 'cumulative') return [y, totals];
+    let run = 0;
+    return [y, totals.map((v, i) => {
+      run = addMoney(run, v, currency);
+      const future = y > now.getFullYear() || (y === now.getFullYear() && i > now.getMonth());
+      return future ? null : run;
+    })];
+  }));
+
+  // Tooltip: value plus the change vs the previous selected year in the same month.
+  const pointTitle = (y, i) => {
+    const v = series[y][i];
+    const label = `${MONTH_LABELS[i]} ${y}: ${v.toFixed(2)} ${currency}`;
+    const prevYear = shownYears[shownYears.indexOf(y) - 1];
+    const prev = prevYear === undefined ? null : series[prevYear][i];
+    if (prev === null) return label;
+    return `${label} (${signedDelta(addMoney(v, -prev, currency), prev)} vs ${prevYear})`;
+  };
+
+  // Segment tooltip: the category's amount plus its change vs the previous selected year.
+  const segmentTitle = (y, i, cat) => {
+    const v = categoryValue(y, i, cat);
+    const label = `${cat}, ${MONTH_LABELS[i]} ${y}: ${v.toFixed(2)} ${currency}`;
+    const prevYear = shownYears[shownYears.indexOf(y) - 1];
+    if (prevYear === undefined) return label;
+    const prev = categoryValue(prevYear, i, cat);
+    return `${label} (${signedDelta(addMoney(v, -prev, currency), prev)} vs ${prevYear})`;
+  };
+
+  // Monthly report for that month, listing only that category.
+  const openReport = (y, i, cat) => {
+    navigate(`/report?${new URLSearchParams({ year: String(y), month: String(i + 1), category: cat })}`);
+  };
 
-  const hasAny = monthlyTotals.some(v => v > 0);
+  const hasAny = shownYears.some(y => (totalsByYear[y] || []).some(v => v > 0));
   const fmt = new Intl.NumberFormat('en-US', { maximumFractionDigits: 2 });
+  const colorOf = (y) => SERIES_COLORS[shownYears.indexOf(y) % SERIES_COLORS.length];
 
   // Basic SVG layout constants (padding, bar size, scale)
   const chartWidth = 900, chartHeight = 320;
@@ -59,71 +143,188 @@ export default function YearlyBarChart() {
   const innerH = chartHeight - padding.top - padding.bottom;
   const gap = 12;
   const barWidth = (innerW - gap * (12 - 1)) / 12;
-  const maxValue = Math.max(1, ...monthlyTotals) * 1.12;
+  const maxValue = Math.max(1, ...Object.values(series).flat().filter(v => v !== null)) * 1.12;
+  const monthX = (i) => padding.left + i * (barWidth + gap);
+  const valueY = (v) => chartHeight - padding.bottom - (v / maxValue) * innerH;
 
   return (
     <Box sx={{ p: 4 }}>
       <Typography variant="h4" align="center" sx={{ color: '#2c3e50', fontWeight: 700, mb: 3 }}>
-        Totals by Month — {year} ({currency})
+        Totals by Month — {shownYears.join(' vs ')} ({currency})
       </Typography>
       <Typography color="text.secondary" sx={{ mb: 2 }}>
-        Total expenses per month in the selected year, shown in the selected currency.
+        Total expenses per month in the selected years, shown in the selected currency.
       </Typography>
 
       <Card elevation={0} sx={{ p: 3, borderRadius: '16px', bgcolor: 'white', boxShadow: '0 4px 20px rgba(0,0,0,0.05)' }}>
         <CardContent>
           <Stack direction="row" spacing={2} sx={{ mb: 2 }} alignItems="center" flexWrap="wrap">
-            <FormControl size="small" sx={{ minWidth: 140 }}>
-              <InputLabel>Year</InputLabel>
-              <Select label="Year" value={year} onChange={(e) => setYear(e.target.value)}>
-                {years.map(y => <MenuItem key={y} value={y}>{y}</MenuItem>)}
+            <FormControl size="small" sx={{ minWidth: 160 }}>
+              <InputLabel>Years</InputLabel>
+              <Select
+                label="Years"
+                multiple
+                value={selectedYears}
+                onChange={handleYearsChange}
+                renderValue={(v) => [...v].sort((a, b) => a - b).join(', ')}
+              >
+                {years.map(y => (
+                  <MenuItem key={y} value={y}>
+                    <Checkbox size="small" checked={selectedYears.includes(y)} />
+                    <ListItemText primary={y} />
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+
+            <FormControl size="small" sx={{ minWidth: 200 }}>
+              <InputLabel>Chart</InputLabel>
+              <Select label="Chart" value={mode} onChange={(e) => setMode(e.target.value)}>
+                {Object.entries(CHART_MODES).map(([m, label]) => <MenuItem key={m} value={m}>{label}</MenuItem>)}
               </Select>
             </FormControl>
 
             <FormControl size="small" sx={{ minWidth: 140 }}>
               <InputLabel>Currency</InputLabel>
               <Select label="Currency" value={currency} onChange={(e) => setCurrency(e.target.value)}>
-                {currencies.map(c => <MenuItem key={c} value={c}>{c}</MenuItem>)}
+                {currencies.map(c => <MenuItem key={c} value={c}>{currencyLabel(c)}</MenuItem>)}
+              </Select>
+            </FormControl>
+
+            <FormControl size="small" sx={{ minWidth: 200 }}>
+              <InputLabel>Convert at</InputLabel>
+              <Select label="Convert at" value={rateMode} onChange={(e) => setRateMode(e.target.value)}>
+                {Object.entries(RATE_MODE_LABELS).map(([m, label]) => <MenuItem key={m} value={m}>{label}</MenuItem>)}
               </Select>
             </FormControl>
           </Stack>
 
+          <RatesStatus sx={{ mb: 2 }} />
           {err && <Alert severity="error" sx={{ mb: 2 }}>{err}</Alert>}
           {loading && <LinearProgress sx={{ mb: 2 }} />}
 
           {!loading && !err && !hasAny && (
             <Typography align="center" color="text.secondary" sx={{ my: 4 }}>
-              No expenses found for the selected year.
+              No expenses found for the selected years.
             </Typography>
           )}
 
           {!loading && !err && hasAny && (
             <Box sx={{ overflowX: 'auto' }}>
-              {/* Accessible SVG bar chart with month labels and values */}
-              <svg width={chartWidth} height={chartHeight} role="img" aria-label="Yearly totals bar chart">
+              {/* Stacked legend: one chip per category, click to hide/show it */}
+              {mode === 'stacked' && (
+                <Stack direction="row" spacing={1} sx={{ mb: 1 }} flexWrap="wrap" useFlexGap>
+                  {categories.map(cat => {
+                    const hidden = hiddenCategories.includes(cat);
+                    return (
+                      <Chip
+                        key={cat}
+                        label={cat}
+                        size="small"
+                        aria-pressed={!hidden}
+                        variant={hidden ? 'outlined' : 'filled'}
+                        onClick={() => toggleCategory(cat)}
+                        sx={hidden ? { textDecoration: 'line-through' } : { bgcolor: categoryColor(cat), color: '#fff' }}
+                      />
+                    );
+                  })}
+                </Stack>
+              )}
+
+              {/* Legend (one colour per year) */}
+              {mode !== 'stacked' && shownYears.length > 1 && (
+                <Stack direction="row" spacing={2} sx={{ mb: 1 }}>
+                  {shownYears.map(y => (
+                    <Stack key={y} direction="row" spacing={0.5} alignItems="center">
+                      <Box sx={{ width: 12, height: 12, borderRadius: '3px', bgcolor: colorOf(y) }} />
+                      <Typography variant="body2">{y}</Typography>
+                    </Stack>
+                  ))}
+                </Stack>
+              )}
+
+              {/* Accessible SVG chart with month labels and values */}
+              <svg width={chartWidth} height={chartHeight} role="img" aria-label={`Monthly totals chart for ${shownYears.join(', ')}`}>
                 {/* X-axis month labels */}
-                {MONTH_LABELS.map((label, i) => {
-                  const x = padding.left + i * (barWidth + gap) + barWidth / 2;
-                  const y = chartHeight - padding.bottom + 18;
-                  return <text key={label} x={x} y={y} textAnchor="middle" fontSize="14" fill="#555">{label}</text>;
-                })}
+                {MONTH_LABELS.map((label, i) => (
+                  <text key={label} x={monthX(i) + barWidth / 2} y={chartHeight - padding.bottom + 18} textAnchor="middle" fontSize="14" fill="#555">
+                    {label}
+                  </text>
+                ))}
 
                 {/* Y-axis baseline */}
                 <line x1={padding.left} y1={padding.top} x2={padding.left} y2={chartHeight - padding.bottom} stroke="#ccc" />
 
-                {/* Bars and value labels */}
-                {monthlyTotals.map((val, i) => {
-                  const h = (val / maxValue) * innerH;
-                  const x = padding.left + i * (barWidth + gap);
-                  const y = chartHeight - padding.bottom - h;
+                {/* Grouped bars: one bar per year within each month (value labels for a single year) */}
+                {mode === 'grouped' && MONTH_LABELS.map((_, i) => shownYears.map((yr, k) => {
+                  const val = series[yr][i];
+                  const w = barWidth / shownYears.length;
+                  const x = monthX(i) + k * w;
+                  const y = valueY(val);
                   return (
-                    <g key={i}>
-                      <rect x={x} y={y} width={barWidth} height={h} rx="6" fill="#4caf50">
-                        <title>{`${MONTH_LABELS[i]}: ${val.toFixed(2)} ${currency}`}</title>
+                    <g key={`${i}-${yr}`}>
+                      <rect x={x} y={y} width={w} height={chartHeight - padding.bottom - y} rx="6" fill={colorOf(yr)}>
+                        <title>{pointTitle(yr, i)}</title>
                       </rect>
-                      <text x={x + barWidth / 2} y={y - 6} textAnchor="middle" fontSize="14" fill="#333">
-                        {fmt.format(Math.round(val))}
-                      </text>
+                      {shownYears.length === 1 && (
+                        <text x={x + w / 2} y={y - 6} textAnchor="middle" fontSize="14" fill="#333">
+                          {fmt.format(Math.round(val))}
+                        </text>
+                      )}
+                    </g>
+                  );
+                }))}
+
+                {/* Stacked bars: each year's bar split by the shown categories (click opens the report) */}
+                {mode === 'stacked' && MONTH_LABELS.map((_, i) => shownYears.map((yr, k) => {
+                  const w = barWidth / shownYears.length;
+                  const x = monthX(i) + k * w;
+                  let top = chartHeight - padding.bottom;
+                  return (
+                    <g key={`${i}-${yr}`}>
+                      {visibleCategories.map((cat) => {
+                        const v = categoryValue(yr, i, cat);
+                        if (v <= 0) return null;
+                        const h = (v / maxValue) * innerH;
+                        top -= h;
+                        return (
+                          <rect
+                            key={cat}
+                            x={x}
+                            y={top}
+                            width={w}
+                            height={h}
+                            fill={categoryColor(cat)}
+                            stroke="#fff"
+                            style={{ cursor: 'pointer' }}
+                            onClick={() => openReport(yr, i, cat)}
+                          >
+                            <title>{segmentTitle(yr, i, cat)}</title>
+                          </rect>
+                        );
+                      })}
+                      {shownYears.length === 1 && series[yr][i] > 0 && (
+                        <text x={x + w / 2} y={valueY(series[yr][i]) - 6} textAnchor="middle" fontSize="14" fill="#333">
+                          {fmt.format(Math.round(series[yr][i]))}
+                        </text>
+                      )}
+                    </g>
+                  );
+                }))}
+
+                {/* Lines (overlaid monthly totals or cumulative year to date), one per year */}
+                {(mode === 'overlay' || mode === 'cumulative') && shownYears.map((yr) => {
+                  const pts = series[yr]
+                    .map((v, i) => (v === null ? null : { i, x: monthX(i) + barWidth / 2, y: valueY(v) }))
+                    .filter(Boolean);
+                  return (
+                    <g key={yr}>
+                      <polyline fill="none" stroke={colorOf(yr)} strokeWidth="2" points={pts.map(p => `${p.x},${p.y}`).join(' ')} />
+                      {pts.map(p => (
+                        <circle key={p.i} cx={p.x} cy={p.y} r="4" fill={colorOf(yr)}>
+                          <title>{pointTitle(yr, p.i)}</title>
+                        </circle>
+                      ))}
                     </g>
                   );
                 })}
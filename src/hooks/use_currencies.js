@@ -0,0 +1,29 @@
+// src/hooks/use_currencies.js
+// Currency codes for selectors: the core four plus every currency the rates feed provides.
+import { useEffect, useState } from 'react';
+import { fetchExchangeRates } from '../services/currency_service';
+import { CORE_CURRENCIES, listCurrencies } from '../services/currencies';
+
+/**
+ * Currency codes to offer in a selector (starts with the core four, then grows
+ * once rates are loaded).
+ * @returns {Array<string>}
+ */
+export default function useCurrencies() {
+  const [codes, setCodes] = useState(CORE_CURRENCIES);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const rates = await fetchExchangeRates();
+        if (!cancelled) setCodes(listCurrencies(rates));
+      } catch {
+        // keep the core list
+      }
+    })();
+    return () => { cancelled = true; };
+  }, []);
+
+  return codes;
+}
@@ -0,0 +1,21 @@
+// src/hooks/use_view_currency.js
+// Display currency of a view: starts at the view's last-used currency (or the home currency)
+// and remembers every change, see getViewCurrency/setViewCurrency in services/settings.
+import { useState } from 'react';
+import { getViewCurrency, setViewCurrency } from '../services/settings';
+
+/**
+ * useState-like pair for a view's display currency.
+ * @param {string} view - Key the choice is remembered under, e.g. 'monthlyReport'
+ * @returns {[string, (code:string)=>void]}
+ */
+export default function useViewCurrency(view) {
+  const [currency, setCurrency] = useState(() => getViewCurrency(view));
+
+  const change = (code) => {
+    setViewCurrency(view, code);
+    setCurrency(code);
+  };
+
+  return [currency, change];
+}
@@ -2,85 +2,99 @@
 // -----------------------------------------------------------------------------
 // IDBWrapper (React modules version)
 // Responsibilities:
-//   • Open/upgrade the 'costsdb' IndexedDB (v1) with store 'costs' + index 'ym' (year, month)
-//   • Provide CRUD-ish API: addCost, updateCost, deleteCost, getCostsByMonthYear, getReport, clearData
+//   • Open/upgrade the 'costsdb' IndexedDB through the ordered steps in idb_migrations.js
+//   • Provide CRUD-ish API: addCost, addCosts (bulk), updateCost, deleteCost, getCostsByMonthYear, getCostsInRange, getReport, clearData
+//   • Manage recurring expense definitions and materialize due occurrences into 'costs'
+//   • Store per-category monthly budgets (month-specific or a default for every month)
+//   • Export/restore a versioned JSON backup of every store plus settings
+//   • Soft delete: deleteCost moves a cost to the trash (deletedAt); reporting queries skip trashed costs
+//   • Log every add/update/delete/restore in 'history' (same transaction) and revert to any logged version
 //   • Handle VersionError fallback if a higher version was previously opened locally
-//   • Convert totals using units-per-USD rates fetched from a configurable URL (fallback to defaults)
+//   • Convert totals with services/money (minor units) using rates from services/currency_service (cached, offline-tolerant)
+//   • Snapshot the rates on every new cost so reports can convert at transaction-time rates
+//   • Refuse costs, budgets and recurring definitions in a currency the current rates cannot convert
 // Data semantics (per spec):
-//   • The date attached to a cost is the insertion date (now). We persist Date.day and internal year/month/day/_ts.
+//   • The date attached to a cost defaults to the insertion date (now); addCost accepts an optional past date.
+//     We persist Date.day and internal year/month/day/_ts.
 // Notes:
 //   • Promises are returned for all async operations (spec requirement).
-//   • This file adds comments only. No changes to code or behavior.
+//   • Schema changes go into MIGRATIONS; never touch 'onupgradeneeded' directly.
 // -----------------------------------------------------------------------------
 
+import { applyMigrations, SCHEMA_VERSION } from './idb_migrations';
+import { FREQUENCIES, dueOccurrences, parseDayString } from './services/recurrence';
+import { exportSettings, importSettings } from './services/settings';
+import { fetchExchangeRates, DEFAULT_RATES, RATE_MODES, ratesForCost } from './services/currency_service';
+import { CORE_CURRENCIES, isCurrencyCode, normalizeCurrency, rateOf } from './services/currencies';
+import { convert, sumMoney, UnknownCurrencyError } from './services/money';
+import { getRatesLookup } from './services/rate_history';
+
+// Backup file identity; bump BACKUP_VERSION when the file layout changes.
+const BACKUP_FORMAT = 'costsdb-backup';
+const BACKUP_VERSION = 1;
+
 export default class IDBWrapper {
   /**
    * Construct a new wrapper instance.
+   * The effective version is never below SCHEMA_VERSION, so callers still pinned
+   * to the historical v1 get every pending migration applied.
    * @param {string} dbName - Database name (default: 'costsdb')
-   * @param {number} version - Database version (default: 1)
+   * @param {number} version - Minimum database version (default: SCHEMA_VERSION)
    */
-  constructor(dbName = 'costsdb', version = 1) {
+  constructor(dbName = 'costsdb', version = SCHEMA_VERSION) {
     this.dbName = dbName;
-    this.version = version;
+    this.version = Math.max(Number(version) || 0, SCHEMA_VERSION);
     this.storeName = 'costs';
-    this.ALLOWED = ['USD', 'ILS', 'GBP', 'EURO'];
-    this.DEFAULT_RATES = { USD: 1, GBP: 1.8, EURO: 0.7, ILS: 3.4 };
-    this.dbPromise = this.initDB(); // Lazy-open once; reuse for all calls
+    this.recurringStore = 'recurring';
+    this.budgetsStore = 'budgets';
+    this.historyStore = 'history';
+    this.DEFAULT_RATES = DEFAULT_RATES;
+    this.dbPromise = this.initDB(); // Open once; reopened lazily if another tab upgrades
   }
 
   // ---------- open / upgrade with VersionError fallback ----------
 
   /**
-   * Open the DB and create/upgrade schema as needed.
-   * Ensures object store 'costs' and index 'ym' exist.
-   * Also backfills missing date fields for existing records during upgrade.
+   * Open the DB and run pending schema migrations (see idb_migrations.js).
+   * A migration that throws aborts the upgrade transaction and rejects,
+   * leaving the stored data on its previous version untouched.
    *
    * @returns {Promise<IDBDatabase>}
    */
   initDB() {
     return new Promise((resolve, reject) => {
+      // Release our connection when another tab upgrades or deletes the DB;
+      // the next call reopens it through db_().
+      const onOpened = (db) => {
+        db.onversionchange = () => {
+          db.close();
+          this.dbPromise = null;
+        };
+        resolve(db);
+      };
+
       const openWithDesired = () => {
         const req = indexedDB.open(this.dbName, this.version);
 
-        // Create schema or ensure index presence; backfill date fields if needed.
         req.onupgradeneeded = (e) => {
-          const db = e.target.result;
-          let store;
-          if (!db.objectStoreNames.contains(this.storeName)) {
-            store = db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
-          } else {
-            store = e.target.transaction.objectStore(this.storeName);
-          }
-          if (!store.indexNames.contains('ym')) {
-            store.createIndex('ym', ['year', 'month'], { unique: false });
+          const tx = e.target.transaction;
+          try {
+            applyMigrations(e.target.result, tx, e.oldVersion, e.newVersion);
+          } catch (err) {
+            tx.abort();
+            reject(err);
           }
-
-          // Backfill: ensure (year, month, day, Date.day) exist for old data
-          const curReq = store.openCursor();
-          curReq.onsuccess = (ev) => {
-            const cur = ev.target.result;
-            if (!cur) return;
-            const v = cur.value;
-            let changed = false;
-            const d = v._ts ? new Date(v._ts) : new Date();
-            if (typeof v.year !== 'number') { v.year = d.getFullYear(); changed = true; }
-            if (typeof v.month !== 'number') { v.month = d.getMonth() + 1; changed = true; }
-            if (typeof v.day !== 'number') { v.day = d.getDate(); changed = true; }
-            if (!v.Date || typeof v.Date.day !== 'number') { v.Date = { day: v.day }; changed = true; }
-            if (changed) cur.update(v);
-            cur.continue();
-          };
         };
 
-        req.onsuccess = (e) => resolve(e.target.result);
+        req.onsuccess = (e) => onOpened(e.target.result);
 
-        // If a higher version exists locally, open without version to avoid VersionError.
+        // If a higher version exists locally (newer build), open it as-is.
         req.onerror = (e) => {
           const err = e.target.error;
           if ((err && err.name === 'VersionError') ||
               String(err || '').includes('The requested version')) {
-            const r2 = indexedDB.open(this.dbName); 
-            r2.onsuccess = (ev) => resolve(ev.target.result);
+            const r2 = indexedDB.open(this.dbName);
+            r2.onsuccess = (ev) => onOpened(ev.target.result);
             r2.onerror = (ev) => reject(ev.target.error);
           } else {
             reject(err);
@@ -92,47 +106,26 @@ export default class IDBWrapper {
     });
   }
 
-  // ---------- helpers ----------
-
   /**
-   * Fetch exchange rates from localStorage-configured URL.
-   * Falls back to DEFAULT_RATES on error/invalid shape.
-   * @returns {Promise<Record<string, number>>}
+   * Current connection, reopening it if it was released on 'versionchange'.
+   * @returns {Promise<IDBDatabase>}
    */
-  async fetchRates_() {
-    try {
-      const url = localStorage.getItem('exchangeRatesUrl') || '';
-      if (!url) return this.DEFAULT_RATES;
-      const res = await fetch(url);
-      if (!res.ok) throw new Error('Failed to fetch rates');
-      const data = await res.json();
-      for (const k of this.ALLOWED) {
-        if (typeof data[k] !== 'number' || Number.isNaN(data[k]) || data[k] <= 0) {
-          throw new Error(`Invalid rate for ${k}`);
-        }
-      }
-      return data;
-    } catch {
-      return this.DEFAULT_RATES;
-    }
+  db_() {
+    if (!this.dbPromise) this.dbPromise = this.initDB();
+    return this.dbPromise;
   }
 
+  // ---------- helpers ----------
+
   /**
-   * Convert using "units per USD" model.
-   * @param {number|string} amount
-   * @param {string} from
-   * @param {string} to
-   * @param {Record<string, number>} rates
-   * @returns {number}
+   * Current exchange rates through the shared currency service
+   * (cached with a TTL; last good rates, then DEFAULT_RATES, when offline),
+   * with the manual overrides from Settings applied. Only sources allowed by
+   * the fetch policy in Settings are contacted.
+   * @returns {Promise<Record<string, number>>}
    */
-  convert_(amount, from, to, rates) {
-    const f = String(from || 'USD').toUpperCase();
-    const t = String(to || 'USD').toUpperCase();
-    if (f === t) return Number(amount) || 0;
-    const rf = rates[f] ?? 1; // units of FROM per 1 USD
-    const rt = rates[t] ?? 1; // units of TO per 1 USD
-    const usd = (Number(amount) || 0) / rf;
-    return usd * rt;
+  async fetchRates_() {
+    return fetchExchangeRates();
   }
 
   /**
@@ -145,59 +138,197 @@ export default class IDBWrapper {
     if (typeof cost !== 'object' || cost === null) throw new Error('Invalid cost object.');
     if (typeof cost.sum !== 'number' || Number.isNaN(cost.sum) || cost.sum <= 0) throw new Error('sum must be > 0');
     const cur = String(cost.currency || '').toUpperCase();
-    if (!this.ALLOWED.includes(cur)) throw new Error('currency must be USD/ILS/GBP/EURO');
+    if (!isCurrencyCode(cur)) throw new Error('currency must be an ISO 4217 code (e.g. USD, EUR)');
     if (!String(cost.category || '').trim()) throw new Error('category required');
     if (!String(cost.description || '').trim()) throw new Error('description required');
   }
 
-  // ---------- public API ----------
+  /**
+   * Coerce a Date or date string into a Date.
+   * 'YYYY-MM-DD' strings are read as local calendar dates (not UTC midnight).
+   * @param {Date|string} value
+   * @returns {Date|null} null when the value is not a valid date
+   */
+  parseDate_(value) {
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : new Date(value.getTime());
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value ?? ''));
+    const d = m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : new Date(value);
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
 
   /**
-   * Add a new cost item with insertion date (now).
-   * Returns only the public fields per spec.
-   *
-   * @param {{sum:number,currency:string,category:string,description:string}} cost
-   * @returns {Promise<{sum:number,currency:string,category:string,description:string}>}
+   * Resolve the date for a new cost: now when omitted, otherwise a validated past date.
+   * 'YYYY-MM-DD' input keeps the current time of day so same-day entries stay in insertion order.
+   * @param {Date|string|undefined} value
+   * @param {boolean} allowFuture - Accept dates after now
+   * @returns {Date}
    */
-  async addCost(cost) {
-    this.validate_(cost);
-    const db = await this.dbPromise;
+  resolveCostDate_(value, allowFuture = false) {
     const now = new Date();
+    if (value === undefined || value === null || value === '') return now;
+    const d = this.parseDate_(value);
+    if (!d) throw new Error('date must be a valid date');
+    if (!(value instanceof Date) && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+      d.setHours(now.getHours(), now.getMinutes(), now.getSeconds(), now.getMilliseconds());
+    }
+    if (!allowFuture && d > now) throw new Error('date cannot be in the future');
+    return d;
+  }
+
+  /**
+   * Internal date fields derived from one Date, kept coherent on every write.
+   * @param {Date} d
+   * @returns {{_ts:string, year:number, month:number, day:number, Date:{day:number}}}
+   */
+  dateFields_(d) {
+    return {
+      Date: { day: d.getDate() }, // Spec-visible date (day only)
+      _ts: d.toISOString(),       // Internal ISO timestamp
+      year: d.getFullYear(),
+      month: d.getMonth() + 1,
+      day: d.getDate()
+    };
+  }
+
+  /**
+   * Throw UnknownCurrencyError when the rates (feed plus manual overrides) have no rate for
+   * `currency`. Any ISO code passes validate_, but a stored amount reports cannot convert
+   * would make every report covering it fail.
+   * @param {Record<string, number>} rates
+   * @param {string} currency
+   * @returns {void}
+   */
+  requireRate_(rates, currency) {
+    if (!(rateOf(rates, currency) > 0)) throw new UnknownCurrencyError(normalizeCurrency(currency));
+  }
 
+  /**
+   * Rates to store with a new cost: the core currencies plus the cost's own.
+   * @param {Record<string, number>} rates
+   * @param {string} currency - The cost's currency
+   * @returns {Record<string, number>}
+   */
+  ratesSnapshot_(rates, currency) {
+    const out = {};
+    for (const k of new Set([...CORE_CURRENCIES, normalizeCurrency(currency)])) {
+      const v = rateOf(rates, k);
+      if (typeof v === 'number') out[k] = v;
+    }
+    return out;
+  }
+
+  // ---------- public API ----------
+
+  /**
+   * Validate a cost and build the stored record (public fields + internal date fields).
+   * @param {any} cost
+   * @param {{allowFuture?:boolean, recurrence?:{id:number, occurrence:string}, rates?:Record<string,number>}} options
+   * @returns {object}
+   */
+  buildRecord_(cost, options) {
+    this.validate_(cost);
+    const when = this.resolveCostDate_(cost.date, Boolean(options.allowFuture));
     const record = {
       sum: Number(cost.sum),
       currency: String(cost.currency).toUpperCase(),
       category: String(cost.category),
       description: String(cost.description),
-      Date: { day: now.getDate() }, // Spec-visible date (day only)
-      _ts: now.toISOString(),       // Internal ISO timestamp
-      year: now.getFullYear(),
-      month: now.getMonth() + 1,
-      day: now.getDate()
+      ...this.dateFields_(when)
     };
+    if (options.rates) record.rates = this.ratesSnapshot_(options.rates, record.currency);
+    if (options.recurrence) {
+      record.recurringId = options.recurrence.id;
+      record.occurrence = options.recurrence.occurrence;
+    }
+    return record;
+  }
+
+  /**
+   * Add a new cost item dated now, or on cost.date when backdating.
+   * Future dates are rejected unless options.allowFuture is set.
+   * options.recurrence tags the cost as an occurrence of a recurring definition;
+   * the unique 'recurrence' index then rejects a second copy with a ConstraintError.
+   * Today's rates are stored with the cost (options.rates overrides the fetch); a currency
+   * those rates cannot convert is rejected with UnknownCurrencyError.
+   * Returns only the public fields per spec.
+   *
+   * @param {{sum:number,currency:string,category:string,description:string,date?:Date|string}} cost
+   * @param {{allowFuture?:boolean, recurrence?:{id:number, occurrence:string}, rates?:Record<string,number>}} [options]
+   * @returns {Promise<{sum:number,currency:string,category:string,description:string}>}
+   */
+  async addCost(cost, options = {}) {
+    const record = this.buildRecord_(cost, options);
+    const rates = options.rates || await this.fetchRates_();
+    this.requireRate_(rates, record.currency);
+    if (!record.rates) record.rates = this.ratesSnapshot_(rates, record.currency);
+    const db = await this.db_();
 
     return new Promise((resolve, reject) => {
-      const tx = db.transaction(this.storeName, 'readwrite');
+      const tx = db.transaction([this.storeName, this.historyStore], 'readwrite');
       const store = tx.objectStore(this.storeName);
       const r = store.add(record);
-      r.onsuccess = () => resolve({
+      r.onsuccess = () => this.logChange_(tx, r.result, 'add', {}, record);
+      r.onerror = () => reject(r.error);
+      tx.oncomplete = () => resolve({
         sum: record.sum, currency: record.currency, category: record.category, description: record.description
       });
-      r.onerror = () => reject(r.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Add many costs in a single transaction (all or nothing).
+   * Every item is validated first; the first invalid one rejects with its index.
+   *
+   * @param {Array<{sum:number,currency:string,category:string,description:string,date?:Date|string}>} costs
+   * @param {{allowFuture?:boolean}} [options]
+   * @returns {Promise<number>} Number of costs added
+   */
+  async addCosts(costs, options = {}) {
+    const records = (costs || []).map((c, i) => {
+      try {
+        return this.buildRecord_(c, { allowFuture: options.allowFuture });
+      } catch (e) {
+        throw new Error(`Item ${i + 1}: ${e.message}`);
+      }
+    });
+    if (!records.length) return 0;
+    const rates = await this.fetchRates_();
+    records.forEach((rec, i) => {
+      try {
+        this.requireRate_(rates, rec.currency);
+      } catch (e) {
+        throw new Error(`Item ${i + 1}: ${e.message}`);
+      }
+      rec.rates = this.ratesSnapshot_(rates, rec.currency);
+    });
+    const db = await this.db_();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([this.storeName, this.historyStore], 'readwrite');
+      const store = tx.objectStore(this.storeName);
+      records.forEach((rec) => {
+        const r = store.add(rec);
+        r.onsuccess = () => this.logChange_(tx, r.result, 'add', {}, rec);
+      });
+      tx.oncomplete = () => resolve(records.length);
+      tx.onerror = () => reject(tx.error);
     });
   }
 
   /**
    * Update an existing cost item by id. Allows updating: sum/category/description/currency/date.
    * When 'date' is provided, internal date fields are kept coherent (year/month/day/_ts/Date.day).
+   * A new currency must have a rate (UnknownCurrencyError otherwise).
    *
    * @param {{id:number,sum?:number,category?:string,description?:string,currency?:string,date?:Date|string}} partial
    * @returns {Promise<void>}
    */
   async updateCost(partial) {
-    const db = await this.dbPromise;
+    if (partial.currency) this.requireRate_(await this.fetchRates_(), partial.currency);
+    const db = await this.db_();
     return new Promise((resolve, reject) => {
-      const tx = db.transaction(this.storeName, 'readwrite');
+      const tx = db.transaction([this.storeName, this.historyStore], 'readwrite');
       const store = tx.objectStore(this.storeName);
       const getReq = store.get(partial.id);
       getReq.onsuccess = () => {
@@ -211,40 +342,130 @@ export default class IDBWrapper {
 
         if (partial.date) {
           const d = (partial.date instanceof Date) ? partial.date : new Date(partial.date);
-          if (!Number.isNaN(d.getTime())) {
-            out._ts = d.toISOString();
-            out.year = d.getFullYear();
-            out.month = d.getMonth() + 1;
-            out.day = d.getDate();
-            out.Date = { day: out.day };
-          }
+          if (!Number.isNaN(d.getTime())) Object.assign(out, this.dateFields_(d));
         }
 
         const putReq = store.put(out);
-        putReq.onsuccess = () => resolve();
+        putReq.onsuccess = () => this.logChange_(tx, cur.id, 'update', cur, out);
         putReq.onerror = () => reject(putReq.error);
       };
       getReq.onerror = () => reject(getReq.error);
+      tx.oncomplete = () => resolve();
+      // The history write shares the transaction: its failure aborts the update too.
+      tx.onerror = (e) => reject(e.target.error);
+      tx.onabort = () => reject(tx.error || new Error('Update aborted'));
     });
   }
 
   /**
-   * Delete a cost by id.
+   * Move a cost to the trash (soft delete) by stamping deletedAt.
+   * Trashed costs are hidden from reports until restored or purged.
    * @param {number} id
    * @returns {Promise<void>}
    */
   async deleteCost(id) {
-    const db = await this.dbPromise;
+    return this.setTrashed_(id, new Date().toISOString());
+  }
+
+  /**
+   * Bring a trashed cost back.
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  async restoreCost(id) {
+    return this.setTrashed_(id, null);
+  }
+
+  /**
+   * Set or clear deletedAt on one cost (missing ids are ignored).
+   * @param {number} id
+   * @param {string|null} deletedAt - ISO timestamp, or null to restore
+   * @returns {Promise<void>}
+   */
+  async setTrashed_(id, deletedAt) {
+    const db = await this.db_();
     return new Promise((resolve, reject) => {
-      const tx = db.transaction(this.storeName, 'readwrite');
-      const r = tx.objectStore(this.storeName).delete(id);
-      r.onsuccess = () => resolve();
+      const tx = db.transaction([this.storeName, this.historyStore], 'readwrite');
+      const store = tx.objectStore(this.storeName);
+      const getReq = store.get(id);
+      getReq.onsuccess = () => {
+        const cur = getReq.result;
+        if (!cur) return;
+        const out = { ...cur };
+        if (deletedAt) out.deletedAt = deletedAt; else delete out.deletedAt;
+        const putReq = store.put(out);
+        putReq.onsuccess = () => this.logChange_(tx, id, deletedAt ? 'delete' : 'restore', cur, out);
+        putReq.onerror = () => reject(putReq.error);
+      };
+      getReq.onerror = () => reject(getReq.error);
+      tx.oncomplete = () => resolve();
+      tx.onerror = (e) => reject(e.target.error);
+      tx.onabort = () => reject(tx.error || new Error(deletedAt ? 'Delete aborted' : 'Restore aborted'));
+    });
+  }
+
+  /**
+   * Permanently delete a cost by id (no undo), together with its history.
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  async purgeCost(id) {
+    const db = await this.db_();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([this.storeName, this.historyStore], 'readwrite');
+      tx.objectStore(this.storeName).delete(id);
+      this.deleteHistory_(tx, id);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Purge aborted'));
+    });
+  }
+
+  /**
+   * All trashed costs, most recently deleted first.
+   * @returns {Promise<Array<any>>}
+   */
+  async getTrash() {
+    const db = await this.db_();
+    return new Promise((resolve, reject) => {
+      const r = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).getAll();
+      r.onsuccess = () => resolve(
+        r.result.filter((c) => c.deletedAt).sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+      );
       r.onerror = () => reject(r.error);
     });
   }
 
   /**
-   * Get all costs for a given (year, month).
+   * Permanently delete trashed costs (and their history) older than the retention period.
+   * Pass 0 to empty the whole trash.
+   * @param {number} retentionDays
+   * @param {Date} [now]
+   * @returns {Promise<number>} Number of costs purged
+   */
+  async purgeTrash(retentionDays, now = new Date()) {
+    const cutoff = new Date(now.getTime() - Math.max(0, Number(retentionDays) || 0) * 24 * 60 * 60 * 1000).toISOString();
+    const db = await this.db_();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([this.storeName, this.historyStore], 'readwrite');
+      let purged = 0;
+      tx.objectStore(this.storeName).openCursor().onsuccess = (e) => {
+        const c = e.target.result;
+        if (!c) return;
+        if (c.value.deletedAt && c.value.deletedAt <= cutoff) {
+          c.delete();
+          this.deleteHistory_(tx, c.value.id);
+          purged += 1;
+        }
+        c.continue();
+      };
+      tx.oncomplete = () => resolve(purged);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Get all costs for a given (year, month), excluding trashed ones.
    * The method tolerates swapped parameters (month, year) and fixes them heuristically.
    * Falls back to cursor scan when index 'ym' is absent.
    *
@@ -256,7 +477,7 @@ export default class IDBWrapper {
     let y = Number(year), m = Number(month);
     // Heuristic swap: (month<=12) & (year>31) → interpret as (year, month)
     if (y >= 1 && y <= 12 && m > 31) [y, m] = [m, y]; 
-    const db = await this.dbPromise;
+    const db = await this.db_();
 
     return new Promise((resolve, reject) => {
       const tx = db.transaction(this.storeName, 'readonly');
@@ -273,7 +494,7 @@ export default class IDBWrapper {
           if (!c) return resolve(out);
           const v = c.value;
           const d = v._ts ? new Date(v._ts) : null;
-          if (d && d.getFullYear() === y && (d.getMonth() + 1) === m) out.push(v);
+          if (d && d.getFullYear() === y && (d.getMonth() + 1) === m && !v.deletedAt) out.push(v);
           c.continue();
         };
         tx.onerror = () => reject(tx.error);
@@ -286,7 +507,42 @@ export default class IDBWrapper {
       req.onsuccess = (e) => {
         const c = e.target.result;
         if (!c) return resolve(out);
-        out.push(c.value);
+        if (!c.value.deletedAt) out.push(c.value);
+        c.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  /**
+   * Get all costs whose date falls between two calendar days (both inclusive), excluding trashed ones.
+   * Backed by index 'ts' on _ts, so any span is a single cursor scan.
+   *
+   * @param {Date|string} start - First day of the range
+   * @param {Date|string} end - Last day of the range
+   * @param {{order?:'asc'|'desc', limit?:number}} [options]
+   * @returns {Promise<Array<any>>}
+   */
+  async getCostsInRange(start, end, options = {}) {
+    const from = this.parseDate_(start);
+    const to = this.parseDate_(end);
+    if (!from || !to) throw new Error('start and end must be valid dates');
+    from.setHours(0, 0, 0, 0);
+    to.setHours(23, 59, 59, 999);
+    if (from > to) throw new Error('start must be on or before end');
+
+    const order = options.order === 'desc' ? 'prev' : 'next';
+    const limit = Number(options.limit) > 0 ? Math.floor(Number(options.limit)) : Infinity;
+    const db = await this.db_();
+
+    return new Promise((resolve, reject) => {
+      const idx = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).index('ts');
+      const out = [];
+      const req = idx.openCursor(IDBKeyRange.bound(from.toISOString(), to.toISOString()), order);
+      req.onsuccess = (e) => {
+        const c = e.target.result;
+        if (!c || out.length >= limit) return resolve(out);
+        if (!c.value.deletedAt) out.push(c.value);
         c.continue();
       };
       req.onerror = () => reject(req.error);
@@ -295,26 +551,46 @@ export default class IDBWrapper {
 
   /**
    * Build a detailed report per (year, month) converted into the target currency.
+   * options.rateMode picks the rates for `total`: 'current' (today's rates, default),
+   * 'transaction' (each cost's snapshot from when it was added) or 'dated' (the rate
+   * history's rates on each cost's date, see services/rate_history).
+   * `byCategory` splits `total` per category (same rate mode, same per-cost rounding).
+   * `fx` carries the transaction and current totals; fx.gainLoss = atCurrent - atTransaction.
+   * Throws UnknownCurrencyError (services/money) when a cost's currency has no rate
+   * (only possible for data stored before requireRate_, restored from a backup, or after a
+   * manual rate was removed).
+   *
    * @param {number} year
    * @param {number} month
-   * @param {'USD'|'ILS'|'GBP'|'EURO'} currency
-   * @returns {Promise<{year:number, month:number, costs:Array, total:{currency:string,total:number}}>}
+   * @param {string} currency - ISO 4217 code (EURO accepted)
+   * @param {{rateMode?:'current'|'transaction'|'dated'}} [options]
+   * @returns {Promise<{year:number, month:number, costs:Array, total:{currency:string,total:number},
+   *   byCategory:Record<string, number>, fx:{rateMode:string, atTransaction:number, atCurrent:number, gainLoss:number}}>}
    */
-  async getReport(year, month, currency) {
+  async getReport(year, month, currency, options = {}) {
     const y = Number(year), m = Number(month);
     const target = String(currency || 'USD').toUpperCase();
-    if (!this.ALLOWED.includes(target)) throw new Error('currency must be USD/ILS/GBP/EURO');
+    if (!isCurrencyCode(target)) throw new Error('currency must be an ISO 4217 code (e.g. USD, EUR)');
+    const rateMode = options.rateMode || 'current';
+    if (!RATE_MODES.includes(rateMode)) throw new Error(`rateMode must be one of ${RATE_MODES.join('/')}`);
 
-    const [rows, rates] = await Promise.all([
+    const [rows, rates, ratesOn] = await Promise.all([
       this.getCostsByMonthYear(y, m),
-      this.fetchRates_()
+      this.fetchRates_(),
+      rateMode === 'dated' ? getRatesLookup() : null
     ]);
 
-    let total = 0;
+    // Each cost is converted (and rounded) on its own; totals add the rounded amounts,
+    // exactly like the monthly report does.
+    const atCurrent = [];
+    const atTransaction = [];
+    const atDate = [];
     const costs = rows.map((r) => {
       const sum = Number(r.sum) || 0;
       const cur = String(r.currency || 'USD').toUpperCase();
-      total += this.convert_(sum, cur, target, rates);
+      atCurrent.push(convert(sum, cur, target, rates));
+      atTransaction.push(convert(sum, cur, target, ratesForCost(r, rates, 'transaction')));
+      if (ratesOn) atDate.push(convert(sum, cur, target, ratesForCost(r, rates, 'dated', ratesOn)));
       return {
         sum,
         currency: cur,
@@ -324,20 +600,519 @@ export default class IDBWrapper {
       };
     });
 
-    return { year: y, month: m, costs, total: { currency: target, total: Number(total.toFixed(2)) } };
+    const current = sumMoney(atCurrent, target);
+    const transaction = sumMoney(atTransaction, target);
+    const selected = rateMode === 'transaction' ? atTransaction : rateMode === 'dated' ? atDate : atCurrent;
+    const byCategory = {};
+    costs.forEach((c, i) => { byCategory[c.category] = sumMoney([byCategory[c.category] || 0, selected[i]], target); });
+    return {
+      year: y,
+      month: m,
+      costs,
+      total: {
+        currency: target,
+        total: rateMode === 'transaction' ? transaction : rateMode === 'dated' ? sumMoney(atDate, target) : current
+      },
+      byCategory,
+      fx: { rateMode, atTransaction: transaction, atCurrent: current, gainLoss: sumMoney([current, -transaction], target) }
+    };
   }
 
   /**
-   * Clear all data from the object store.
+   * Clear all costs and their change history.
    * @returns {Promise<void>}
    */
   async clearData() {
-    const db = await this.dbPromise;
+    const db = await this.db_();
     return new Promise((resolve, reject) => {
-      const tx = db.transaction(this.storeName, 'readwrite');
+      const tx = db.transaction([this.storeName, this.historyStore], 'readwrite');
       tx.objectStore(this.storeName).clear();
+      tx.objectStore(this.historyStore).clear();
       tx.oncomplete = () => resolve();
       tx.onerror = () => reject(tx.error);
     });
   }
+
+  // ---------- recurring expenses ----------
+
+  /**
+   * Validate a recurring definition (money fields as in validate_, plus schedule).
+   * @param {any} def
+   * @returns {void}
+   */
+  validateRecurring_(def) {
+    this.validate_(def);
+    if (!FREQUENCIES.includes(def.frequency)) throw new Error(`frequency must be ${FREQUENCIES.join('/')}`);
+    if (!parseDayString(def.startDate)) throw new Error('startDate must be YYYY-MM-DD');
+    if (def.endDate) {
+      if (!parseDayString(def.endDate)) throw new Error('endDate must be YYYY-MM-DD');
+      if (def.endDate < def.startDate) throw new Error('endDate must be on or after startDate');
+    }
+  }
+
+  /**
+   * Create a recurring expense definition (its currency must have a rate, as for addCost).
+   * @param {{sum:number,currency:string,category:string,description:string,frequency:string,startDate:string,endDate?:string|null}} def
+   * @returns {Promise<number>} New definition id
+   */
+  async addRecurring(def) {
+    this.validateRecurring_(def);
+    this.requireRate_(await this.fetchRates_(), def.currency);
+    const db = await this.db_();
+    const record = {
+      sum: Number(def.sum),
+      currency: String(def.currency).toUpperCase(),
+      category: String(def.category),
+      description: String(def.description),
+      frequency: def.frequency,
+      startDate: def.startDate,
+      endDate: def.endDate || null,
+      paused: false,
+      lastOccurrence: null // Last materialized 'YYYY-MM-DD'
+    };
+    return new Promise((resolve, reject) => {
+      const r = db.transaction(this.recurringStore, 'readwrite').objectStore(this.recurringStore).add(record);
+      r.onsuccess = () => resolve(r.result);
+      r.onerror = () => reject(r.error);
+    });
+  }
+
+  /**
+   * List all recurring definitions.
+   * @returns {Promise<Array<any>>}
+   */
+  async getRecurring() {
+    const db = await this.db_();
+    return new Promise((resolve, reject) => {
+      const r = db.transaction(this.recurringStore, 'readonly').objectStore(this.recurringStore).getAll();
+      r.onsuccess = () => resolve(r.result);
+      r.onerror = () => reject(r.error);
+    });
+  }
+
+  /**
+   * Pause or resume a definition.
+   * Resuming skips the occurrences that fell due while paused.
+   * @param {number} id
+   * @param {boolean} paused
+   * @param {Date} [today]
+   * @returns {Promise<void>}
+   */
+  async setRecurringPaused(id, paused, today = new Date()) {
+    const db = await this.db_();
+    return new Promise((resolve, reject) => {
+      const store = db.transaction(this.recurringStore, 'readwrite').objectStore(this.recurringStore);
+      const getReq = store.get(id);
+      getReq.onsuccess = () => {
+        const def = getReq.result;
+        if (!def) return reject(new Error('Recurring expense not found'));
+        if (def.paused && !paused) {
+          const missed = dueOccurrences(def, today);
+          if (missed.length) def.lastOccurrence = missed[missed.length - 1];
+        }
+        def.paused = Boolean(paused);
+        const putReq = store.put(def);
+        putReq.onsuccess = () => resolve();
+        putReq.onerror = () => reject(putReq.error);
+      };
+      getReq.onerror = () => reject(getReq.error);
+    });
+  }
+
+  /**
+   * Delete a definition. Costs it already created are kept.
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  async deleteRecurring(id) {
+    const db = await this.db_();
+    return new Promise((resolve, reject) => {
+      const r = db.transaction(this.recurringStore, 'readwrite').objectStore(this.recurringStore).delete(id);
+      r.onsuccess = () => resolve();
+      r.onerror = () => reject(r.error);
+    });
+  }
+
+  /**
+   * Create a cost for every occurrence that has come due (up to today) on active definitions.
+   * Safe to call repeatedly and concurrently: lastOccurrence skips known days and
+   * the unique 'recurrence' index rejects any occurrence that was already created.
+   *
+   * @param {Date} [today]
+   * @returns {Promise<number>} Number of costs created
+   */
+  async materializeRecurring(today = new Date()) {
+    const defs = await this.getRecurring();
+    const rates = await this.fetchRates_();
+    let created = 0;
+
+    for (const def of defs) {
+      if (def.paused) continue;
+      const due = dueOccurrences(def, today);
+      if (!due.length) continue;
+
+      for (const occurrence of due) {
+        try {
+          await this.addCost(
+            { sum: def.sum, currency: def.currency, category: def.category, description: def.description, date: occurrence },
+            { recurrence: { id: def.id, occurrence }, rates }
+          );
+          created += 1;
+        } catch (e) {
+          if (e?.name !== 'ConstraintError') throw e; // Already materialized elsewhere
+        }
+      }
+      await this.markRecurringRun_(def.id, due[due.length - 1]);
+    }
+    return created;
+  }
+
+  /**
+   * Advance a definition's lastOccurrence (never moves it backwards).
+   * @param {number} id
+   * @param {string} occurrence - 'YYYY-MM-DD'
+   * @returns {Promise<void>}
+   */
+  async markRecurringRun_(id, occurrence) {
+    const db = await this.db_();
+    return new Promise((resolve, reject) => {
+      const store = db.transaction(this.recurringStore, 'readwrite').objectStore(this.recurringStore);
+      const getReq = store.get(id);
+      getReq.onsuccess = () => {
+        const def = getReq.result;
+        if (!def || (def.lastOccurrence && def.lastOccurrence >= occurrence)) return resolve();
+        def.lastOccurrence = occurrence;
+        const putReq = store.put(def);
+        putReq.onsuccess = () => resolve();
+        putReq.onerror = () => reject(putReq.error);
+      };
+      getReq.onerror = () => reject(getReq.error);
+    });
+  }
+
+  // ---------- budgets ----------
+
+  /**
+   * Budget period key: 'YYYY-MM' for one month, 'default' for every month.
+   * @param {number} [year]
+   * @param {number} [month]
+   * @returns {string}
+   */
+  budgetPeriod_(year, month) {
+    if (!year || !month) return 'default';
+    return `${Number(year)}-${String(Number(month)).padStart(2, '0')}`;
+  }
+
+  /**
+   * Create or replace a category budget.
+   * Omit year/month to set the default monthly budget for that category.
+   * The currency must have a rate, so progress can be converted (UnknownCurrencyError otherwise).
+   *
+   * @param {{category:string, amount:number, currency:string, year?:number, month?:number}} budget
+   * @returns {Promise<void>}
+   */
+  async setBudget(budget) {
+    if (!String(budget?.category || '').trim()) throw new Error('category required');
+    if (typeof budget.amount !== 'number' || Number.isNaN(budget.amount) || budget.amount <= 0) throw new Error('amount must be > 0');
+    const cur = String(budget.currency || '').toUpperCase();
+    if (!isCurrencyCode(cur)) throw new Error('currency must be an ISO 4217 code (e.g. USD, EUR)');
+    this.requireRate_(await this.fetchRates_(), cur);
+
+    const db = await this.db_();
+    const record = {
+      category: String(budget.category),
+      period: this.budgetPeriod_(budget.year, budget.month),
+      amount: budget.amount,
+      currency: cur
+    };
+    return new Promise((resolve, reject) => {
+      const r = db.transaction(this.budgetsStore, 'readwrite').objectStore(this.budgetsStore).put(record);
+      r.onsuccess = () => resolve();
+      r.onerror = () => reject(r.error);
+    });
+  }
+
+  /**
+   * Delete one budget entry.
+   * @param {string} category
+   * @param {string} period - 'YYYY-MM' or 'default'
+   * @returns {Promise<void>}
+   */
+  async deleteBudget(category, period) {
+    const db = await this.db_();
+    return new Promise((resolve, reject) => {
+      const r = db.transaction(this.budgetsStore, 'readwrite').objectStore(this.budgetsStore).delete([category, period]);
+      r.onsuccess = () => resolve();
+      r.onerror = () => reject(r.error);
+    });
+  }
+
+  /**
+   * List every stored budget entry (defaults and month-specific).
+   * @returns {Promise<Array<{category:string, period:string, amount:number, currency:string}>>}
+   */
+  async getBudgets() {
+    const db = await this.db_();
+    return new Promise((resolve, reject) => {
+      const r = db.transaction(this.budgetsStore, 'readonly').objectStore(this.budgetsStore).getAll();
+      r.onsuccess = () => resolve(r.result);
+      r.onerror = () => reject(r.error);
+    });
+  }
+
+  /**
+   * Budgets in effect for (year, month), one per category.
+   * A month-specific entry overrides the category's default.
+   *
+   * @param {number} year
+   * @param {number} month
+   * @returns {Promise<Record<string, {amount:number, currency:string, period:string}>>}
+   */
+  async getBudgetsFor(year, month) {
+    const period = this.budgetPeriod_(year, month);
+    const out = {};
+    for (const b of await this.getBudgets()) {
+      if (b.period === period || (b.period === 'default' && !out[b.category])) {
+        out[b.category] = { amount: b.amount, currency: b.currency, period: b.period };
+      }
+    }
+    return out;
+  }
+
+  // ---------- backup / restore ----------
+
+  /**
+   * Serialize every record (including id/_ts and other internal fields) plus settings.
+   * @returns {Promise<{format:string, version:number, exportedAt:string, schemaVersion:number, settings:Record<string,string>, data:Record<string, Array<any>>}>}
+   */
+  async exportBackup() {
+    const db = await this.db_();
+    const stores = [this.storeName, this.recurringStore, this.budgetsStore, this.historyStore];
+    const data = await new Promise((resolve, reject) => {
+      const tx = db.transaction(stores, 'readonly');
+      const out = {};
+      stores.forEach((name) => {
+        const r = tx.objectStore(name).getAll();
+        r.onsuccess = () => { out[name] = r.result; };
+      });
+      tx.oncomplete = () => resolve(out);
+      tx.onerror = () => reject(tx.error);
+    });
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      schemaVersion: db.version,
+      settings: exportSettings(),
+      data
+    };
+  }
+
+  /**
+   * Validate a parsed backup file. Throws on the first problem, naming the record.
+   * @param {any} backup
+   * @returns {void}
+   */
+  validateBackup_(backup) {
+    if (typeof backup !== 'object' || backup === null || backup.format !== BACKUP_FORMAT) {
+      throw new Error('Not a cost manager backup file.');
+    }
+    if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+      throw new Error(`Unsupported backup version: ${backup.version}`);
+    }
+    const data = backup.data || {};
+    if (!Array.isArray(data[this.storeName])) throw new Error('Backup has no costs list.');
+
+    const check = (name, i, fn) => {
+      try { fn(); } catch (e) { throw new Error(`${name}[${i}]: ${e.message}`); }
+    };
+    data[this.storeName].forEach((c, i) => check(this.storeName, i, () => {
+      this.validate_(c);
+      if (!Number.isInteger(c.id) || c.id <= 0) throw new Error('id must be a positive integer');
+      if (!c._ts || Number.isNaN(new Date(c._ts).getTime())) throw new Error('_ts must be an ISO date');
+      if (![c.year, c.month, c.day].every(Number.isInteger)) throw new Error('year/month/day required');
+      if (c.rates !== undefined && (typeof c.rates !== 'object' || c.rates === null
+        || !Object.values(c.rates).every((v) => typeof v === 'number' && v > 0))) {
+        throw new Error('rates must map currencies to positive numbers');
+      }
+    }));
+    (data[this.recurringStore] || []).forEach((d, i) => check(this.recurringStore, i, () => {
+      this.validateRecurring_(d);
+      if (!Number.isInteger(d.id) || d.id <= 0) throw new Error('id must be a positive integer');
+    }));
+    (data[this.budgetsStore] || []).forEach((b, i) => check(this.budgetsStore, i, () => {
+      if (!String(b.category || '').trim()) throw new Error('category required');
+      if (!/^(default|\d{4}-\d{2})$/.test(String(b.period))) throw new Error('period must be YYYY-MM or default');
+      if (typeof b.amount !== 'number' || !(b.amount > 0)) throw new Error('amount must be > 0');
+      if (!isCurrencyCode(b.currency)) throw new Error('currency must be an ISO 4217 code (e.g. USD, EUR)');
+    }));
+    (data[this.historyStore] || []).forEach((h, i) => check(this.historyStore, i, () => {
+      if (!Number.isInteger(h.id) || !Number.isInteger(h.costId)) throw new Error('id and costId must be integers');
+      if (typeof h.op !== 'string' || typeof h.diff !== 'object' || h.diff === null) throw new Error('op and diff required');
+    }));
+  }
+
+  /**
+   * Restore a backup, either merging into or replacing current data.
+   * Merge: records with a new key are added, identical ones skipped, differing ones overwritten.
+   * Replace: every store is cleared first; 'removed' counts records not present in the backup.
+   * With dryRun nothing is written (settings included) and only the summary is returned.
+   * All stores are written in one transaction, so a failure leaves the DB unchanged.
+   *
+   * @param {any} backup - Parsed backup JSON
+   * @param {{mode?:'merge'|'replace', dryRun?:boolean}} [options]
+   * @returns {Promise<Record<string, {added:number, skipped:number, overwritten:number, removed:number}>>}
+   */
+  async importBackup(backup, { mode = 'merge', dryRun = false } = {}) {
+    if (mode !== 'merge' && mode !== 'replace') throw new Error('mode must be merge or replace');
+    this.validateBackup_(backup);
+    const db = await this.db_();
+    const stores = [this.storeName, this.recurringStore, this.budgetsStore, this.historyStore];
+
+    const summary = await new Promise((resolve, reject) => {
+      const tx = db.transaction(stores, dryRun ? 'readonly' : 'readwrite');
+      const out = {};
+      stores.forEach((name) => {
+        const store = tx.objectStore(name);
+        const kp = store.keyPath;
+        const keyOf = (r) => JSON.stringify(Array.isArray(kp) ? kp.map((k) => r[k]) : r[kp]);
+        const incoming = backup.data[name] || [];
+
+        const r = store.getAll();
+        r.onsuccess = () => {
+          const existing = new Map(r.result.map((rec) => [keyOf(rec), JSON.stringify(rec)]));
+          const counts = { added: 0, skipped: 0, overwritten: 0, removed: 0 };
+          const toWrite = [];
+          const seen = new Set();
+          for (const rec of incoming) {
+            const key = keyOf(rec);
+            seen.add(key);
+            if (!existing.has(key)) { counts.added += 1; toWrite.push(rec); }
+            else if (existing.get(key) === JSON.stringify(rec)) { counts.skipped += 1; if (mode === 'replace') toWrite.push(rec); }
+            else { counts.overwritten += 1; toWrite.push(rec); }
+          }
+          if (mode === 'replace') counts.removed = [...existing.keys()].filter((k) => !seen.has(k)).length;
+          out[name] = counts;
+
+          if (dryRun) return;
+          if (mode === 'replace') store.clear();
+          toWrite.forEach((rec) => store.put(rec));
+        };
+      });
+      tx.oncomplete = () => resolve(out);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Restore aborted'));
+    });
+
+    if (!dryRun) importSettings(backup.settings);
+    return summary;
+  }
+
+  // ---------- change history ----------
+
+  /**
+   * Field-level diff between two versions of a cost. Absent fields are recorded as null.
+   * @param {object} before
+   * @param {object} after
+   * @returns {Record<string, {before:any, after:any}>}
+   */
+  historyDiff_(before, after) {
+    const fields = ['sum', 'currency', 'category', 'description', '_ts', 'year', 'month', 'day', 'Date', 'deletedAt'];
+    const diff = {};
+    for (const f of fields) {
+      const b = before[f] ?? null;
+      const a = after[f] ?? null;
+      if (JSON.stringify(b) !== JSON.stringify(a)) diff[f] = { before: b, after: a };
+    }
+    return diff;
+  }
+
+  /**
+   * Append a history entry inside an open readwrite transaction (no-op when nothing changed).
+   * @param {IDBTransaction} tx - Must include the 'history' store
+   * @param {number} costId
+   * @param {'add'|'update'|'delete'|'restore'|'revert'} op
+   * @param {object} before
+   * @param {object} after
+   * @param {object} [extra] - Additional entry fields (e.g. revertedTo)
+   * @returns {void}
+   */
+  logChange_(tx, costId, op, before, after, extra = {}) {
+    const diff = this.historyDiff_(before, after);
+    if (!Object.keys(diff).length) return;
+    tx.objectStore(this.historyStore).add({ costId, op, at: new Date().toISOString(), diff, ...extra });
+  }
+
+  /**
+   * Delete every history entry of a cost inside an open readwrite transaction.
+   * @param {IDBTransaction} tx
+   * @param {number} costId
+   * @returns {void}
+   */
+  deleteHistory_(tx, costId) {
+    tx.objectStore(this.historyStore).index('costId').openCursor(IDBKeyRange.only(costId)).onsuccess = (e) => {
+      const c = e.target.result;
+      if (!c) return;
+      c.delete();
+      c.continue();
+    };
+  }
+
+  /**
+   * Change history of one cost, newest first.
+   * @param {number} costId
+   * @returns {Promise<Array<{id:number, costId:number, op:string, at:string, diff:Record<string,{before:any,after:any}>}>>}
+   */
+  async getHistory(costId) {
+    const db = await this.db_();
+    return new Promise((resolve, reject) => {
+      const idx = db.transaction(this.historyStore, 'readonly').objectStore(this.historyStore).index('costId');
+      const r = idx.getAll(IDBKeyRange.only(costId));
+      r.onsuccess = () => resolve(r.result.sort((a, b) => b.id - a.id));
+      r.onerror = () => reject(r.error);
+    });
+  }
+
+  /**
+   * Restore a cost to the version right after a given history entry,
+   * by undoing every later entry (newest first). Logged as a 'revert' entry.
+   *
+   * @param {number} costId
+   * @param {number} historyId - Entry whose resulting version should be restored
+   * @returns {Promise<void>}
+   */
+  async revertCost(costId, historyId) {
+    const db = await this.db_();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([this.storeName, this.historyStore], 'readwrite');
+      const store = tx.objectStore(this.storeName);
+      const getReq = store.get(costId);
+      const histReq = tx.objectStore(this.historyStore).index('costId').getAll(IDBKeyRange.only(costId));
+
+      histReq.onsuccess = () => {
+        const cur = getReq.result;
+        if (!cur) return reject(new Error('Expense not found'));
+        const entries = histReq.result;
+        if (!entries.some((h) => h.id === historyId)) return reject(new Error('History entry not found'));
+
+        const out = { ...cur };
+        entries
+          .filter((h) => h.id > historyId)
+          .sort((a, b) => b.id - a.id)
+          .forEach((h) => {
+            for (const [field, change] of Object.entries(h.diff)) {
+              if (change.before === null) delete out[field]; else out[field] = change.before;
+            }
+          });
+
+        const putReq = store.put(out);
+        putReq.onsuccess = () => this.logChange_(tx, costId, 'revert', cur, out, { revertedTo: historyId });
+        putReq.onerror = () => reject(putReq.error);
+      };
+      histReq.onerror = () => reject(histReq.error);
+      tx.oncomplete = () => resolve();
+      tx.onerror = (e) => reject(e.target.error);
+      tx.onabort = () => reject(tx.error || new Error('Revert aborted'));
+    });
+  }
 }
@@ -0,0 +1,143 @@
+// src/idb_migrations.js
+// -----------------------------------------------------------------------------
+// Schema migrations for 'costsdb'
+// Responsibilities:
+//   • Describe the schema as an ordered list of versioned steps (v1 → v2 → …)
+//   • Run every pending step exactly once inside the 'versionchange' transaction
+// Notes:
+//   • Steps are append-only: never edit a released step, add a new one instead.
+//   • SCHEMA_VERSION is always the version of the last step.
+//   • A step that throws aborts the whole upgrade, so the DB stays on its old version.
+// -----------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version - Target schema version of this step
+ * @property {string} description - Short human-readable summary
+ * @property {(ctx:{db:IDBDatabase, tx:IDBTransaction, oldVersion:number}) => void} migrate
+ */
+
+/** @type {Array<Migration>} */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Create store 'costs' and index 'ym' (year, month)",
+    migrate: ({ db, tx }) => {
+      const store = db.objectStoreNames.contains('costs')
+        ? tx.objectStore('costs')
+        : db.createObjectStore('costs', { keyPath: 'id', autoIncrement: true });
+      if (!store.indexNames.contains('ym')) {
+        store.createIndex('ym', ['year', 'month'], { unique: false });
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Backfill year/month/day, Date.day and _ts on older records',
+    migrate: ({ tx }) => {
+      const curReq = tx.objectStore('costs').openCursor();
+      curReq.onsuccess = (ev) => {
+        const cur = ev.target.result;
+        if (!cur) return;
+        const v = cur.value;
+        let changed = false;
+        let d = v._ts ? new Date(v._ts) : null;
+        if (!d || Number.isNaN(d.getTime())) {
+          // Rebuild the timestamp from the stored calendar fields when possible.
+          d = (typeof v.year === 'number' && typeof v.month === 'number')
+            ? new Date(v.year, v.month - 1, typeof v.day === 'number' ? v.day : (v?.Date?.day || 1))
+            : new Date();
+          v._ts = d.toISOString();
+          changed = true;
+        }
+        if (typeof v.year !== 'number') { v.year = d.getFullYear(); changed = true; }
+        if (typeof v.month !== 'number') { v.month = d.getMonth() + 1; changed = true; }
+        if (typeof v.day !== 'number') { v.day = d.getDate(); changed = true; }
+        if (!v.Date || typeof v.Date.day !== 'number') { v.Date = { day: v.day }; changed = true; }
+        if (changed) cur.update(v);
+        cur.continue();
+      };
+    }
+  },
+  {
+    version: 3,
+    description: "Add index 'ts' on _ts for date-range queries",
+    migrate: ({ tx }) => {
+      const store = tx.objectStore('costs');
+      if (!store.indexNames.contains('ts')) {
+        store.createIndex('ts', '_ts', { unique: false });
+      }
+    }
+  },
+  {
+    version: 4,
+    description: "Add store 'recurring' and unique index 'recurrence' on costs",
+    migrate: ({ db, tx }) => {
+      if (!db.objectStoreNames.contains('recurring')) {
+        db.createObjectStore('recurring', { keyPath: 'id', autoIncrement: true });
+      }
+      // One cost per (definition, occurrence day); plain costs lack these fields and are not indexed.
+      const costs = tx.objectStore('costs');
+      if (!costs.indexNames.contains('recurrence')) {
+        costs.createIndex('recurrence', ['recurringId', 'occurrence'], { unique: true });
+      }
+    }
+  },
+  {
+    version: 5,
+    description: "Add store 'budgets' keyed by (category, period)",
+    migrate: ({ db }) => {
+      // period is 'YYYY-MM' for a single month or 'default' for every month.
+      if (!db.objectStoreNames.contains('budgets')) {
+        db.createObjectStore('budgets', { keyPath: ['category', 'period'] });
+      }
+    }
+  },
+  {
+    version: 6,
+    description: "Add store 'history' (per-cost change log) with index 'costId'",
+    migrate: ({ db }) => {
+      if (!db.objectStoreNames.contains('history')) {
+        const store = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+        store.createIndex('costId', 'costId', { unique: false });
+      }
+    }
+  }
+];
+
+/** Latest schema version known to this build. */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Select the steps needed to go from oldVersion to newVersion (exclusive → inclusive).
+ * Throws if the list is not strictly ascending, since order is the whole contract.
+ *
+ * @param {number} oldVersion
+ * @param {number} newVersion
+ * @param {Array<Migration>} [migrations]
+ * @returns {Array<Migration>}
+ */
+export function pendingMigrations(oldVersion, newVersion, migrations = MIGRATIONS) {
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version <= migrations[i - 1].version) {
+      throw new Error(`Migrations out of order at v${migrations[i].version}`);
+    }
+  }
+  return migrations.filter((m) => m.version > oldVersion && m.version <= newVersion);
+}
+
+/**
+ * Run pending steps in order. Must be called from 'onupgradeneeded'.
+ *
+ * @param {IDBDatabase} db
+ * @param {IDBTransaction} tx - The versionchange transaction
+ * @param {number} oldVersion
+ * @param {number} newVersion
+ * @param {Array<Migration>} [migrations]
+ * @returns {void}
+ */
+export function applyMigrations(db, tx, oldVersion, newVersion, migrations = MIGRATIONS) {
+  for (const m of pendingMigrations(oldVersion, newVersion, migrations)) {
+    m.migrate({ db, tx, oldVersion });
+  }
+}
@@ -0,0 +1,53 @@
+// src/services/budgets.js
+// -----------------------------------------------------------------------------
+// Budget helpers — spent-vs-budget per category
+// Responsibilities:
+//   • Convert budget limits into the display currency (services/money convert(), same as reports)
+//   • Compute progress ratios and over-budget flags per category
+//   • Tell whether one new expense pushed a category past its budget
+// Notes:
+//   • Budgets come from IDBWrapper.getBudgetsFor(year, month).
+//   • Pure functions; no DB or network access here.
+// -----------------------------------------------------------------------------
+
+import { convert } from './money';
+
+/**
+ * @typedef {Object} BudgetProgress
+ * @property {number} spent - Amount spent in the display currency
+ * @property {number} limit - Budget converted into the display currency
+ * @property {number} ratio - spent / limit (may exceed 1)
+ * @property {boolean} over - True when spent > limit
+ */
+
+/**
+ * Build spent-vs-budget progress for every budgeted category.
+ *
+ * @param {Record<string, number>} spentByCategory - Totals already in `currency`
+ * @param {Record<string, {amount:number, currency:string}>} budgets
+ * @param {string} currency - Display currency
+ * @param {Record<string, number>} rates - Units-per-USD rates
+ * @returns {Record<string, BudgetProgress>}
+ */
+export function budgetProgress(spentByCategory, budgets, currency, rates) {
+  const out = {};
+  for (const [category, b] of Object.entries(budgets || {})) {
+    const limit = convert(b.amount, b.currency, currency, rates);
+    const spent = Number(spentByCategory?.[category]) || 0;
+    out[category] = { spent, limit, ratio: limit > 0 ? spent / limit : 0, over: spent > limit };
+  }
+  return out;
+}
+
+/**
+ * True when spending went from within the limit (≤) to over it (>).
+ * A category that was already over before the expense does not cross again.
+ *
+ * @param {number} spentBefore - Total without the new expense
+ * @param {number} spentAfter - Total including the new expense
+ * @param {number} limit - Budget, in the same currency
+ * @returns {boolean}
+ */
+export function crossedBudget(spentBefore, spentAfter, limit) {
+  return spentBefore <= limit && spentAfter > limit;
+}
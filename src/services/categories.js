@@ -0,0 +1,37 @@
+// src/services/categories.js
+// -----------------------------------------------------------------------------
+// Category colors — one color per category, shared by every view
+// Responsibilities:
+//   • Map the built-in categories to their accent colors
+//   • Give any other category (e.g. from a CSV import) a stable color of its own
+// Notes:
+//   • Purely presentational; charts, reports and lists use the same colors so a
+//     category looks the same everywhere.
+// -----------------------------------------------------------------------------
+
+export const CATEGORY_COLORS = {
+  Food: '#4CAF50',
+  Transportation: '#2196F3',
+  Entertainment: '#FF9800',
+  Health: '#E91E63',
+  Education: '#9C27B0',
+  Utilities: '#00BCD4',
+  Car: '#795548',
+  Other: '#9E9E9E'
+};
+
+// Palette for categories without a fixed color.
+const EXTRA_COLORS = ['#3F51B5', '#CDDC39', '#FF5722', '#009688', '#673AB7', '#FFC107', '#607D8B', '#8BC34A'];
+
+/**
+ * Color of a category; unknown categories get a palette color derived from the name.
+ * @param {string} category
+ * @returns {string}
+ */
+export function categoryColor(category) {
+  const name = String(category || '');
+  if (CATEGORY_COLORS[name]) return CATEGORY_COLORS[name];
+  let hash = 0;
+  for (const ch of name) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return EXTRA_COLORS[hash % EXTRA_COLORS.length];
+}
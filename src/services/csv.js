@@ -0,0 +1,126 @@
+// src/services/csv.js
+// -----------------------------------------------------------------------------
+// CSV helpers (RFC 4180)
+// Responsibilities:
+//   • Parse CSV text into rows of string cells
+//   • Write rows as CSV text and hand it to the browser as a download
+// Notes:
+//   • Handles quoted fields, escaped quotes (""), embedded delimiters/newlines,
+//     CRLF or LF line endings and a leading UTF-8 BOM.
+//   • Delimiter is auto-detected (comma, semicolon, tab) unless given.
+//   • Written CSV uses CRLF line endings and quotes only the fields that need it.
+// -----------------------------------------------------------------------------
+
+const CANDIDATE_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guess the delimiter from the first line (quoted sections ignored).
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+  const firstLine = String(text).replace(/"[^"]*"/g, '').split(/\r?\n/, 1)[0] || '';
+  let best = ',';
+  let bestCount = 0;
+  for (const d of CANDIDATE_DELIMITERS) {
+    const count = firstLine.split(d).length - 1;
+    if (count > bestCount) { best = d; bestCount = count; }
+  }
+  return best;
+}
+
+/**
+ * Parse CSV text into an array of rows. Blank lines are skipped.
+ *
+ * @param {string} text
+ * @param {{delimiter?:string}} [options]
+ * @returns {Array<Array<string>>}
+ */
+export function parseCSV(text, options = {}) {
+  const src = String(text ?? '').replace(/^\uFEFF/, '');
+  const delim = options.delimiter || detectDelimiter(src);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === '') {
+      inQuotes = true;
+    } else if (ch === delim) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+  if (inQuotes) throw new Error('Unterminated quoted field');
+  if (cell !== '' || row.length) endRow();
+  return rows;
+}
+
+/**
+ * One CSV field: quoted (with inner quotes doubled) when it contains the delimiter,
+ * a quote, a line break or leading/trailing spaces.
+ *
+ * @param {*} value - null/undefined become an empty field
+ * @param {string} [delimiter=',']
+ * @returns {string}
+ */
+export function escapeCSVField(value, delimiter = ',') {
+  const text = value === null || value === undefined ? '' : String(value);
+  const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write rows as RFC 4180 CSV text.
+ * Numbers are written plainly (no grouping) with the chosen decimal separator.
+ *
+ * @param {Array<Array<*>>} rows
+ * @param {{delimiter?:string, decimal?:'.'|',', bom?:boolean}} [options]
+ * @returns {string}
+ */
+export function formatCSV(rows, options = {}) {
+  const delimiter = options.delimiter || ',';
+  const decimal = options.decimal || '.';
+  const field = (v) => escapeCSVField(
+    typeof v === 'number' && Number.isFinite(v) ? String(v).replace('.', decimal) : v,
+    delimiter
+  );
+  const text = (rows || []).map(row => row.map(field).join(delimiter)).join('\r\n');
+  return `${options.bom ? '\uFEFF' : ''}${text}\r\n`;
+}
+
+/**
+ * Offer CSV text as a file download (Blob + temporary <a>).
+ * @param {string} text
+ * @param {string} filename
+ */
+export function downloadCSV(text, filename) {
+  const blob = new Blob([text], { type: 'text/csv;charset=utf-8;' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,69 @@
+// src/services/csv_export.js
+// -----------------------------------------------------------------------------
+// CSV export rows — turn stored costs (and report figures) into CSV rows
+// Responsibilities:
+//   • One row per cost: ISO date, category, description, amount and currency as
+//     separate columns, plus the converted amount/currency for reports
+//   • An optional summary block (metric, value, currency) after a blank row
+//   • Delimiter / decimal separator / BOM choices offered in the export dialog
+// Notes:
+//   • Amounts are plain numbers; formatting (delimiter, decimal, quoting) is
+//     services/csv formatCSV's job.
+//   • The raw transaction columns (Date, Category, Description, Amount, Currency)
+//     are recognised by the CSV import, so exports can be imported again.
+//   • Pure functions; the components load the costs.
+// -----------------------------------------------------------------------------
+
+import { toDayString } from './recurrence';
+
+/** Delimiters offered for export. */
+export const CSV_DELIMITERS = { ',': 'Comma (,)', ';': 'Semicolon (;)', '\t': 'Tab' };
+
+/** Decimal separators offered for export (',' for locales like de-DE, with ';' as delimiter). */
+export const CSV_DECIMALS = { '.': 'Point (1234.5)', ',': 'Comma (1234,5)' };
+
+export const DEFAULT_EXPORT_OPTIONS = { delimiter: ',', decimal: '.', bom: false };
+
+/**
+ * Local day of a cost as 'YYYY-MM-DD' (from _ts, else its date field).
+ * @param {{_ts?:string, date?:string|Date}} cost
+ * @returns {string}
+ */
+export function costDay(cost) {
+  const d = new Date(cost?._ts || cost?.date);
+  return Number.isNaN(d.getTime()) ? '' : toDayString(d);
+}
+
+/**
+ * Header plus one row per cost.
+ * With `converted`, two columns hold the amount in the report currency
+ * (empty when it could not be converted).
+ *
+ * @param {Array<any>} costs
+ * @param {{currency:string, valueOf:(cost:any)=>number|null}} [converted]
+ * @returns {Array<Array<string|number>>}
+ */
+export function transactionRows(costs, converted) {
+  const header = ['Date', 'Category', 'Description', 'Amount', 'Currency'];
+  if (converted) header.push('Converted Amount', 'Converted Currency');
+  return [
+    header,
+    ...(costs || []).map((c) => {
+      const row = [costDay(c), c.category || '', c.description || '', Number(c.sum) || 0, String(c.currency || 'USD').toUpperCase()];
+      if (converted) {
+        const value = converted.valueOf(c);
+        row.push(value === null || value === undefined ? '' : value, converted.currency);
+      }
+      return row;
+    })
+  ];
+}
+
+/**
+ * Summary block: a blank separator row, a header, then [metric, value, currency] rows.
+ * @param {Array<[string, string|number, string?]>} entries
+ * @returns {Array<Array<string|number>>}
+ */
+export function summaryRows(entries) {
+  return [[], ['Metric', 'Value', 'Currency'], ...entries.map(([metric, value, currency = '']) => [metric, value, currency])];
+}
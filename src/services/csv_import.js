@@ -0,0 +1,153 @@
+// src/services/csv_import.js
+// -----------------------------------------------------------------------------
+// CSV import mapping — turn parsed CSV rows into cost objects
+// Responsibilities:
+//   • Guess which column holds sum/currency/category/description/date
+//   • Parse amounts, currencies and dates; collect per-row validation errors
+//     (including currencies the current rates cannot convert)
+//   • Build duplicate keys (same day, amount and description) for flagging
+// Notes:
+//   • Output costs use the shape accepted by IDBWrapper.addCosts (date as 'YYYY-MM-DD').
+//   • Pure functions; the component does the DB lookups.
+// -----------------------------------------------------------------------------
+
+import { toDayString } from './recurrence';
+import { isCurrencyCode, normalizeCurrency, rateOf } from './currencies';
+
+/** Target fields a CSV column can be mapped to. */
+export const IMPORT_FIELDS = ['sum', 'currency', 'category', 'description', 'date'];
+
+/** Date layouts offered in the import screen. */
+export const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+
+// Header names (lowercase) that suggest a field.
+const HEADER_HINTS = {
+  sum: ['sum', 'amount', 'price', 'total', 'cost', 'value'],
+  currency: ['currency', 'curr', 'ccy'],
+  category: ['category', 'type', 'group'],
+  description: ['description', 'desc', 'details', 'memo', 'note', 'item', 'name'],
+  date: ['date', 'day', 'when', 'time']
+};
+
+// Symbols and local names accepted in the currency column (ISO codes are accepted as-is).
+const CURRENCY_ALIASES = { $: 'USD', '₪': 'ILS', NIS: 'ILS', '£': 'GBP', '€': 'EUR', '¥': 'JPY' };
+
+/**
+ * Guess a column index per field from header names (-1 when unmapped).
+ * @param {Array<string>} headers
+ * @returns {Record<string, number>}
+ */
+export function guessMapping(headers) {
+  const lower = headers.map((h) => String(h).trim().toLowerCase());
+  const out = {};
+  for (const field of IMPORT_FIELDS) {
+    out[field] = lower.findIndex((h) => HEADER_HINTS[field].some((hint) => h === hint || h.startsWith(`${hint} `) || h.startsWith(`${hint}(`)));
+  }
+  return out;
+}
+
+/**
+ * Parse an amount such as "1,234.50", "1.234,50", "$12" or "12 ₪".
+ * The last '.' or ',' is the decimal separator when followed by 1–2 digits.
+ * @param {string} raw
+ * @returns {number} NaN when unparseable
+ */
+export function parseAmount(raw) {
+  let s = String(raw ?? '').replace(/[^\d.,-]/g, '');
+  if (!s) return NaN;
+  const lastSep = Math.max(s.lastIndexOf('.'), s.lastIndexOf(','));
+  if (lastSep >= 0 && /^\d{1,2}$/.test(s.slice(lastSep + 1))) {
+    s = `${s.slice(0, lastSep).replace(/[.,]/g, '')}.${s.slice(lastSep + 1)}`;
+  } else {
+    s = s.replace(/[.,]/g, '');
+  }
+  return s === '' || s === '-' ? NaN : Number(s);
+}
+
+/**
+ * Normalize a currency cell into a canonical ISO 4217 code ('' when unknown).
+ * @param {string} raw
+ * @returns {string}
+ */
+export function parseCurrency(raw) {
+  const s = String(raw ?? '').trim().toUpperCase();
+  const token = CURRENCY_ALIASES[s] || s;
+  return isCurrencyCode(token) ? normalizeCurrency(token) : '';
+}
+
+/**
+ * Parse a date cell in the given layout (ISO date-times are accepted for YYYY-MM-DD).
+ * @param {string} raw
+ * @param {string} format - One of DATE_FORMATS
+ * @returns {Date|null}
+ */
+export function parseImportDate(raw, format) {
+  const s = String(raw ?? '').trim();
+  let y, m, d;
+  if (format === 'YYYY-MM-DD') {
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(s);
+    if (!match) return null;
+    [, y, m, d] = match.map(Number);
+  } else {
+    const match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(s);
+    if (!match) return null;
+    const [, a, b, year] = match.map(Number);
+    [y, m, d] = format === 'DD/MM/YYYY' ? [year, b, a] : [year, a, b];
+  }
+  const date = new Date(y, m - 1, d);
+  // Reject roll-overs such as 31/02.
+  if (date.getFullYear() !== y || date.getMonth() !== m - 1 || date.getDate() !== d) return null;
+  return date;
+}
+
+/**
+ * Duplicate key: same calendar day, amount (to the cent) and description.
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {number} sum
+ * @param {string} description
+ * @returns {string}
+ */
+export function duplicateKey(day, sum, description) {
+  return `${day}|${Number(sum).toFixed(2)}|${String(description).trim().toLowerCase()}`;
+}
+
+/**
+ * Map data rows to costs and validate them.
+ * With `rates`, a currency they have no rate for is a row error: IDBWrapper refuses it,
+ * and reports could not convert it.
+ *
+ * @param {Array<Array<string>>} rows - Data rows (header excluded)
+ * @param {Record<string, number>} mapping - Column index per field (-1 = unmapped)
+ * @param {{dateFormat:string, defaultCurrency:string, defaultCategory:string, today?:Date,
+ *   rates?:Record<string, number>}} options
+ * @returns {Array<{line:number, cost:{sum:number,currency:string,category:string,description:string,date:string}, errors:Array<string>}>}
+ */
+export function mapRows(rows, mapping, options) {
+  const today = toDayString(options.today || new Date());
+  const cellOf = (row, field) => (mapping[field] >= 0 ? String(row[mapping[field]] ?? '').trim() : '');
+
+  return rows.map((row, i) => {
+    const errors = [];
+
+    const sum = parseAmount(cellOf(row, 'sum'));
+    if (!(sum > 0)) errors.push('sum must be a number > 0');
+
+    const rawCurrency = cellOf(row, 'currency');
+    const currency = rawCurrency ? parseCurrency(rawCurrency) : options.defaultCurrency;
+    if (!currency) errors.push(`unknown currency "${rawCurrency}"`);
+    else if (options.rates && !(rateOf(options.rates, currency) > 0)) errors.push(`no exchange rate for ${currency}`);
+
+    const category = cellOf(row, 'category') || options.defaultCategory;
+    if (!category) errors.push('category required');
+
+    const description = cellOf(row, 'description');
+    if (!description) errors.push('description required');
+
+    const parsedDate = parseImportDate(cellOf(row, 'date'), options.dateFormat);
+    const date = parsedDate ? toDayString(parsedDate) : '';
+    if (!parsedDate) errors.push(`date must match ${options.dateFormat}`);
+    else if (date > today) errors.push('date cannot be in the future');
+
+    return { line: i + 2, cost: { sum, currency, category, description, date }, errors };
+  });
+}
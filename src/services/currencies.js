@@ -0,0 +1,142 @@
+// src/services/currencies.js
+// -----------------------------------------------------------------------------
+// Currency registry — the single list of currencies the app knows about.
+// Responsibilities:
+//   • Describe each currency (code, symbol, decimals, display name)
+//   • Validate ISO 4217 codes and resolve aliases (EURO → EUR)
+//   • Normalize rates feeds and list the currencies a feed can convert
+// Notes:
+//   • Codes not listed in BUILTIN are described through Intl (symbol, decimals, name).
+//   • 'EURO' is the original spec token; it stays accepted everywhere and is
+//     treated as EUR (stored costs keep whatever token they were saved with).
+// -----------------------------------------------------------------------------
+
+// Hand-described currencies; the others are listed right after the core four when a feed has them.
+const BUILTIN = [
+  { code: 'USD', symbol: '$', decimals: 2, name: 'US Dollar' },
+  { code: 'ILS', symbol: '₪', decimals: 2, name: 'Israeli New Shekel' },
+  { code: 'GBP', symbol: '£', decimals: 2, name: 'British Pound' },
+  { code: 'EUR', symbol: '€', decimals: 2, name: 'Euro' },
+  { code: 'JPY', symbol: '¥', decimals: 0, name: 'Japanese Yen' },
+  { code: 'CHF', symbol: 'CHF', decimals: 2, name: 'Swiss Franc' },
+  { code: 'CAD', symbol: 'CA$', decimals: 2, name: 'Canadian Dollar' },
+  { code: 'AUD', symbol: 'A$', decimals: 2, name: 'Australian Dollar' }
+];
+
+// The original four tokens; always listed even if a feed omits them.
+export const CORE_CURRENCIES = ['USD', 'ILS', 'GBP', 'EUR'];
+
+// Non-ISO tokens accepted as input → canonical ISO code.
+const ALIASES = { EURO: 'EUR' };
+
+const byCode = new Map(BUILTIN.map((c) => [c.code, c]));
+
+// ISO 4217 codes known to the runtime (null when Intl cannot list them).
+const ISO_CODES = typeof Intl.supportedValuesOf === 'function'
+  ? new Set(Intl.supportedValuesOf('currency'))
+  : null;
+
+/**
+ * Canonical upper-case code for a token ('euro' → 'EUR'); '' for empty input.
+ * Does not check that the code exists — see isCurrencyCode.
+ * @param {string} code
+ * @returns {string}
+ */
+export function normalizeCurrency(code) {
+  const c = String(code ?? '').trim().toUpperCase();
+  return ALIASES[c] || c;
+}
+
+/**
+ * Whether a token is a known ISO 4217 code (or an alias of one).
+ * @param {string} code
+ * @returns {boolean}
+ */
+export function isCurrencyCode(code) {
+  const c = normalizeCurrency(code);
+  if (byCode.has(c)) return true;
+  if (ISO_CODES) return ISO_CODES.has(c);
+  return /^[A-Z]{3}$/.test(c);
+}
+
+/**
+ * Registry entry for a currency; unknown-to-the-registry ISO codes are described via Intl.
+ * @param {string} code
+ * @returns {{code:string, symbol:string, decimals:number, name:string}}
+ */
+export function getCurrency(code) {
+  const c = normalizeCurrency(code) || 'USD';
+  if (byCode.has(c)) return byCode.get(c);
+  try {
+    const fmt = new Intl.NumberFormat('en', { style: 'currency', currency: c, currencyDisplay: 'narrowSymbol' });
+    const symbol = fmt.formatToParts(1).find((p) => p.type === 'currency')?.value || c;
+    const names = typeof Intl.DisplayNames === 'function' ? new Intl.DisplayNames(['en'], { type: 'currency' }) : null;
+    const entry = { code: c, symbol, decimals: fmt.resolvedOptions().maximumFractionDigits, name: names?.of(c) || c };
+    byCode.set(c, entry);
+    return entry;
+  } catch {
+    return { code: c, symbol: '', decimals: 2, name: c };
+  }
+}
+
+/**
+ * Display symbol for a currency token ('' when unknown).
+ * @param {string} code
+ * @returns {string}
+ */
+export function currencySymbol(code) {
+  return getCurrency(code).symbol;
+}
+
+/**
+ * Selector label, e.g. "JPY — Japanese Yen".
+ * @param {string} code
+ * @returns {string}
+ */
+export function currencyLabel(code) {
+  const { code: c, name } = getCurrency(code);
+  return name && name !== c ? `${c} — ${name}` : c;
+}
+
+/**
+ * Rates keyed by canonical code, keeping alias keys too ({ EURO } → { EUR, EURO }),
+ * so lookups work with either token. Non-currency keys are dropped.
+ * @param {Record<string, number>} rates
+ * @returns {Record<string, number>}
+ */
+export function normalizeRates(rates) {
+  const out = {};
+  for (const [k, v] of Object.entries(rates || {})) {
+    if (isCurrencyCode(k)) out[normalizeCurrency(k)] = v;
+  }
+  for (const [alias, code] of Object.entries(ALIASES)) {
+    if (out[code] !== undefined) out[alias] = out[code];
+  }
+  return out;
+}
+
+/**
+ * Rate for a currency token in a rates map (alias-aware); undefined when missing.
+ * @param {Record<string, number>} rates
+ * @param {string} code
+ * @returns {number|undefined}
+ */
+export function rateOf(rates, code) {
+  const c = normalizeCurrency(code);
+  if (rates?.[c] !== undefined) return rates[c];
+  const alias = Object.keys(ALIASES).find((a) => ALIASES[a] === c);
+  return alias ? rates?.[alias] : undefined;
+}
+
+/**
+ * Currencies a selector should offer: the core four, then the other builtins
+ * and finally every other ISO code the rates feed provides (alphabetically).
+ * @param {Record<string, number>} [rates]
+ * @returns {Array<string>}
+ */
+export function listCurrencies(rates) {
+  const fromFeed = Object.keys(normalizeRates(rates)).filter((c) => !ALIASES[c]);
+  const builtins = BUILTIN.map((c) => c.code).filter((c) => CORE_CURRENCIES.includes(c) || fromFeed.includes(c));
+  const extra = fromFeed.filter((c) => !BUILTIN.some((b) => b.code === c)).sort();
+  return [...new Set([...CORE_CURRENCIES, ...builtins, ...extra])];
+}
@@ -1,104 +1,367 @@
 // src/services/currencyService.js
 // -----------------------------------------------------------------------------
-// Currency service — fetch & convert
+// Currency service — fetch & pick exchange rates
 // Responsibilities:
-//   • Load exchange rates JSON (units-per-USD) from a configurable URL
-//   • Provide a pure conversion helper that uses those rates
-// Fallback order (robustness):
-//   settings URL -> /rates.json (same-origin) -> external gist -> hard-coded defaults
+//   • Load exchange rates from a configurable URL in the format chosen in Settings
+//     (services/rate_providers turns it into units-per-USD)
+//   • Cache the last good rates in localStorage (TTL from settings) and share in-flight fetches
+//   • Apply the manual rate overrides pinned in Settings on top of whatever was loaded
+//   • Report provenance: which source served the rates, at what fallback level, and why
+//     the sources before it failed; test a URL without saving or caching anything
+//   • Record each distinct fetched snapshot in the rate history (services/rate_history)
+//   • Pick the rates for a stored cost: its transaction-time snapshot, the rates on its
+//     date (from the history) or today's rates
+// Fallback order (robustness), limited by the fetch policy in Settings:
+//   fresh cache -> settings URL -> /rates.json (same-origin) -> external fallback URL
+//   -> last good (stale) cache -> hard-coded defaults
+//   ('same-origin' never contacts another host; 'configured' tries the settings URL only)
+//   then: manual overrides (effective today) replace individual rates
 // Notes:
-//   • Rates shape per spec: { USD:1, GBP:1.8, EURO:0.7, ILS:3.4 }
-//   • No mutations of inputs; convert() is pure.
+//   • Rates shape per spec: { USD:1, GBP:1.8, EURO:0.7, ILS:3.4 }; any other ISO 4217
+//     code in the feed is kept too (see services/currencies for the registry)
+//   • Converting amounts with these rates is services/money's job (convert()).
 // -----------------------------------------------------------------------------
 
-import { getExchangeRatesUrl } from './settings';
+import {
+  getExchangeRatesUrl, getRatesProvider, getRatesTtlMinutes, getRateOverrides,
+  getRatesFetchPolicy, getFallbackRatesUrl
+} from './settings';
+import { readRates, DEFAULT_PROVIDER } from './rate_providers';
+import { recordRatesSnapshot } from './rate_history';
+import { isCurrencyCode, normalizeCurrency, normalizeRates } from './currencies';
 
 const DEFAULT_RATES_URL =
   '/rates.json'; // Same-origin default (avoids CORS in dev and prod)
 
-const EXTERNAL_RATES_URL =
-  'https://gist.githubusercontent.com/ShirlyAvrahamoff/31522888d5fb081ad27734650d888959/raw/e9960bb7be1ca27bcc8982893346ce306da0cd9f/rates.json';
+// Hard-coded defaults (spec examples), used only when no rates were ever fetched.
+export const DEFAULT_RATES = normalizeRates({ USD: 1, GBP: 1.8, EURO: 0.7, ILS: 3.4 });
+
+// Last good rates: { rates, fetchedAt (ISO), url, provider and policy (configured at fetch time),
+//   sourceUrl and fallbackLevel (where they actually came from) }
+const CACHE_KEY = 'exchangeRatesCache';
+
+// How long rates from a fallback source (not the configured URL) are reused before retrying.
+const FALLBACK_RETRY_MS = 60 * 1000;
+
+// Shared promise while a network fetch is running (de-duplicates concurrent callers).
+let inFlight = null;
+// True when the last lookup had to fall back to DEFAULT_RATES.
+let usingDefaults = false;
+// Provenance of the last lookup (see fetchRatesDetailed).
+let lastProvenance = null;
 
 /**
- * Fetch exchange rates JSON from the configured URL.
- * Expected shape: { USD: 1, GBP: 1.8, EURO: 0.7, ILS: 3.4 }
- * Values are "units per 1 USD".
- * Robust fallback chain handled internally.
- *
- * @returns {Promise<Record<'USD'|'GBP'|'EURO'|'ILS', number>>}
+ * Where rates came from, by fallback level:
+ *   0 — the configured URL, 1 — same-origin /rates.json, 2 — external fallback URL, 3 — built-in defaults
  */
-export async function fetchExchangeRates() {
+export const FALLBACK_LEVELS = ['configured URL', 'same-origin /rates.json', 'external fallback URL', 'built-in defaults'];
+
+// Whether a (possibly relative) URL points at the page's own origin.
+function isSameOrigin(u) {
+  try {
+    return new URL(u, window.location.href).origin === window.location.origin;
+  } catch {
+    return false;
+  }
+}
+
+// Reason the fetch policy forbids contacting a URL, or '' when allowed.
+function blockedByPolicy(u, policy = getRatesFetchPolicy()) {
+  return policy === 'same-origin' && !isSameOrigin(u) ? 'Skipped: not same-origin (fetch policy)' : '';
+}
+
+function readCache() {
+  try {
+    const c = JSON.parse(localStorage.getItem(CACHE_KEY));
+    validateRatesShape(c?.rates);
+    return Number.isNaN(Date.parse(c.fetchedAt)) ? null : c;
+  } catch {
+    return null;
+  }
+}
+
+function configuredUrl() {
   let url = getExchangeRatesUrl();
   // Normalize accidentally saved quotes around the URL, if any
   if (typeof url === 'string') {
     url = url.replace(/^"(.*)"$/, '$1').replace(/^'(.*)'$/, '$1').trim();
   }
-  if (!url) url = DEFAULT_RATES_URL;
-
-  // Helper: fetch and validate (throws on invalid shape)
-  const tryFetch = async (u) => {
-    const res = await fetch(u, { method: 'GET', cache: 'no-store' });
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const data = await res.json();
-    validateRatesShape(data);
-    return data;
-  };
+  return url || DEFAULT_RATES_URL;
+}
 
-  // Try: current URL -> local -> external gist -> hard-coded defaults
-  try {
-    return await tryFetch(url);
-  } catch (e1) {
-    // Local fallback
-    if (url !== DEFAULT_RATES_URL) {
-      try {
-        return await tryFetch(DEFAULT_RATES_URL);
-      } catch { /* swallow and continue */ }
+// Cached rates are fresh while younger than the TTL and fetched from the current URL/provider
+// under the current fetch policy, from a source that policy still allows (entries written
+// before the policy existed count as 'chain').
+// Rates a fallback source served stay fresh for FALLBACK_RETRY_MS at most, so the configured
+// URL is tried again soon instead of once per TTL.
+function isFresh(cache, url = configuredUrl(), provider = getRatesProvider(), policy = getRatesFetchPolicy()) {
+  const age = Date.now() - Date.parse(cache.fetchedAt);
+  const ttl = getRatesTtlMinutes() * 60 * 1000;
+  const maxAge = (cache.fallbackLevel ?? 0) === 0 ? ttl : Math.min(ttl, FALLBACK_RETRY_MS);
+  return cache.url === url && (cache.provider || DEFAULT_PROVIDER) === provider
+    && (cache.policy || 'chain') === policy && !blockedByPolicy(cache.sourceUrl || cache.url, policy)
+    && age >= 0 && age < maxAge;
+}
+
+/**
+ * Fetch exchange rates from the configured URL, parsed with the configured provider.
+ * Default (flat) shape: { USD: 1, GBP: 1.8, EURO: 0.7, ILS: 3.4, ...any ISO 4217 code };
+ * nested {base, rates} and ECB XML feeds are rebased onto USD (see rate_providers).
+ * Values are "units per 1 USD". The result is keyed by canonical codes plus
+ * aliases (EUR and EURO), see normalizeRates.
+ * Robust fallback chain handled internally.
+ *
+ * Fetched rates are kept in localStorage with a timestamp and reused until the
+ * TTL from settings runs out. When every source fails, the last good rates are
+ * used (even if stale); DEFAULT_RATES only when nothing was ever fetched.
+ * Manual overrides from Settings are applied last (the cache keeps the feed's rates).
+ *
+ * @param {{force?:boolean, overrides?:boolean}} [options] - force: skip the cache and hit
+ *   the network; overrides: false returns the feed's rates without the manual overrides
+ * @returns {Promise<Record<string, number>>}
+ */
+export async function fetchExchangeRates(options = {}) {
+  return (await fetchRatesDetailed(options)).rates;
+}
+
+/**
+ * @typedef {Object} RatesProvenance
+ * @property {string|null} url - Where the rates came from (null for the built-in defaults)
+ * @property {number} fallbackLevel - Index into FALLBACK_LEVELS
+ * @property {string|null} fetchedAt - ISO time the rates were fetched (null for defaults)
+ * @property {boolean} fromCache - Served from the localStorage cache
+ * @property {boolean} stale - Cached rates used past their TTL because every source failed
+ * @property {Array<{url:string, error:string}>} errors - Why each source tried before failed
+ *   (network, HTTP status, parse or validation error)
+ */
+
+/**
+ * Same as fetchExchangeRates, plus where the rates came from.
+ *
+ * @param {{force?:boolean, overrides?:boolean}} [options] - See fetchExchangeRates
+ * @returns {Promise<{rates: Record<string, number>, provenance: RatesProvenance}>}
+ */
+export async function fetchRatesDetailed(options = {}) {
+  const { rates, provenance } = await loadRates(options);
+  lastProvenance = provenance;
+  return { rates: options.overrides === false ? rates : applyRateOverrides(rates), provenance };
+}
+
+/**
+ * Provenance of the rates returned by the last fetch (null before the first one).
+ * @returns {RatesProvenance|null}
+ */
+export function getRatesProvenance() {
+  return lastProvenance;
+}
+
+// Provenance for rates served from the cache entry.
+const cachedProvenance = (cache, stale, errors = []) => ({
+  url: cache.sourceUrl || cache.url,
+  fallbackLevel: cache.fallbackLevel ?? 0,
+  fetchedAt: cache.fetchedAt,
+  fromCache: true,
+  stale,
+  errors
+});
+
+async function loadRates(options) {
+  const url = configuredUrl();
+  const provider = getRatesProvider();
+  const policy = getRatesFetchPolicy();
+  const cache = readCache();
+  if (!options.force && cache && isFresh(cache, url, provider, policy)) {
+    usingDefaults = false;
+    return { rates: cache.rates, provenance: cachedProvenance(cache, false) };
+  }
+  if (!inFlight) {
+    inFlight = fetchFromNetwork(url, provider).finally(() => { inFlight = null; });
+  }
+  return inFlight;
+}
+
+// Fetch one source, parse it with the provider and validate (throws with the reason).
+async function fetchSource(u, p) {
+  const res = await fetch(u, { method: 'GET', cache: 'no-store' });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const data = await readRates(res, p);
+  validateRatesShape(data);
+  return normalizeRates(data);
+}
+
+async function fetchFromNetwork(url, provider) {
+  // Try: current URL (configured format) -> local -> external fallback (both flat), per policy
+  const policy = getRatesFetchPolicy();
+  const external = policy === 'chain' ? getFallbackRatesUrl() : '';
+  const sources = [[url, provider, 0], [DEFAULT_RATES_URL, DEFAULT_PROVIDER, 1], [external, DEFAULT_PROVIDER, 2]]
+    .filter(([u], i) => i === 0 || (u && u !== url && policy !== 'configured'));
+  const errors = [];
+  for (const [u, p, level] of sources) {
+    const blocked = blockedByPolicy(u, policy);
+    if (blocked) {
+      errors.push({ url: u, error: blocked });
+      continue;
     }
-    // External gist fallback
     try {
-      return await tryFetch(EXTERNAL_RATES_URL);
-    } catch { /* swallow and continue */ }
-    // Final fallback: hard-coded defaults (spec examples)
-    return { USD: 1, GBP: 1.8, EURO: 0.7, ILS: 3.4 };
+      const rates = await fetchSource(u, p);
+      const fetchedAt = new Date().toISOString();
+      localStorage.setItem(CACHE_KEY, JSON.stringify({ rates, fetchedAt, url, provider, policy, sourceUrl: u, fallbackLevel: level }));
+      // Best effort: the history is a convenience, never a reason to fail a fetch.
+      if (typeof indexedDB !== 'undefined') recordRatesSnapshot(rates).catch(() => {});
+      usingDefaults = false;
+      return { rates, provenance: { url: u, fallbackLevel: level, fetchedAt, fromCache: false, stale: false, errors } };
+    } catch (e) {
+      errors.push({ url: u, error: e?.message || String(e) });
+    }
+  }
+
+  // Offline / all sources failed: last good rates, then hard-coded defaults
+  const cache = readCache();
+  usingDefaults = !cache;
+  if (cache) return { rates: cache.rates, provenance: cachedProvenance(cache, true, errors) };
+  return {
+    rates: DEFAULT_RATES,
+    provenance: { url: null, fallbackLevel: 3, fetchedAt: null, fromCache: false, stale: false, errors }
+  };
+}
+
+/**
+ * Fetch a single URL with a provider, without fallbacks, caching or history.
+ * For "Test" in Settings: either the parsed rates or the exact failure reason.
+ * The fetch policy still applies ('same-origin' will not test another host).
+ *
+ * @param {string} url
+ * @param {string} [provider] - Provider id (defaults to the configured one)
+ * @returns {Promise<{ok:true, rates:Record<string, number>}|{ok:false, error:string}>}
+ */
+export async function testRatesUrl(url, provider = getRatesProvider()) {
+  const u = String(url || '').trim();
+  const blocked = blockedByPolicy(u);
+  if (blocked) return { ok: false, error: blocked };
+  try {
+    return { ok: true, rates: await fetchSource(u, provider) };
+  } catch (e) {
+    return { ok: false, error: e?.message || String(e) };
   }
 }
 
 /**
- * Convert an amount between currencies using "units per USD" rates.
- * Model:
- *   amountInUSD = amount / rates[from]
- *   amountInTo  = amountInUSD * rates[to]
+ * Overrides in effect on a day: per currency, the one with the latest effectiveFrom
+ * that is not after `on` (undated overrides always apply, but lose to dated ones).
  *
- * @param {number|string} amount - Input amount to convert
- * @param {'USD'|'GBP'|'EURO'|'ILS'} from - Source currency token
- * @param {'USD'|'GBP'|'EURO'|'ILS'} to - Target currency token
- * @param {Record<string, number>} rates - Rates map (units per USD)
- * @returns {number} Converted amount rounded to 2 decimals
+ * @param {Array<{currency:string, rate:number, effectiveFrom?:string}>} [overrides] - Defaults to Settings
+ * @param {Date} [on=new Date()]
+ * @returns {Record<string, {rate:number, effectiveFrom?:string}>} Keyed by canonical code
  */
-export function convert(amount, from, to, rates) {
-  const a = Number(amount) || 0;
-  const f = String(from || 'USD').toUpperCase();
-  const t = String(to || 'USD').toUpperCase();
-  const rf = rates?.[f];
-  const rt = rates?.[t];
-  if (!rf || !rt) return 0;
-  const inUSD = a / rf;
-  return Number((inUSD * rt).toFixed(2));
+export function activeRateOverrides(overrides = getRateOverrides(), on = new Date()) {
+  const day = `${on.getFullYear()}-${String(on.getMonth() + 1).padStart(2, '0')}-${String(on.getDate()).padStart(2, '0')}`;
+  const out = {};
+  for (const o of overrides) {
+    if (!(Number(o?.rate) > 0) || !o.currency) continue;
+    const from = o.effectiveFrom || '';
+    if (from > day) continue;
+    const code = normalizeCurrency(o.currency);
+    if (!out[code] || from >= (out[code].effectiveFrom || '')) out[code] = o;
+  }
+  return out;
 }
 
 /**
- * Validate that the rates object includes all required currency keys
- * and that each value is a valid number.
+ * Rates with the active manual overrides replacing the loaded values.
+ *
+ * @param {Record<string, number>} rates - Loaded rates (units per USD)
+ * @param {Array<{currency:string, rate:number, effectiveFrom?:string}>} [overrides] - Defaults to Settings
+ * @param {Date} [on=new Date()]
+ * @returns {Record<string, number>}
+ */
+export function applyRateOverrides(rates, overrides, on) {
+  const active = activeRateOverrides(overrides, on);
+  if (Object.keys(active).length === 0) return rates;
+  // Drop alias keys first so normalizeRates re-derives them from the overridden values.
+  const base = Object.fromEntries(Object.entries(normalizeRates(rates)).filter(([k]) => k === normalizeCurrency(k)));
+  for (const [code, o] of Object.entries(active)) base[code] = o.rate;
+  return normalizeRates(base);
+}
+
+/**
+ * Where the rates returned by the last fetchExchangeRates() came from.
+ *   'fresh'   — fetched within the TTL
+ *   'stale'   — last good rates, older than the TTL (refresh failed or pending)
+ *   'default' — hard-coded DEFAULT_RATES (nothing fetched yet)
+ *
+ * @returns {{state:'fresh'|'stale'|'default', fetchedAt:string|null}}
+ */
+export function getRatesStatus() {
+  const cache = readCache();
+  if (usingDefaults || !cache) return { state: 'default', fetchedAt: null };
+  return { state: isFresh(cache) ? 'fresh' : 'stale', fetchedAt: cache.fetchedAt };
+}
+
+/**
+ * Forget the cached rates (the next fetch goes to the network).
+ * @returns {void}
+ */
+export function clearRatesCache() {
+  localStorage.removeItem(CACHE_KEY);
+  usingDefaults = false;
+}
+
+/**
+ * Report conversion modes:
+ *   'transaction' — each cost at the rates snapshotted when it was added
+ *   'dated'       — each cost at the rates in effect on its date (rate history + overrides)
+ *   'current'     — every cost at today's rates
+ */
+export const RATE_MODES = ['transaction', 'dated', 'current'];
+
+/** Selector/summary labels of RATE_MODES. */
+export const RATE_MODE_LABELS = { transaction: 'Transaction-time rate', dated: 'Rate on expense date', current: 'Current rate' };
+
+// The day a stored cost is dated (internal year/month/day, else its timestamp).
+function costDate(cost) {
+  if (typeof cost.year === 'number' && typeof cost.month === 'number') {
+    return new Date(cost.year, cost.month - 1, cost.day || cost?.Date?.day || 1);
+  }
+  return cost._ts ? new Date(cost._ts) : new Date();
+}
+
+/**
+ * Rates to convert one stored cost with.
+ * In 'transaction' mode the cost's own snapshot (cost.rates) wins; currencies missing
+ * from the snapshot, and costs saved before snapshots existed, use today's rates.
+ * In 'dated' mode the history's rates on the cost's date win (with the overrides effective
+ * that day); before the first recorded snapshot it behaves like 'transaction'.
+ *
+ * @param {{rates?: Record<string, number>}} cost - Stored cost record
+ * @param {Record<string, number>} currentRates - Today's rates (units per USD)
+ * @param {'transaction'|'dated'|'current'} [mode='current']
+ * @param {(date:Date) => Record<string, number>|null} [ratesOn] - Lookup for 'dated'
+ *   mode, see getRatesLookup in services/rate_history
+ * @returns {Record<string, number>}
+ */
+export function ratesForCost(cost, currentRates, mode = 'current', ratesOn) {
+  if (mode === 'dated' && cost && ratesOn) {
+    const day = costDate(cost);
+    const historical = ratesOn(day);
+    if (historical) return { ...currentRates, ...applyRateOverrides(normalizeRates(historical), undefined, day) };
+  }
+  if (mode === 'current' || !cost?.rates) return currentRates;
+  return { ...currentRates, ...normalizeRates(cost.rates) };
+}
+
+/**
+ * Validate that the rates object has the USD base and that every
+ * currency-code key maps to a valid positive number.
  *
  * @param {unknown} r - Candidate rates object
- * @throws {Error} When a key is missing or an invalid value is detected
+ * @throws {Error} When USD is missing or an invalid value is detected
  * @returns {void}
  */
 function validateRatesShape(r) {
-  const required = ['USD', 'GBP', 'EURO', 'ILS'];
-  for (const k of required) {
-    if (typeof r?.[k] !== 'number' || Number.isNaN(r[k])) {
-      throw new Error(`Invalid rates shape: missing/invalid ${k}`);
-    }
+  if (typeof r !== 'object' || r === null) throw new Error('Invalid rates shape: not an object');
+  const valid = (v) => typeof v === 'number' && !Number.isNaN(v) && v > 0;
+  if (!valid(r.USD)) throw new Error('Invalid rates shape: missing/invalid USD');
+  for (const [k, v] of Object.entries(r)) {
+    if (isCurrencyCode(k) && !valid(v)) throw new Error(`Invalid rates shape: missing/invalid ${k}`);
   }
 }
@@ -0,0 +1,114 @@
+// src/services/ledgers.js
+// Named ledgers (e.g. "Personal", "Household"), each backed by its own IndexedDB database.
+// The list and the active ledger live in localStorage; the original 'costsdb' is the default ledger.
+import IDBWrapper from '../idb';
+
+const LEDGERS_KEY = 'ledgers';
+const ACTIVE_KEY = 'activeLedger';
+const DEFAULT_LEDGER = { id: 'default', name: 'Personal', dbName: 'costsdb' };
+
+// One wrapper per database, shared by every view.
+const wrappers = new Map();
+
+/**
+ * All ledgers, in creation order (never empty).
+ * @returns {Array<{id:string, name:string, dbName:string}>}
+ */
+export function getLedgers() {
+    try {
+        const list = JSON.parse(localStorage.getItem(LEDGERS_KEY));
+        if (Array.isArray(list) && list.length && list.every(l => l && l.id && l.name && l.dbName)) return list;
+    } catch {
+        // fall through to the default ledger
+    }
+    return [DEFAULT_LEDGER];
+}
+
+function saveLedgers(list) {
+    localStorage.setItem(LEDGERS_KEY, JSON.stringify(list));
+}
+
+function validateName(name, list, exceptId) {
+    const n = typeof name === 'string' ? name.trim() : '';
+    if (!n) throw new Error('Ledger name is required');
+    if (list.some(l => l.id !== exceptId && l.name.toLowerCase() === n.toLowerCase())) {
+        throw new Error(`A ledger named "${n}" already exists`);
+    }
+    return n;
+}
+
+/**
+ * The ledger every view reads and writes (falls back to the first ledger).
+ * @returns {{id:string, name:string, dbName:string}}
+ */
+export function getActiveLedger() {
+    const list = getLedgers();
+    return list.find(l => l.id === localStorage.getItem(ACTIVE_KEY)) || list[0];
+}
+
+export function setActiveLedger(id) {
+    if (!getLedgers().some(l => l.id === id)) throw new Error('Ledger not found');
+    localStorage.setItem(ACTIVE_KEY, id);
+}
+
+/**
+ * Create a ledger with its own (empty) database.
+ * @param {string} name
+ * @returns {{id:string, name:string, dbName:string}}
+ */
+export function createLedger(name) {
+    const list = getLedgers();
+    const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    const ledger = { id, name: validateName(name, list), dbName: `costsdb-${id}` };
+    saveLedgers([...list, ledger]);
+    return ledger;
+}
+
+/**
+ * Rename a ledger; its database name never changes.
+ * @param {string} id
+ * @param {string} name
+ * @returns {void}
+ */
+export function renameLedger(id, name) {
+    const list = getLedgers();
+    if (!list.some(l => l.id === id)) throw new Error('Ledger not found');
+    const n = validateName(name, list, id);
+    saveLedgers(list.map(l => (l.id === id ? { ...l, name: n } : l)));
+}
+
+/**
+ * Delete a ledger and its database. The last remaining ledger cannot be deleted;
+ * deleting the active ledger activates the first remaining one.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteLedger(id) {
+    const list = getLedgers();
+    const ledger = list.find(l => l.id === id);
+    if (!ledger) throw new Error('Ledger not found');
+    if (list.length === 1) throw new Error('Cannot delete the last ledger');
+
+    const wasActive = getActiveLedger().id === id;
+    const rest = list.filter(l => l.id !== id);
+    saveLedgers(rest);
+    if (wasActive) localStorage.setItem(ACTIVE_KEY, rest[0].id);
+    wrappers.delete(ledger.dbName);
+
+    // Open connections close themselves on 'versionchange' (see IDBWrapper.initDB).
+    await new Promise((resolve, reject) => {
+        const req = indexedDB.deleteDatabase(ledger.dbName);
+        req.onsuccess = () => resolve();
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/**
+ * Database wrapper for the active ledger.
+ * @returns {IDBWrapper}
+ */
+export function getActiveDb() {
+    const { dbName } = getActiveLedger();
+    if (!wrappers.has(dbName)) wrappers.set(dbName, new IDBWrapper(dbName, 1));
+    return wrappers.get(dbName);
+}
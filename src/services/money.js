@@ -0,0 +1,154 @@
+// src/services/money.js
+// -----------------------------------------------------------------------------
+// Money — the one place amounts are rounded, converted and added up.
+// Responsibilities:
+//   • Represent amounts as integer minor units (cents; yen have none) per the registry
+//   • Round with a configurable mode: 'half-up' (default) or 'half-even' (banker's)
+//   • Convert between currencies with "units per USD" rates, rounding each amount once
+//   • Add amounts exactly (in minor units) so totals never drift by a cent
+// Notes:
+//   • Unknown currencies (no rate) throw UnknownCurrencyError instead of guessing.
+//   • Reports, charts and budgets all go through convert() here, so a month's total
+//     is the same everywhere: the sum of the per-cost converted amounts.
+// -----------------------------------------------------------------------------
+
+import { getCurrency, normalizeCurrency, rateOf } from './currencies';
+import { getRoundingMode } from './settings';
+
+/** Supported rounding modes (ties only; everything else rounds to nearest). */
+export const ROUNDING_MODES = ['half-up', 'half-even'];
+
+/**
+ * Thrown when an amount is converted from/to a currency the rates do not cover.
+ */
+export class UnknownCurrencyError extends Error {
+  /**
+   * @param {string} currency - The offending currency token
+   */
+  constructor(currency) {
+    super(`Unknown currency "${currency}": no exchange rate available`);
+    this.name = 'UnknownCurrencyError';
+    this.currency = currency;
+  }
+}
+
+// Shift a number's decimal point by `places` without binary noise (1.005 → 100.5, not 100.49999…).
+function shift(n, places) {
+  const [mantissa, exp = '0'] = String(n).split('e');
+  return Number(`${mantissa}e${Number(exp) + places}`);
+}
+
+// Round to an integer; ties go away from zero ('half-up') or to the even neighbour ('half-even').
+function roundHalf(x, mode) {
+  const a = Math.abs(x);
+  const floor = Math.floor(a);
+  const diff = a - floor;
+  let n = floor;
+  if (diff > 0.5) n = floor + 1;
+  else if (diff === 0.5) n = mode === 'half-even' && floor % 2 === 0 ? floor : floor + 1;
+  return x < 0 ? -n : n;
+}
+
+function modeOf(rounding) {
+  const mode = rounding || getRoundingMode();
+  if (!ROUNDING_MODES.includes(mode)) throw new Error(`rounding must be one of ${ROUNDING_MODES.join('/')}`);
+  return mode;
+}
+
+/**
+ * Amount in integer minor units of a currency (12.345 USD → 1235 with 'half-up').
+ * @param {number|string} amount - Major units
+ * @param {string} currency
+ * @param {'half-up'|'half-even'} [rounding] - Defaults to the Settings choice
+ * @returns {number}
+ */
+export function toMinor(amount, currency, rounding) {
+  const a = Number(amount);
+  if (!Number.isFinite(a)) return 0;
+  // toPrecision(15) drops float noise from arithmetic (e.g. 0.1 * 3) before the shift.
+  return roundHalf(shift(Number(a.toPrecision(15)), getCurrency(currency).decimals), modeOf(rounding)) || 0;
+}
+
+/**
+ * Major-unit amount for integer minor units (1235 USD → 12.35).
+ * @param {number} minor
+ * @param {string} currency
+ * @returns {number}
+ */
+export function fromMinor(minor, currency) {
+  return shift(Math.trunc(Number(minor) || 0), -getCurrency(currency).decimals) || 0;
+}
+
+/**
+ * Round an amount to the currency's minor unit.
+ * @param {number|string} amount
+ * @param {string} currency
+ * @param {'half-up'|'half-even'} [rounding]
+ * @returns {number}
+ */
+export function roundMoney(amount, currency, rounding) {
+  return fromMinor(toMinor(amount, currency, rounding), currency);
+}
+
+/**
+ * Exact sum of amounts in one currency (each rounded to minor units first).
+ * @param {Array<number|string>} amounts
+ * @param {string} currency
+ * @param {'half-up'|'half-even'} [rounding]
+ * @returns {number}
+ */
+export function sumMoney(amounts, currency, rounding) {
+  const minor = (amounts || []).reduce((acc, a) => acc + toMinor(a, currency, rounding), 0);
+  return fromMinor(minor, currency);
+}
+
+/**
+ * Exact a + b in one currency.
+ * @param {number|string} a
+ * @param {number|string} b
+ * @param {string} currency
+ * @param {'half-up'|'half-even'} [rounding]
+ * @returns {number}
+ */
+export function addMoney(a, b, currency, rounding) {
+  return sumMoney([a, b], currency, rounding);
+}
+
+/**
+ * Signed display amount with a currency symbol, e.g. "+$12.50" / "-$3.00" (changes, FX gain/loss).
+ * @param {number} n
+ * @param {string} symbol
+ * @returns {string}
+ */
+export function signedAmount(n, symbol) {
+  return `${n < 0 ? '-' : '+'}${symbol}${Math.abs(n).toFixed(2)}`;
+}
+
+/**
+ * Convert an amount between currencies using "units per USD" rates.
+ * Model:
+ *   amountInUSD = amount / rates[from]
+ *   amountInTo  = amountInUSD * rates[to]
+ * The input is taken at `from`'s minor unit and the result is rounded once to `to`'s.
+ *
+ * @param {number|string} amount - Input amount to convert
+ * @param {string} from - Source currency code (aliases such as EURO accepted)
+ * @param {string} to - Target currency code
+ * @param {Record<string, number>} rates - Rates map (units per USD)
+ * @param {{rounding?:'half-up'|'half-even'}} [options] - rounding defaults to the Settings choice
+ * @returns {number} Converted amount in major units of `to`
+ * @throws {UnknownCurrencyError} When `from` or `to` has no rate
+ */
+export function convert(amount, from, to, rates, options = {}) {
+  const rounding = modeOf(options.rounding);
+  const f = normalizeCurrency(from || 'USD');
+  const t = normalizeCurrency(to || 'USD');
+  const input = fromMinor(toMinor(amount, f, rounding), f);
+  if (f === t) return input;
+
+  const rf = rateOf(rates, f);
+  const rt = rateOf(rates, t);
+  if (!(rf > 0)) throw new UnknownCurrencyError(from);
+  if (!(rt > 0)) throw new UnknownCurrencyError(to);
+  return roundMoney((input / rf) * rt, t, rounding);
+}
@@ -0,0 +1,154 @@
+// src/services/periods.js
+// -----------------------------------------------------------------------------
+// Date-range helpers for the range report and the spending calendar
+// Responsibilities:
+//   • Resolve named presets (last 7/30/90 days, this month/quarter/year) against "today"
+//   • Find the previous period of equal length, for comparison
+//   • Build per-category comparison rows (absolute and percentage change)
+//   • Total spending per day and bucket it into heatmap levels (calendar view)
+//   • The years the yearly chart and calendar offer in their year selectors
+// Notes:
+//   • Ranges are whole local days, both ends inclusive, as 'YYYY-MM-DD'
+//     (the same days IDBWrapper.getCostsInRange accepts).
+//   • Pure functions; no DB or network access here.
+// -----------------------------------------------------------------------------
+
+import { toDayString, parseDayString } from './recurrence';
+import { addMoney, sumMoney } from './money';
+
+/** Preset ids and labels for the range selector ('custom' = typed dates). */
+export const RANGE_PRESETS = {
+  last7: 'Last 7 days',
+  last30: 'Last 30 days',
+  last90: 'Last 90 days',
+  thisMonth: 'This month',
+  thisQuarter: 'This quarter',
+  thisYear: 'This year',
+  custom: 'Custom range'
+};
+
+// Same local day shifted by n days (DST-safe: built from calendar fields).
+const addDays = (d, n) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+
+/**
+ * Days of a preset, ending today (or at the end of the current month/quarter/year).
+ * @param {string} preset - A key of RANGE_PRESETS other than 'custom'
+ * @param {Date} [today=new Date()]
+ * @returns {{start:string, end:string}}
+ */
+export function presetRange(preset, today = new Date()) {
+  const y = today.getFullYear();
+  const m = today.getMonth();
+  switch (preset) {
+    case 'last7':
+    case 'last30':
+    case 'last90': {
+      const days = Number(preset.slice(4));
+      return { start: toDayString(addDays(today, 1 - days)), end: toDayString(today) };
+    }
+    case 'thisMonth':
+      return { start: toDayString(new Date(y, m, 1)), end: toDayString(new Date(y, m + 1, 0)) };
+    case 'thisQuarter': {
+      const q = Math.floor(m / 3) * 3;
+      return { start: toDayString(new Date(y, q, 1)), end: toDayString(new Date(y, q + 3, 0)) };
+    }
+    case 'thisYear':
+      return { start: `${y}-01-01`, end: `${y}-12-31` };
+    default:
+      throw new Error(`Unknown range preset: ${preset}`);
+  }
+}
+
+/**
+ * Years offered by the year selectors: two years back to next year.
+ * @param {Date} [today=new Date()]
+ * @returns {Array<number>}
+ */
+export function selectableYears(today = new Date()) {
+  const y = today.getFullYear();
+  return [y - 2, y - 1, y, y + 1];
+}
+
+/**
+ * Number of days in an inclusive range.
+ * @param {string} start
+ * @param {string} end
+ * @returns {number}
+ */
+export function rangeLength(start, end) {
+  const from = parseDayString(start);
+  const to = parseDayString(end);
+  if (!from || !to) throw new Error('start and end must be YYYY-MM-DD dates');
+  if (from > to) throw new Error('start must be on or before end');
+  return Math.round((Date.UTC(to.getFullYear(), to.getMonth(), to.getDate())
+    - Date.UTC(from.getFullYear(), from.getMonth(), from.getDate())) / 86400000) + 1;
+}
+
+/**
+ * The equally long period that ends the day before `start`.
+ * @param {string} start
+ * @param {string} end
+ * @returns {{start:string, end:string}}
+ */
+export function previousPeriod(start, end) {
+  const days = rangeLength(start, end);
+  const prevEnd = addDays(parseDayString(start), -1);
+  return { start: toDayString(addDays(prevEnd, 1 - days)), end: toDayString(prevEnd) };
+}
+
+/**
+ * @typedef {Object} CategoryChange
+ * @property {string} category
+ * @property {number} current - Total in this period
+ * @property {number} previous - Total in the previous period
+ * @property {number} change - current - previous
+ * @property {number|null} changePct - Percentage change; null when previous is 0
+ */
+
+/**
+ * Compare per-category totals (already in `currency`) of two periods.
+ * Categories from either period are listed, largest current total first.
+ *
+ * @param {Record<string, number>} current
+ * @param {Record<string, number>} previous
+ * @param {string} currency
+ * @returns {Array<CategoryChange>}
+ */
+export function compareByCategory(current, previous, currency) {
+  const categories = [...new Set([...Object.keys(current || {}), ...Object.keys(previous || {})])];
+  return categories
+    .map((category) => {
+      const cur = Number(current?.[category]) || 0;
+      const prev = Number(previous?.[category]) || 0;
+      const change = addMoney(cur, -prev, currency);
+      return { category, current: cur, previous: prev, change, changePct: prev ? (change / prev) * 100 : null };
+    })
+    .sort((a, b) => b.current - a.current || a.category.localeCompare(b.category));
+}
+
+/**
+ * Total per local day ('YYYY-MM-DD') of costs already converted into `currency`.
+ * @param {Array<{_ts:string, value:number}>} items
+ * @param {string} currency
+ * @returns {Record<string, number>}
+ */
+export function dailyTotals(items, currency) {
+  const byDay = {};
+  for (const item of items || []) {
+    const day = toDayString(new Date(item._ts));
+    (byDay[day] = byDay[day] || []).push(Number(item.value) || 0);
+  }
+  return Object.fromEntries(Object.entries(byDay).map(([day, values]) => [day, sumMoney(values, currency)]));
+}
+
+/**
+ * Heatmap bucket of a day's total: 0 = no spending, 1..levels-1 scaled linearly up to `max`.
+ * @param {number} value
+ * @param {number} max - Largest daily total in view
+ * @param {number} [levels=5]
+ * @returns {number}
+ */
+export function heatLevel(value, max, levels = 5) {
+  if (!(value > 0) || !(max > 0)) return 0;
+  return Math.min(levels - 1, Math.max(1, Math.ceil((value / max) * (levels - 1))));
+}
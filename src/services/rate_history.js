@@ -0,0 +1,174 @@
+// src/services/rate_history.js
+// -----------------------------------------------------------------------------
+// Rate history — every distinct exchange-rates snapshot, by day, in IndexedDB.
+// Responsibilities:
+//   • Record a snapshot after each successful feed fetch (skipped when unchanged)
+//   • List snapshots over a date range (rates chart)
+//   • Look up the rates in effect on a given day (reports at "rate on expense date")
+// Notes:
+//   • Lives in its own 'ratesdb' database, shared by every ledger; its schema goes
+//     through the same applyMigrations() runner as 'costsdb' (RATES_MIGRATIONS below).
+//   • Snapshots hold the feed's rates (units per USD) before manual overrides.
+// -----------------------------------------------------------------------------
+
+import { applyMigrations } from '../idb_migrations';
+import { normalizeCurrency } from './currencies';
+import { toDayString } from './recurrence';
+
+const DB_NAME = 'ratesdb';
+const STORE = 'snapshots';
+
+/** @type {Array<import('../idb_migrations').Migration>} */
+export const RATES_MIGRATIONS = [
+  {
+    version: 1,
+    description: "Create store 'snapshots' with index 'date' (YYYY-MM-DD)",
+    migrate: ({ db }) => {
+      if (!db.objectStoreNames.contains(STORE)) {
+        const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('date', 'date', { unique: false });
+      }
+    }
+  }
+];
+
+const RATES_SCHEMA_VERSION = RATES_MIGRATIONS[RATES_MIGRATIONS.length - 1].version;
+
+let dbPromise = null;
+
+// Open (and upgrade) 'ratesdb' once; reopened lazily after a versionchange/delete elsewhere.
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, RATES_SCHEMA_VERSION);
+      req.onupgradeneeded = (e) => {
+        const tx = e.target.transaction;
+        try {
+          applyMigrations(e.target.result, tx, e.oldVersion, e.newVersion, RATES_MIGRATIONS);
+        } catch (err) {
+          tx.abort();
+          reject(err);
+        }
+      };
+      req.onsuccess = (e) => {
+        const db = e.target.result;
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      req.onerror = (e) => {
+        dbPromise = null;
+        reject(e.target.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// Day key for a Date or 'YYYY-MM-DD' string.
+const dayOf = (d) => (typeof d === 'string' ? d.slice(0, 10) : toDayString(d));
+
+// Canonical comparison key: aliases folded, keys sorted.
+function ratesKey(rates) {
+  const out = {};
+  for (const [k, v] of Object.entries(rates || {})) out[normalizeCurrency(k)] = v;
+  return JSON.stringify(Object.keys(out).sort().map((k) => [k, out[k]]));
+}
+
+/**
+ * @typedef {Object} RatesSnapshot
+ * @property {number} id
+ * @property {string} date - Local day of the fetch, YYYY-MM-DD
+ * @property {string} fetchedAt - ISO timestamp
+ * @property {Record<string, number>} rates - Units per USD
+ */
+
+/**
+ * Store a snapshot unless it equals the most recent one.
+ * Compare-and-add runs in one transaction so concurrent fetches cannot double-record.
+ *
+ * @param {Record<string, number>} rates
+ * @param {Date} [fetchedAt=new Date()]
+ * @returns {Promise<boolean>} True when a new snapshot was stored
+ */
+export async function recordRatesSnapshot(rates, fetchedAt = new Date()) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    let added = false;
+    store.openCursor(null, 'prev').onsuccess = (e) => {
+      const last = e.target.result?.value;
+      if (last && ratesKey(last.rates) === ratesKey(rates)) return;
+      store.add({ date: dayOf(fetchedAt), fetchedAt: fetchedAt.toISOString(), rates });
+      added = true;
+    };
+    tx.oncomplete = () => resolve(added);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Snapshots in a day range (inclusive), oldest first.
+ * @param {{from?:Date|string, to?:Date|string}} [range]
+ * @returns {Promise<Array<RatesSnapshot>>}
+ */
+export async function getRateHistory(range = {}) {
+  const from = range.from ? dayOf(range.from) : null;
+  const to = range.to ? dayOf(range.to) : null;
+  const bounds = from && to ? IDBKeyRange.bound(from, to)
+    : from ? IDBKeyRange.lowerBound(from)
+      : to ? IDBKeyRange.upperBound(to) : null;
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction(STORE, 'readonly').objectStore(STORE).index('date').getAll(bounds);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Latest snapshot on or before `day` in an oldest-first list (binary search).
+function findOn(list, day) {
+  let lo = 0, hi = list.length - 1, hit = null;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid].date <= day) { hit = list[mid]; lo = mid + 1; } else { hi = mid - 1; }
+  }
+  return hit;
+}
+
+/**
+ * Rates in effect on a day: the latest snapshot recorded on or before it.
+ * @param {Date|string} date
+ * @returns {Promise<Record<string, number>|null>} null when nothing was recorded by then
+ */
+export async function getRatesOn(date) {
+  const hit = findOn(await getRateHistory({ to: date }), dayOf(date));
+  return hit ? hit.rates : null;
+}
+
+/**
+ * Load the whole history once and return a synchronous "rates on day" lookup
+ * (for converting many costs, e.g. a month's report).
+ * @returns {Promise<(date:Date|string) => Record<string, number>|null>}
+ */
+export async function getRatesLookup() {
+  const list = await getRateHistory();
+  return (date) => findOn(list, dayOf(date))?.rates || null;
+}
+
+/**
+ * Drop every recorded snapshot.
+ * @returns {Promise<void>}
+ */
+export async function clearRateHistory() {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).clear();
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
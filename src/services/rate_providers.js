@@ -0,0 +1,105 @@
+// src/services/rate_providers.js
+// -----------------------------------------------------------------------------
+// Rate providers — adapters from a feed's response format to units-per-USD rates.
+// Responsibilities:
+//   • Describe each supported feed format (how to read the body, how to parse it)
+//   • Parse the body into { base, rates } and rebase it onto USD
+// Formats:
+//   • flat   — { USD:1, GBP:1.8, EURO:0.7, ILS:3.4 } (the spec shape; USD base)
+//   • nested — { base:'EUR', rates:{ USD:1.08, ILS:4.01, ... } } (any base)
+//   • ecb    — ECB daily XML (<Cube currency='USD' rate='1.0848'/>, EUR base)
+// Notes:
+//   • Rebasing needs the feed's USD rate: rate[c] / rate[USD] (base itself counts as 1).
+//   • Pure functions; fetching and caching stay in currency_service.
+// -----------------------------------------------------------------------------
+
+import { isCurrencyCode, normalizeCurrency } from './currencies';
+
+/**
+ * Rebase "units per 1 base" rates onto USD ("units per 1 USD").
+ * @param {string} base - The feed's base currency
+ * @param {Record<string, number>} rates - Units per 1 base (the base may be missing)
+ * @returns {Record<string, number>}
+ * @throws {Error} When the feed has no usable USD rate or a rate is not a positive number
+ */
+export function rebaseToUsd(base, rates) {
+  const b = normalizeCurrency(base);
+  if (!isCurrencyCode(b)) throw new Error(`Rates feed has an invalid base currency "${base}"`);
+  const all = { [b]: 1, ...rates };
+  const usd = all.USD;
+  if (!(typeof usd === 'number' && usd > 0)) throw new Error(`Rates feed has no USD rate; cannot rebase from ${b}`);
+  const out = {};
+  for (const [k, v] of Object.entries(all)) {
+    if (!isCurrencyCode(k)) continue;
+    if (!(typeof v === 'number' && v > 0)) throw new Error(`Invalid rates shape: missing/invalid ${k}`);
+    out[k] = k === 'USD' ? 1 : v / usd;
+  }
+  return out;
+}
+
+const flat = {
+  id: 'flat',
+  label: 'Flat JSON, USD base ({"USD":1,"GBP":1.8,...})',
+  responseType: 'json',
+  parse(body) {
+    if (typeof body !== 'object' || body === null || Array.isArray(body)) throw new Error('Expected a JSON object of rates');
+    if (body.USD === undefined) throw new Error('Invalid rates shape: missing/invalid USD');
+    return { base: 'USD', rates: body };
+  }
+};
+
+const nested = {
+  id: 'nested',
+  label: 'Nested JSON with base ({"base":"EUR","rates":{...}})',
+  responseType: 'json',
+  parse(body) {
+    const base = body?.base ?? body?.base_code;
+    const rates = body?.rates ?? body?.conversion_rates;
+    if (typeof base !== 'string' || typeof rates !== 'object' || rates === null) {
+      throw new Error('Expected {"base": "...", "rates": {...}}');
+    }
+    return { base, rates };
+  }
+};
+
+const ecb = {
+  id: 'ecb',
+  label: 'ECB daily XML (EUR base)',
+  responseType: 'text',
+  parse(body) {
+    const rates = {};
+    for (const [, code, rate] of String(body).matchAll(/currency=['"]([A-Za-z]{3})['"]\s+rate=['"]([\d.]+)['"]/g)) {
+      rates[code.toUpperCase()] = Number(rate);
+    }
+    if (Object.keys(rates).length === 0) throw new Error('No <Cube currency rate> entries in the XML');
+    return { base: 'EUR', rates };
+  }
+};
+
+/** Supported providers, keyed by id. */
+export const RATE_PROVIDERS = { flat, nested, ecb };
+
+/** Provider used when none (or an unknown one) is configured. */
+export const DEFAULT_PROVIDER = 'flat';
+
+/**
+ * Provider adapter by id (falls back to the default provider).
+ * @param {string} id
+ * @returns {{id:string, label:string, responseType:'json'|'text', parse:(body:any)=>{base:string, rates:Object}}}
+ */
+export function getRateProvider(id) {
+  return RATE_PROVIDERS[id] || RATE_PROVIDERS[DEFAULT_PROVIDER];
+}
+
+/**
+ * Read a fetch Response with a provider and return units-per-USD rates.
+ * @param {Response} res
+ * @param {string} providerId
+ * @returns {Promise<Record<string, number>>}
+ */
+export async function readRates(res, providerId) {
+  const provider = getRateProvider(providerId);
+  const body = provider.responseType === 'text' ? await res.text() : await res.json();
+  const { base, rates } = provider.parse(body);
+  return rebaseToUsd(base, rates);
+}
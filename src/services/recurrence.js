@@ -0,0 +1,81 @@
+// src/services/recurrence.js
+// -----------------------------------------------------------------------------
+// Recurrence rules for recurring expense definitions (rent, subscriptions, …)
+// Responsibilities:
+//   • Compute the calendar dates on which a definition comes due
+//   • Keep month-end anchors stable (Jan 31 → Feb 29 → Mar 31, no drift)
+// Notes:
+//   • Dates are local calendar days as 'YYYY-MM-DD' strings, the same format
+//     the date inputs and IDBWrapper.addCost accept.
+//   • Pure functions only; persistence lives in IDBWrapper.
+// -----------------------------------------------------------------------------
+
+/** Supported frequencies (UI labels live in the component). */
+export const FREQUENCIES = ['weekly', 'monthly', 'yearly'];
+
+/**
+ * Format a Date as local 'YYYY-MM-DD'.
+ * @param {Date} d
+ * @returns {string}
+ */
+export function toDayString(d) {
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+/**
+ * Parse 'YYYY-MM-DD' as a local date at midnight.
+ * @param {string} s
+ * @returns {Date|null}
+ */
+export function parseDayString(s) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(s || ''));
+  if (!m) return null;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * The n-th occurrence (0-based) of a rule starting on `start`.
+ * Computed from the start date each time so clamped month ends never drift.
+ *
+ * @param {Date} start
+ * @param {'weekly'|'monthly'|'yearly'} frequency
+ * @param {number} n
+ * @returns {Date}
+ */
+export function nthOccurrence(start, frequency, n) {
+  if (frequency === 'weekly') {
+    return new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7 * n);
+  }
+  const months = frequency === 'yearly' ? 12 * n : n;
+  const y = start.getFullYear();
+  const m = start.getMonth() + months;
+  const lastDay = new Date(y, m + 1, 0).getDate();
+  return new Date(y, m, Math.min(start.getDate(), lastDay));
+}
+
+/**
+ * All occurrences of a definition that are due on or before `until`,
+ * strictly after `def.lastOccurrence` (when set), and within start/end dates.
+ *
+ * @param {{frequency:string, startDate:string, endDate?:string|null, lastOccurrence?:string|null}} def
+ * @param {Date} until - Usually "today"
+ * @returns {Array<string>} 'YYYY-MM-DD' dates in ascending order
+ */
+export function dueOccurrences(def, until) {
+  const start = parseDayString(def.startDate);
+  if (!start || !FREQUENCIES.includes(def.frequency)) return [];
+  const end = parseDayString(def.endDate);
+  const limit = toDayString(end && end < until ? end : until);
+  const after = def.lastOccurrence || '';
+
+  const out = [];
+  for (let n = 0; ; n++) {
+    const day = toDayString(nthOccurrence(start, def.frequency, n));
+    if (day > limit) break;
+    if (day > after) out.push(day);
+  }
+  return out;
+}
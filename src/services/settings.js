@@ -1,5 +1,30 @@
 // src/services/settings.js
+import { isCurrencyCode, normalizeCurrency } from './currencies';
+import { RATE_PROVIDERS, DEFAULT_PROVIDER } from './rate_providers';
+import { CSV_DELIMITERS, CSV_DECIMALS, DEFAULT_EXPORT_OPTIONS } from './csv_export';
+
 const KEY = 'exchangeRatesUrl';
+const PROVIDER_KEY = 'exchangeRatesProvider';
+const FETCH_POLICY_KEY = 'exchangeRatesFetchPolicy';
+const FALLBACK_URL_KEY = 'exchangeRatesFallbackUrl';
+const FETCH_POLICIES = ['chain', 'same-origin', 'configured'];
+// Third-party fallback used by the 'chain' policy unless replaced or removed in Settings.
+export const DEFAULT_FALLBACK_RATES_URL =
+    'https://gist.githubusercontent.com/ShirlyAvrahamoff/31522888d5fb081ad27734650d888959/raw/e9960bb7be1ca27bcc8982893346ce306da0cd9f/rates.json';
+const TRASH_RETENTION_KEY = 'trashRetentionDays';
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const RATES_TTL_KEY = 'exchangeRatesTtlMinutes';
+const DEFAULT_RATES_TTL_MINUTES = 60;
+const ROUNDING_KEY = 'roundingMode';
+const ROUNDING_CHOICES = ['half-up', 'half-even'];
+const RATE_OVERRIDES_KEY = 'exchangeRateOverrides';
+const HOME_CURRENCY_KEY = 'homeCurrency';
+const VIEW_CURRENCIES_KEY = 'viewCurrencies';
+const CSV_EXPORT_KEY = 'csvExportOptions';
+
+// Every localStorage key owned by the settings service (included in backups).
+export const SETTINGS_KEYS = [KEY, PROVIDER_KEY, FETCH_POLICY_KEY, FALLBACK_URL_KEY, TRASH_RETENTION_KEY, RATES_TTL_KEY, ROUNDING_KEY, RATE_OVERRIDES_KEY,
+    HOME_CURRENCY_KEY, VIEW_CURRENCIES_KEY, CSV_EXPORT_KEY];
 
 export function getExchangeRatesUrl() {
     return localStorage.getItem(KEY) || '';
@@ -9,3 +34,227 @@ export function setExchangeRatesUrl(url) {
     if (typeof url !== 'string') return;
     localStorage.setItem(KEY, url.trim());
 }
+
+/**
+ * Format of the rates feed at the configured URL (an id from RATE_PROVIDERS).
+ * @returns {string}
+ */
+export function getRatesProvider() {
+    const id = localStorage.getItem(PROVIDER_KEY);
+    return RATE_PROVIDERS[id] ? id : DEFAULT_PROVIDER;
+}
+
+export function setRatesProvider(id) {
+    if (!RATE_PROVIDERS[id]) return;
+    localStorage.setItem(PROVIDER_KEY, id);
+}
+
+/**
+ * Which sources fetchExchangeRates may contact:
+ *   'chain'       — configured URL, then same-origin /rates.json, then the external fallback URL
+ *   'same-origin' — same-origin URLs only (a cross-origin configured URL is skipped)
+ *   'configured'  — the configured URL only
+ * @returns {'chain'|'same-origin'|'configured'}
+ */
+export function getRatesFetchPolicy() {
+    const policy = localStorage.getItem(FETCH_POLICY_KEY);
+    return FETCH_POLICIES.includes(policy) ? policy : 'chain';
+}
+
+export function setRatesFetchPolicy(policy) {
+    if (!FETCH_POLICIES.includes(policy)) return;
+    localStorage.setItem(FETCH_POLICY_KEY, policy);
+}
+
+/**
+ * External fallback URL for the 'chain' policy ('' = no external fallback).
+ * @returns {string}
+ */
+export function getFallbackRatesUrl() {
+    const url = localStorage.getItem(FALLBACK_URL_KEY);
+    return url === null ? DEFAULT_FALLBACK_RATES_URL : url;
+}
+
+export function setFallbackRatesUrl(url) {
+    if (typeof url !== 'string') return;
+    localStorage.setItem(FALLBACK_URL_KEY, url.trim());
+}
+
+/**
+ * Days a deleted expense stays in the trash before it is purged automatically.
+ * @returns {number}
+ */
+export function getTrashRetentionDays() {
+    const n = Number(localStorage.getItem(TRASH_RETENTION_KEY));
+    return Number.isInteger(n) && n > 0 ? n : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+export function setTrashRetentionDays(days) {
+    const n = Number(days);
+    if (!Number.isInteger(n) || n <= 0) return;
+    localStorage.setItem(TRASH_RETENTION_KEY, String(n));
+}
+
+/**
+ * Minutes fetched exchange rates are reused before fetching again (0 = always fetch).
+ * @returns {number}
+ */
+export function getRatesTtlMinutes() {
+    const raw = localStorage.getItem(RATES_TTL_KEY);
+    const n = Number(raw);
+    return raw !== null && Number.isInteger(n) && n >= 0 ? n : DEFAULT_RATES_TTL_MINUTES;
+}
+
+export function setRatesTtlMinutes(minutes) {
+    const n = Number(minutes);
+    if (!Number.isInteger(n) || n < 0) return;
+    localStorage.setItem(RATES_TTL_KEY, String(n));
+}
+
+/**
+ * How money amounts round ties: 'half-up' (away from zero) or 'half-even' (banker's).
+ * @returns {'half-up'|'half-even'}
+ */
+export function getRoundingMode() {
+    const mode = localStorage.getItem(ROUNDING_KEY);
+    return ROUNDING_CHOICES.includes(mode) ? mode : 'half-up';
+}
+
+export function setRoundingMode(mode) {
+    if (!ROUNDING_CHOICES.includes(mode)) return;
+    localStorage.setItem(ROUNDING_KEY, mode);
+}
+
+/**
+ * Currency most spending is in: the default selection in every view and form.
+ * @returns {string} ISO 4217 code (USD when unset)
+ */
+export function getHomeCurrency() {
+    const code = normalizeCurrency(localStorage.getItem(HOME_CURRENCY_KEY));
+    return isCurrencyCode(code) ? code : 'USD';
+}
+
+/**
+ * Change the home currency; views forget their last-used currency and start from it again.
+ * @param {string} code
+ */
+export function setHomeCurrency(code) {
+    const c = normalizeCurrency(code);
+    if (!isCurrencyCode(c)) return;
+    localStorage.setItem(HOME_CURRENCY_KEY, c);
+    localStorage.removeItem(VIEW_CURRENCIES_KEY);
+}
+
+function readViewCurrencies() {
+    try {
+        const map = JSON.parse(localStorage.getItem(VIEW_CURRENCIES_KEY));
+        return map && typeof map === 'object' ? map : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Currency a view was last shown in, or the home currency when it was never changed.
+ * @param {string} view - e.g. 'monthlyReport'
+ * @returns {string}
+ */
+export function getViewCurrency(view) {
+    const code = normalizeCurrency(readViewCurrencies()[view]);
+    return isCurrencyCode(code) ? code : getHomeCurrency();
+}
+
+export function setViewCurrency(view, code) {
+    const c = normalizeCurrency(code);
+    if (!view || !isCurrencyCode(c)) return;
+    localStorage.setItem(VIEW_CURRENCIES_KEY, JSON.stringify({ ...readViewCurrencies(), [view]: c }));
+}
+
+/**
+ * @typedef {Object} RateOverride
+ * @property {string} currency - ISO 4217 code (canonical, e.g. EUR)
+ * @property {number} rate - Units per 1 USD, > 0
+ * @property {string} [effectiveFrom] - YYYY-MM-DD; the override applies from this day on (always when empty)
+ */
+
+/**
+ * Manually pinned exchange rates (applied on top of the feed by currency_service).
+ * @returns {Array<RateOverride>}
+ */
+export function getRateOverrides() {
+    try {
+        const list = JSON.parse(localStorage.getItem(RATE_OVERRIDES_KEY));
+        return Array.isArray(list) ? list : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Replace the manual rate overrides; throws on the first invalid row.
+ * @param {Array<RateOverride>} list
+ * @returns {Array<RateOverride>} The normalized list that was saved
+ */
+export function setRateOverrides(list) {
+    if (!Array.isArray(list)) throw new Error('Rate overrides must be a list');
+    const out = list.map((o, i) => {
+        const currency = normalizeCurrency(o?.currency);
+        const rate = Number(o?.rate);
+        const effectiveFrom = String(o?.effectiveFrom || '').trim();
+        if (!isCurrencyCode(currency)) throw new Error(`Row ${i + 1}: currency must be an ISO 4217 code`);
+        if (currency === 'USD') throw new Error(`Row ${i + 1}: USD is the base currency (always 1)`);
+        if (!Number.isFinite(rate) || rate <= 0) throw new Error(`Row ${i + 1}: rate must be a number > 0`);
+        if (effectiveFrom && !/^\d{4}-\d{2}-\d{2}$/.test(effectiveFrom)) {
+            throw new Error(`Row ${i + 1}: effective date must be YYYY-MM-DD`);
+        }
+        return effectiveFrom ? { currency, rate, effectiveFrom } : { currency, rate };
+    });
+    localStorage.setItem(RATE_OVERRIDES_KEY, JSON.stringify(out));
+    return out;
+}
+
+/**
+ * CSV export choices last used (delimiter, decimal separator, UTF-8 BOM).
+ * @returns {{delimiter:string, decimal:string, bom:boolean}}
+ */
+export function getCsvExportOptions() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(CSV_EXPORT_KEY)) || {};
+    } catch {
+        saved = {};
+    }
+    return {
+        delimiter: saved.delimiter in CSV_DELIMITERS ? saved.delimiter : DEFAULT_EXPORT_OPTIONS.delimiter,
+        decimal: saved.decimal in CSV_DECIMALS ? saved.decimal : DEFAULT_EXPORT_OPTIONS.decimal,
+        bom: typeof saved.bom === 'boolean' ? saved.bom : DEFAULT_EXPORT_OPTIONS.bom
+    };
+}
+
+export function setCsvExportOptions({ delimiter, decimal, bom }) {
+    localStorage.setItem(CSV_EXPORT_KEY, JSON.stringify({ delimiter, decimal, bom: Boolean(bom) }));
+}
+
+/**
+ * Snapshot of all stored settings (unset keys are omitted).
+ * @returns {Record<string, string>}
+ */
+export function exportSettings() {
+    const out = {};
+    for (const k of SETTINGS_KEYS) {
+        const v = localStorage.getItem(k);
+        if (v !== null) out[k] = v;
+    }
+    return out;
+}
+
+/**
+ * Restore settings from a snapshot; unknown keys and non-string values are ignored.
+ * @param {Record<string, string>} snapshot
+ * @returns {void}
+ */
+export function importSettings(snapshot) {
+    for (const k of SETTINGS_KEYS) {
+        if (typeof snapshot?.[k] === 'string') localStorage.setItem(k, snapshot[k]);
+    }
+}
@@ -10,6 +10,12 @@ if (typeof global.structuredClone !== 'function') {
     val === undefined ? val : JSON.parse(JSON.stringify(val));
 }
 
+// 3b) TextEncoder/TextDecoder for JSDOM (required by react-router)
+import { TextEncoder, TextDecoder } from 'util';
+if (typeof global.TextEncoder === 'undefined') {
+  Object.assign(global, { TextEncoder, TextDecoder });
+}
+
 // 4) Fake IndexedDB — automatically defines indexedDB on globalThis
 import 'fake-indexeddb/auto';
 